@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+// bin/whitewhale.js - Command line runner for exported workflow files
+// Runs a *_workflow.json file with the same engine as the server, without
+// starting it or recording the run, so shell scripts and cron jobs can use
+// workflows. Results go to stdout; logs (with --verbose) and errors to stderr.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+
+// Provider keys and defaults come from the same .env as the server's
+dotenv.config({ quiet: true });
+
+const logger = require('../utils/logger');
+const { MASK } = require('../utils/redact');
+const { workflowSchema } = require('../middleware/validation');
+const { executeWorkflow, withProvider, getInputName } = require('../services/executor');
+const { PROVIDER_NAMES } = require('../services/providers');
+const { isSecretReference } = require('../services/secretStore');
+const { buildRunRequest, nameOutputs } = require('../services/webhooks');
+
+const USAGE = `Usage: whitewhale run <workflow.json | -> [options]
+
+Run an exported workflow file and print its outputs.
+
+Options:
+  -i, --input <name=value>   Value for an Input node, by input name (repeatable)
+  -o, --output <text|json>   Print output values as text (default) or a JSON object
+  -p, --provider <name>      Run every LLM node with this provider (${PROVIDER_NAMES.join(', ')})
+  -v, --verbose              Log execution progress to stderr
+  -h, --help                 Show this help
+
+Piped stdin becomes the value of the one input not given with --input.
+Pass - as the workflow file to read the workflow itself from stdin.
+
+Exit codes: 0 success, 1 the run failed, 2 invalid arguments, workflow or inputs,
+130 interrupted.`;
+
+const EXIT = { OK: 0, RUN_FAILED: 1, USAGE: 2, INTERRUPTED: 130 };
+
+/**
+ * Error for a bad command line, workflow file or input
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error that exits with EXIT.USAGE
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT.USAGE;
+  return error;
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the node binary and script
+ * @returns {Object} - { command, file, inputs, output, provider, verbose, help }
+ */
+function parseCommandLine(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        input: { type: 'string', short: 'i', multiple: true, default: [] },
+        output: { type: 'string', short: 'o', default: 'text' },
+        provider: { type: 'string', short: 'p' },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals: [command, file, ...extra] } = parsed;
+  if (values.help) return { help: true };
+
+  if (command !== 'run') {
+    throw usageError(command ? `Unknown command "${command}"` : 'No command given');
+  }
+  if (!file) throw usageError('No workflow file given');
+  if (extra.length > 0) throw usageError(`Unexpected arguments: ${extra.join(' ')}`);
+
+  if (!['text', 'json'].includes(values.output)) {
+    throw usageError(`--output must be text or json, not "${values.output}"`);
+  }
+  if (values.provider && !PROVIDER_NAMES.includes(values.provider)) {
+    throw usageError(`Unknown provider "${values.provider}". Available providers: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  const inputs = {};
+  values.input.forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) throw usageError(`--input must look like name=value, not "${pair}"`);
+    inputs[pair.slice(0, separator)] = pair.slice(separator + 1);
+  });
+
+  return { command, file, inputs, output: values.output, provider: values.provider, verbose: values.verbose };
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} - Text piped in, or '' when stdin is a terminal
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read and validate a workflow file as the API validates a run request
+ * @param {string} file - Path, or - for stdin
+ * @returns {Promise<Object>} - { nodes, edges, llmConfig, budget }
+ */
+async function loadWorkflow(file) {
+  let text;
+  try {
+    text = file === '-' ? await readStdin() : await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw usageError(`Cannot read ${file}: ${error.message}`);
+  }
+
+  let workflow;
+  try {
+    workflow = JSON.parse(text);
+  } catch (error) {
+    throw usageError(`${file === '-' ? 'stdin' : path.basename(file)} is not valid JSON: ${error.message}`);
+  }
+
+  // Exports carry a name, version and timestamp that a run does not need
+  const { error, value } = workflowSchema.validate(workflow, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    throw usageError(`Invalid workflow: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+  return value;
+}
+
+/**
+ * Prepare LLM nodes for a run outside the server. Keys removed on export and
+ * stored secrets (which only the server can decrypt) are dropped, so the
+ * provider's environment variable is used instead.
+ * @param {Object} workflow - Validated workflow
+ * @param {string} [provider] - Provider to run every LLM node with
+ * @returns {Object} - Workflow to execute
+ */
+function prepareLLMNodes(workflow, provider) {
+  if (provider) return withProvider(workflow, provider);
+
+  const nodes = workflow.nodes.map(node => {
+    if (node.type !== 'llm' || !(node.data?.apiKey === MASK || isSecretReference(node.data?.apiKey))) {
+      return node;
+    }
+
+    logger.info('Using the environment API key for LLM node', { nodeId: node.id });
+    const { apiKey, ...data } = node.data;
+    return { ...node, data };
+  });
+
+  return { ...workflow, nodes };
+}
+
+/**
+ * Fill in the one missing input from piped stdin and check every input is given
+ * @param {Object} workflow - Workflow to run
+ * @param {Object} inputs - Values from --input, by input name
+ * @param {boolean} stdinFree - Whether stdin was not used for the workflow file
+ * @returns {Promise<Object>} - Run request (see buildRunRequest)
+ */
+async function resolveInputs(workflow, inputs, stdinFree) {
+  const missing = workflow.nodes
+    .filter(node => node.type === 'customInput')
+    .map(getInputName)
+    .filter(name => inputs[name] === undefined);
+
+  if (missing.length === 1 && stdinFree) {
+    const piped = await readStdin();
+    if (piped) {
+      inputs = { ...inputs, [missing[0]]: piped.replace(/\r?\n$/, '') };
+    }
+  }
+
+  try {
+    return buildRunRequest(workflow, inputs);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+/**
+ * Print the outputs of a finished run
+ * @param {Object} outputs - Outputs by output name
+ * @param {Object} result - executeWorkflow result
+ * @param {string} format - text or json
+ */
+function printResult(outputs, result, format) {
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify({ success: true, outputs, usage: result.usage }, null, 2)}\n`);
+    return;
+  }
+
+  const entries = Object.entries(outputs);
+  const text = entries.length === 1
+    ? String(entries[0][1])
+    : entries.map(([name, value]) => `[${name}]\n${value}`).join('\n\n');
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} args - Arguments after the node binary and script
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(args) {
+  let options = { output: 'text' };
+
+  try {
+    options = parseCommandLine(args);
+    if (options.help) {
+      process.stdout.write(`${USAGE}\n`);
+      return EXIT.OK;
+    }
+
+    logger.configure({ level: options.verbose ? 'DEBUG' : null, write: console.error });
+
+    const workflow = prepareLLMNodes(await loadWorkflow(options.file), options.provider);
+    const request = await resolveInputs(workflow, options.inputs, options.file !== '-');
+
+    // Ctrl+C cancels the LLM call in flight instead of leaving it running
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+
+    const result = await executeWorkflow(
+      { ...request, llmConfig: workflow.llmConfig, budget: workflow.budget },
+      { signal: controller.signal }
+    );
+    printResult(nameOutputs(workflow.nodes, result.outputs), result, options.output);
+    return EXIT.OK;
+  } catch (error) {
+    const exitCode = error.exitCode || (error.cancelled ? EXIT.INTERRUPTED : EXIT.RUN_FAILED);
+
+    if (options.output === 'json' && exitCode !== EXIT.USAGE) {
+      process.stdout.write(`${JSON.stringify({
+        success: false,
+        error: { message: error.message, nodeId: error.nodeId || null },
+        usage: error.usage || null
+      }, null, 2)}\n`);
+    }
+    process.stderr.write(`whitewhale: ${error.message}\n`);
+    if (exitCode === EXIT.USAGE) {
+      process.stderr.write('Run "whitewhale --help" for usage.\n');
+    }
+    return exitCode;
+  }
+}
+
+// Exit explicitly: provider HTTP connections may otherwise keep the process alive
+main(process.argv.slice(2)).then(code => process.exit(code));
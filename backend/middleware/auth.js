@@ -0,0 +1,45 @@
+// middleware/auth.js - Bearer token authentication
+// Accepts a login session token or an API token in the Authorization header
+// and sets req.user. Routes scope everything they read or write to
+// req.user.workspaceId.
+
+const logger = require('../utils/logger');
+const { authenticate } = require('../services/userStore');
+
+/**
+ * Read the bearer token from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token, or null if there is none
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+// Reject requests without a valid token
+const requireAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    const user = token ? await authenticate(token) : null;
+
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: token ? 'Session expired or token revoked. Sign in again.' : 'Authentication required'
+      });
+    }
+
+    req.user = user;
+    req.authToken = token;
+    next();
+  } catch (error) {
+    logger.error('Authentication failed', { error: error.message });
+    next(error);
+  }
+};
+
+module.exports = {
+  getBearerToken,
+  requireAuth
+};
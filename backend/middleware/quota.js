@@ -0,0 +1,75 @@
+// middleware/quota.js - Per-user run and job quotas
+// Runs count against the signed-in user's plan (see services/quotas.js).
+// The remaining quota is reported in RateLimit and RateLimit-Policy headers
+// (IETF draft-8 format, next to the "requests" limit set by express-rate-limit),
+// and the run's quota status is left on req.quota for capBudget.
+
+const logger = require('../utils/logger');
+const quotas = require('../services/quotas');
+const { countActiveJobs } = require('../services/jobQueue');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Append one named quota to the RateLimit headers. Unlimited quotas are left out.
+ * @param {Object} res - Express response
+ * @param {string} name - Quota name
+ * @param {Object} quota - { limit, remaining, resetSeconds }
+ * @param {number} [windowSeconds] - Quota window, if it has one
+ */
+function appendRateLimitHeaders(res, name, { limit, remaining, resetSeconds }, windowSeconds) {
+  if (limit === null || res.headersSent) return;
+
+  res.append('RateLimit-Policy', `"${name}"; q=${limit}${windowSeconds ? `; w=${windowSeconds}` : ''}`);
+  res.append('RateLimit', `"${name}"; r=${remaining}${resetSeconds !== undefined ? `; t=${resetSeconds}` : ''}`);
+}
+
+/**
+ * Refuse a request that is over quota
+ * @param {Object} res - Express response
+ * @param {Error} error - 429 error from the quota service
+ */
+function sendQuotaError(res, error) {
+  logger.warn('Quota exceeded', { error: error.message });
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(429).json({ success: false, error: error.message, quota: error.quota });
+}
+
+// Count a workflow run against the runs-per-minute and tokens-per-day quotas.
+// Mount it after the body is validated. Only a hook's workflow id comes from the
+// server; a workflowId in the body is the client's to leave out, so those runs
+// are held to the account's quota alone.
+const enforceRunQuota = async (req, res, next) => {
+  try {
+    const quota = await quotas.consumeRun(req.user, req.hook?.workflowId || null);
+
+    appendRateLimitHeaders(res, 'runs', quota.runs, 60);
+    appendRateLimitHeaders(res, 'tokens', quota.tokens, DAY_SECONDS);
+    req.quota = quota;
+    next();
+  } catch (error) {
+    if (error.status === 429) return sendQuotaError(res, error);
+    next(error);
+  }
+};
+
+// Refuse a new background job when the user has too many queued or running
+const enforceJobQuota = (req, res, next) => {
+  try {
+    const jobs = quotas.checkJobQuota(req.user, countActiveJobs(req.user.id));
+
+    appendRateLimitHeaders(res, 'jobs', { ...jobs, remaining: jobs.remaining - 1 });
+    next();
+  } catch (error) {
+    if (error.status === 429) return sendQuotaError(res, error);
+    next(error);
+  }
+};
+
+module.exports = {
+  enforceRunQuota,
+  enforceJobQuota
+};
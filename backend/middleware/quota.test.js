@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Usage is kept on disk, so DATA_DIR and PLANS_FILE point at a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-middleware-test-'));
+const plansFile = path.join(dataDir, 'plans.json');
+fs.writeFileSync(plansFile, JSON.stringify({ team: { workflowTokensPerDay: 100 } }));
+process.env.DATA_DIR = dataDir;
+process.env.PLANS_FILE = plansFile;
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { recordUsage, getUsage } = require('../services/quotas');
+const { enforceRunQuota } = require('./quota');
+const jobsRouter = require('../routes/jobs');
+
+logger.configure({ level: null });
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * Run enforceRunQuota on a fake request
+ * @param {Object} req - Request fields
+ * @returns {Promise<number|null>} - Status sent, or null if the request went on
+ */
+function runQuota(req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      headersSent: false,
+      append: () => res,
+      set: () => res,
+      status: (status) => ({ json: () => resolve(status) })
+    };
+    enforceRunQuota(req, res, (error) => (error ? reject(error) : resolve(null)));
+  });
+}
+
+test('only a hook\'s workflow is held to the per-workflow quota', async () => {
+  const user = { id: 'user-workflow', plan: 'team' };
+  await recordUsage(user.id, 'wf-1', { totalTokens: 100 });
+
+  assert.equal(await runQuota({ user, body: { workflowId: 'wf-1' } }), null);
+  assert.equal(await runQuota({ user, hook: { workflowId: 'wf-1' }, body: {} }), 429);
+});
+
+test('a job that fails validation is not counted against the quota', async () => {
+  const user = { id: 'user-invalid', workspaceId: 'ws-invalid', plan: 'team' };
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/jobs', jobsRouter);
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ nodes: 'not a list' })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await getUsage(user, 0)).usage.runsLastMinute, 0);
+  } finally {
+    server.close();
+  }
+});
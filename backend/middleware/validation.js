@@ -1,6 +1,15 @@
 // middleware/validation.js - Input Validation & Sanitization
 const { body, validationResult } = require('express-validator');
 const Joi = require('joi');
+const { PROVIDER_NAMES } = require('../services/providers');
+const {
+  RESPONSE_MIME_TYPES,
+  HARM_CATEGORIES,
+  HARM_BLOCK_THRESHOLDS
+} = require('../services/providers/generationConfig');
+const { isAllowedBaseUrl } = require('../services/providers/openai');
+const { FORMATS: DATASET_FORMATS } = require('../utils/dataset');
+const { ASSERTION_TYPES } = require('../utils/assertions');
 
 // Express-validator middleware for workflow execution
 const validateWorkflowExecution = [
@@ -37,38 +46,220 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Joi schemas for LLM generation parameters (empty values fall back to defaults)
+const generationConfigSchema = Joi.object({
+  temperature: Joi.number().min(0).max(2).allow(null),
+  topK: Joi.number().integer().min(1).max(1000).allow(null),
+  topP: Joi.number().min(0).max(1).allow(null),
+  maxOutputTokens: Joi.number().integer().min(1).max(65536).allow(null),
+  stopSequences: Joi.array().items(Joi.string().min(1)).max(5),
+  candidateCount: Joi.number().integer().min(1).max(8).allow(null),
+  responseMimeType: Joi.string().valid(...RESPONSE_MIME_TYPES).allow('', null)
+});
+
+const safetySettingsSchema = Joi.array().items(
+  Joi.object({
+    category: Joi.string().valid(...HARM_CATEGORIES).required(),
+    threshold: Joi.string().valid(...HARM_BLOCK_THRESHOLDS).required()
+  })
+).unique('category');
+
+// Base URL of an OpenAI-compatible server; only the ones the server allows
+const baseUrlSchema = Joi.string().uri({ scheme: ['http', 'https'] }).allow('')
+  .custom((value, helpers) => (isAllowedBaseUrl(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} is not an allowed base URL. Ask an administrator to add it to OPENAI_ALLOWED_BASE_URLS.' });
+
+// Joi schema for the settings each LLM node carries in its data
+const llmNodeDataSchema = Joi.object({
+  provider: Joi.string().valid(...PROVIDER_NAMES).optional(),
+  baseUrl: baseUrlSchema.optional(),
+  model: Joi.string().trim().optional(),
+  system: Joi.string().allow('').optional(),
+  prompt: Joi.string().allow('').optional(),
+  usePersonalKey: Joi.boolean().optional(),
+  apiKey: Joi.string().trim().allow('').optional(),
+  generationConfig: generationConfigSchema.optional(),
+  safetySettings: safetySettingsSchema.optional()
+}).unknown(true);
+
+// Joi schemas for the nodes and edges of a workflow graph
+const nodeSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().required(),
+  data: Joi.when('type', {
+    is: 'llm',
+    then: llmNodeDataSchema,
+    otherwise: Joi.object()
+  }).optional(),
+  position: Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required()
+  }).optional()
+});
+
+const edgeSchema = Joi.object({
+  id: Joi.string().optional(),
+  source: Joi.string().required(),
+  target: Joi.string().required(),
+  sourceHandle: Joi.string().allow(null).optional(),
+  targetHandle: Joi.string().allow(null).optional()
+});
+
 // Joi schema for workflow validation
 const workflowSchema = Joi.object({
-  nodes: Joi.array().items(
-    Joi.object({
-      id: Joi.string().required(),
-      type: Joi.string().required(),
-      data: Joi.object().optional(),
-      position: Joi.object({
-        x: Joi.number().required(),
-        y: Joi.number().required()
-      }).optional()
-    })
-  ).min(1).required(),
-  edges: Joi.array().items(
-    Joi.object({
-      id: Joi.string().optional(),
-      source: Joi.string().required(),
-      target: Joi.string().required(),
-      sourceHandle: Joi.string().optional(),
-      targetHandle: Joi.string().optional()
-    })
-  ).optional(),
+  nodes: Joi.array().items(nodeSchema).min(1).required(),
+  edges: Joi.array().items(edgeSchema).optional(),
   inputs: Joi.object().pattern(
     Joi.string(),
     Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
   ).optional(),
   llmConfig: Joi.object({
-    apiKey: Joi.string().trim().optional(),
-    model: Joi.string().trim().default('gemini-2.0-flash-exp'),
-    system: Joi.string().trim().default('You are a helpful assistant.'),
-    prompt: Joi.string().trim().optional()
-  }).optional()
+    provider: Joi.string().valid(...PROVIDER_NAMES).optional(),
+    baseUrl: baseUrlSchema.optional(),
+    apiKey: Joi.string().trim().allow('').optional(),
+    model: Joi.string().trim().optional(),
+    system: Joi.string().trim().allow('').default('You are a helpful assistant.'),
+    prompt: Joi.string().trim().allow('').optional(),
+    generationConfig: generationConfigSchema.optional(),
+    safetySettings: safetySettingsSchema.optional()
+  }).allow(null).optional(),
+  budget: Joi.object({
+    maxTokens: Joi.number().integer().min(1).allow(null),
+    maxCostUsd: Joi.number().positive().allow(null)
+  }).allow(null).optional(),
+  // Saved workflow the run belongs to, for the run history
+  workflowId: Joi.string().allow(null).optional()
+});
+
+// Joi schemas for the saved workflows API. message describes the version
+// each save creates; its author is the signed-in user.
+const versionMetaSchema = {
+  message: Joi.string().trim().allow('').max(500)
+};
+
+// Test cases a saved workflow carries: input values by input name, responses
+// by LLM node id to use instead of the mock provider, and checks on named outputs
+const assertionSchema = Joi.object({
+  output: Joi.string().trim().min(1).required(),
+  type: Joi.string().valid(...ASSERTION_TYPES).required(),
+  value: Joi.when('type', {
+    switch: [
+      { is: 'jsonSchema', then: Joi.object().required() },
+      { is: 'length', then: Joi.forbidden() }
+    ],
+    otherwise: Joi.string().required()
+  }),
+  min: Joi.when('type', { is: 'length', then: Joi.number().integer().min(0), otherwise: Joi.forbidden() }),
+  max: Joi.when('type', { is: 'length', then: Joi.number().integer().min(0), otherwise: Joi.forbidden() })
+}).when(Joi.object({ type: 'length' }).unknown(), { then: Joi.object().or('min', 'max') });
+
+const testCaseSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  inputs: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
+  ).default({}),
+  responses: Joi.object().pattern(Joi.string(), Joi.string().allow('')).default({}),
+  assertions: Joi.array().items(assertionSchema).min(1).required()
+});
+
+const testSuiteSchema = Joi.array().items(testCaseSchema).max(100).unique('name');
+
+const savedWorkflowSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().allow('').max(1000).default(''),
+  nodes: Joi.array().items(nodeSchema).required(),
+  edges: Joi.array().items(edgeSchema).default([]),
+  tests: testSuiteSchema.default([]),
+  ...versionMetaSchema
+});
+
+// Fields left out of an update keep their stored value
+const workflowUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow('').max(1000),
+  nodes: Joi.array().items(nodeSchema),
+  edges: Joi.array().items(edgeSchema),
+  tests: testSuiteSchema,
+  updatedAt: Joi.string().isoDate().required()
+    .messages({ 'any.required': 'updatedAt of the workflow being edited is required' }),
+  ...versionMetaSchema
+});
+
+const workflowRestoreSchema = Joi.object({
+  updatedAt: Joi.string().isoDate().required()
+    .messages({ 'any.required': 'updatedAt of the workflow being edited is required' }),
+  ...versionMetaSchema
+});
+
+const workflowDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1).required()
+});
+
+const workflowListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  search: Joi.string().trim().allow('').max(200).default('')
+});
+
+const runListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(20),
+  workflowId: Joi.string().allow('').default(''),
+  status: Joi.string().valid('completed', 'failed', 'cancelled').allow('').default('')
+});
+
+// The secret name comes from the URL; the value is write-only
+const secretSchema = Joi.object({
+  value: Joi.string().trim().min(1).max(4096).required(),
+  description: Joi.string().trim().allow('').max(200).default('')
+});
+
+// Runs the saved test cases, or the cases sent (to try edits before saving);
+// names picks cases by name
+const workflowTestSchema = Joi.object({
+  tests: testSuiteSchema.min(1).optional(),
+  names: Joi.array().items(Joi.string()).min(1).optional()
+});
+
+// Batch runs: the workflow to run plus the dataset file, sent as text
+const batchSchema = workflowSchema.keys({
+  format: Joi.string().valid(...DATASET_FORMATS).required(),
+  data: Joi.string().min(1).required(),
+  fileName: Joi.string().trim().max(200).allow('').optional(),
+  concurrency: Joi.number().integer().min(1).max(50).optional()
+});
+
+const batchRetrySchema = Joi.object({
+  rows: Joi.array().items(Joi.number().integer().min(0)).min(1).optional(),
+  llmConfig: workflowSchema.extract('llmConfig')
+});
+
+// Schedules run a saved workflow with fixed values for its inputs, by input name
+const scheduleSchema = Joi.object({
+  cron: Joi.string().trim().min(1).max(100).required(),
+  inputs: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
+  ).default({}),
+  description: Joi.string().trim().allow('').max(200).default('')
+});
+
+// Webhook callers choose whether to wait for the outputs or get a job to poll
+const webhookQuerySchema = Joi.object({
+  mode: Joi.string().valid('sync', 'async').default('sync')
+});
+
+// Joi schemas for accounts and API tokens
+const credentialsSchema = Joi.object({
+  username: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).min(3).max(32).required()
+    .messages({ 'string.pattern.base': 'Username may only contain letters, digits, - and _' }),
+  password: Joi.string().min(8).max(200).required()
+});
+
+const apiTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
 });
 
 // Joi validation middleware
@@ -132,6 +323,20 @@ module.exports = {
   handleValidationErrors,
   validateWithJoi,
   workflowSchema,
+  savedWorkflowSchema,
+  workflowUpdateSchema,
+  workflowListQuerySchema,
+  workflowRestoreSchema,
+  workflowDiffQuerySchema,
+  workflowTestSchema,
+  runListQuerySchema,
+  secretSchema,
+  scheduleSchema,
+  webhookQuerySchema,
+  batchSchema,
+  batchRetrySchema,
+  credentialsSchema,
+  apiTokenSchema,
   sanitizeString,
   sanitizeObject
 };
@@ -0,0 +1,88 @@
+// routes/auth.js - Accounts, login sessions and API tokens
+//   POST   /auth/register    - Create an account ({ username, password }) and sign in
+//   POST   /auth/login       - Sign in, returns a session token
+//   POST   /auth/logout      - End the current session
+//   GET    /auth/me          - The signed-in user
+//   GET    /auth/tokens      - List your API tokens (never the tokens themselves)
+//   POST   /auth/tokens      - Create an API token ({ name }); the token is only shown once
+//   DELETE /auth/tokens/:id  - Revoke an API token
+// Send either token as "Authorization: Bearer <token>".
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateWithJoi, credentialsSchema, apiTokenSchema } = require('../middleware/validation');
+const { requireAuth } = require('../middleware/auth');
+const userStore = require('../services/userStore');
+
+const router = express.Router();
+
+/**
+ * Send an account error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional HTTP status
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+  logger[status >= 500 ? 'error' : 'warn'](`Auth ${action} failed`, { error: error.message, status });
+
+  res.status(status).json({ success: false, error: error.message });
+}
+
+router.post('/register', validateWithJoi(credentialsSchema), async (req, res) => {
+  try {
+    const user = await userStore.createUser(req.body);
+    const session = await userStore.createSession(user);
+    res.status(201).json({ success: true, user, ...session });
+  } catch (error) {
+    sendError(res, error, 'register');
+  }
+});
+
+router.post('/login', validateWithJoi(credentialsSchema), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await userStore.login(req.body)) });
+  } catch (error) {
+    sendError(res, error, 'login');
+  }
+});
+
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await userStore.logout(req.authToken);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'logout');
+  }
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+router.get('/tokens', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, tokens: await userStore.listApiTokens(req.user) });
+  } catch (error) {
+    sendError(res, error, 'token list');
+  }
+});
+
+router.post('/tokens', requireAuth, validateWithJoi(apiTokenSchema), async (req, res) => {
+  try {
+    res.status(201).json({ success: true, token: await userStore.createApiToken(req.user, req.body.name) });
+  } catch (error) {
+    sendError(res, error, 'token create');
+  }
+});
+
+router.delete('/tokens/:id', requireAuth, async (req, res) => {
+  try {
+    await userStore.revokeApiToken(req.user, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'token revoke');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+// routes/batches.js - Run a workflow over a CSV or JSONL dataset
+//   POST   /batches               - Start a batch (workflow body as for /run-workflow, plus format, data,
+//                                   fileName and concurrency); returns 202 with the batch
+//   GET    /batches               - Batches of the workspace, newest first, with row counts
+//   GET    /batches/:id           - A batch with every row's inputs, status, outputs and error
+//   GET    /batches/:id/results   - Download the dataset with output columns appended
+//   POST   /batches/:id/retry     - Run failed, cancelled and unfinished rows again (optionally only some rows)
+//   DELETE /batches/:id           - Cancel a running batch
+// Batches are only visible to the workspace that started them.
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateWithJoi, batchSchema, batchRetrySchema } = require('../middleware/validation');
+const batchRunner = require('../services/batchRunner');
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Send a batch error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional HTTP status
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+  logger[status >= 500 ? 'error' : 'warn'](`Batch ${action} failed`, { error: error.message, status });
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    ...(error.columns ? { inputs: error.inputs, columns: error.columns } : {})
+  });
+}
+
+router.post('/', validateWithJoi(batchSchema), async (req, res) => {
+  try {
+    const batch = await batchRunner.createBatch(req.user, req.body);
+    res.status(202)
+      .location(`${req.baseUrl}/${batch.id}`)
+      .json({ success: true, batch });
+  } catch (error) {
+    sendError(res, error, 'start');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, batches: await batchRunner.listBatches(req.user.workspaceId) });
+  } catch (error) {
+    sendError(res, error, 'list');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json({ success: true, batch: await batchRunner.getBatch(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'load');
+  }
+});
+
+router.get('/:id/results', async (req, res) => {
+  try {
+    const { fileName, format, content } = await batchRunner.exportResults(req.user.workspaceId, req.params.id);
+    res.type(CONTENT_TYPES[format]).attachment(fileName).send(content);
+  } catch (error) {
+    sendError(res, error, 'download');
+  }
+});
+
+router.post('/:id/retry', validateWithJoi(batchRetrySchema), async (req, res) => {
+  try {
+    res.status(202).json({ success: true, batch: await batchRunner.retryBatch(req.user, req.params.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'retry');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    res.json({ success: true, batch: await batchRunner.cancelBatch(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'cancel');
+  }
+});
+
+module.exports = router;
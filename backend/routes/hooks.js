@@ -0,0 +1,156 @@
+// routes/hooks.js - Webhook triggers for saved workflows
+//   POST /hooks/:workflowId/:token?mode=sync   - Run the workflow and respond with its outputs
+//   POST /hooks/:workflowId/:token?mode=async  - Queue the run, returns 202 with a job to poll
+//   GET  /hooks/:workflowId/:token/jobs/:jobId - Status and outputs of a queued run
+// No sign-in: the token in the URL is the credential. The JSON body maps
+// input names to values, and outputs are keyed by output name. Runs are
+// recorded in the publishing user's workspace and count against their quota.
+// Tokens are created, rotated and revoked under /workflows/:id/hook.
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { webhookQuerySchema } = require('../middleware/validation');
+const { enforceRunQuota, enforceJobQuota } = require('../middleware/quota');
+const webhooks = require('../services/webhooks');
+const { getUser } = require('../services/userStore');
+const { getWorkflow } = require('../services/workflowStore');
+const { runAndRecord } = require('../services/runHistory');
+const jobQueue = require('../services/jobQueue');
+const { capBudget } = require('../services/quotas');
+const { httpError, getErrorStatusCode } = require('../utils/httpError');
+
+const router = express.Router();
+
+/**
+ * Send a webhook error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional HTTP status
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = error.status || getErrorStatusCode(error);
+  logger[status >= 500 ? 'error' : 'warn'](`Webhook ${action} failed`, { error: error.message, status });
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    ...(error.inputs ? { inputs: error.inputs } : {}),
+    ...(error.runId ? { runId: error.runId, usage: error.usage } : {})
+  });
+}
+
+/**
+ * Check the token and load the workflow and the user who published it.
+ * Sets req.hook, req.workflow and req.user (the publisher, for quotas).
+ */
+async function loadHook(req, res, next) {
+  try {
+    const hook = await webhooks.verifyHook(req.params.workflowId, req.params.token);
+    const user = await getUser(hook.createdBy);
+    if (!user) {
+      throw httpError(404, 'Webhook not found');
+    }
+
+    req.hook = hook;
+    req.workflow = await getWorkflow(hook.workspaceId, hook.workflowId);
+    req.user = user;
+    next();
+  } catch (error) {
+    sendError(res, error, 'authentication');
+  }
+}
+
+/**
+ * Check the query and map the body onto the workflow's inputs before any
+ * quota is used. Sets req.mode and req.runRequest.
+ */
+function prepareRun(req, res, next) {
+  try {
+    const { error, value } = webhookQuerySchema.validate(req.query);
+    if (error) {
+      throw httpError(400, error.message);
+    }
+
+    req.mode = value.mode;
+    req.runRequest = webhooks.buildRunRequest(req.workflow, req.body);
+    next();
+  } catch (error) {
+    sendError(res, error, 'request');
+  }
+}
+
+// Only queued runs count against the concurrent job quota
+const enforceAsyncJobQuota = (req, res, next) => (req.mode === 'async' ? enforceJobQuota(req, res, next) : next());
+
+router.post('/:workflowId/:token', loadHook, prepareRun, enforceAsyncJobQuota, enforceRunQuota, async (req, res) => {
+  const { workflowId } = req.hook;
+  const request = { ...req.runRequest, budget: capBudget(null, req.quota) };
+
+  if (req.mode === 'async') {
+    try {
+      const job = jobQueue.submitJob(req.user.workspaceId, request, req.user.id, 'webhook');
+      logger.info('Webhook job queued', { workflowId, jobId: job.id });
+
+      res.status(202)
+        .location(`${req.baseUrl}/${workflowId}/${req.params.token}/jobs/${job.id}`)
+        .json({ success: true, jobId: job.id, runId: job.runId, status: job.status, position: job.position });
+    } catch (error) {
+      sendError(res, error, 'submit');
+    }
+    return;
+  }
+
+  // Stop the run if the caller gives up on the request
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    logger.info('Webhook run started', { workflowId, userId: req.user.id });
+    const result = await runAndRecord(request, {
+      source: 'webhook',
+      workspaceId: req.user.workspaceId,
+      userId: req.user.id,
+      signal: controller.signal
+    });
+
+    res.json({
+      success: true,
+      runId: result.runId,
+      outputs: webhooks.nameOutputs(req.workflow.nodes, result.outputs),
+      usage: result.usage
+    });
+  } catch (error) {
+    sendError(res, error, 'run');
+  }
+});
+
+router.get('/:workflowId/:token/jobs/:jobId', loadHook, (req, res) => {
+  try {
+    const job = jobQueue.getJob(req.user.workspaceId, req.params.jobId);
+    if (job.workflowId !== req.hook.workflowId) {
+      throw httpError(404, `Job "${req.params.jobId}" not found`);
+    }
+
+    res.json({
+      success: true,
+      job: {
+        id: job.id,
+        runId: job.runId,
+        status: job.status,
+        position: job.position,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        outputs: job.outputs && webhooks.nameOutputs(req.workflow.nodes, job.outputs),
+        usage: job.usage,
+        error: job.error
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'job load');
+  }
+});
+
+module.exports = router;
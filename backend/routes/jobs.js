@@ -0,0 +1,66 @@
+// routes/jobs.js - Background workflow runs
+//   POST   /jobs      - Queue a workflow run (same body as /run-workflow), returns 202 with the job id
+//   GET    /jobs/:id  - Job status, per-node results so far and, once finished, outputs and usage
+//   DELETE /jobs/:id  - Cancel a queued or running job
+// Jobs are only visible to the workspace that submitted them.
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateWithJoi, workflowSchema } = require('../middleware/validation');
+const { enforceRunQuota, enforceJobQuota } = require('../middleware/quota');
+const jobQueue = require('../services/jobQueue');
+const { capBudget } = require('../services/quotas');
+
+const router = express.Router();
+
+/**
+ * Send a job error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional HTTP status
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+  logger[status >= 500 ? 'error' : 'warn'](`Job ${action} failed`, { error: error.message, status });
+
+  res.status(status).json({ success: false, error: error.message });
+}
+
+// Submitting counts against the plan; polling GET /jobs/:id only against the general limit
+router.post('/', validateWithJoi(workflowSchema), enforceJobQuota, enforceRunQuota, (req, res) => {
+  try {
+    const { nodes, edges, inputs, llmConfig, budget, workflowId } = req.body;
+    const job = jobQueue.submitJob(req.user.workspaceId, {
+      nodes,
+      edges,
+      inputs,
+      llmConfig,
+      budget: capBudget(budget, req.quota),
+      workflowId
+    }, req.user.id);
+
+    res.status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({ success: true, jobId: job.id, runId: job.runId, status: job.status, position: job.position });
+  } catch (error) {
+    sendError(res, error, 'submit');
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json({ success: true, job: jobQueue.getJob(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'load');
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    res.json({ success: true, job: jobQueue.cancelJob(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'cancel');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// routes/runs.js - Run history API
+//   GET /runs?page=&pageSize=&workflowId=&status=  - List run summaries, newest first
+//   GET /runs/:id                                  - Full run record
+//   POST /runs/:id/cancel                          - Cancel a run in progress
+// Only runs in the signed-in user's workspace are visible.
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { runListQuerySchema } = require('../middleware/validation');
+const runHistory = require('../services/runHistory');
+
+const router = express.Router();
+
+/**
+ * Send a run history error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional HTTP status
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+  logger[status >= 500 ? 'error' : 'warn'](`Run ${action} failed`, { error: error.message, status });
+
+  res.status(status).json({ success: false, error: error.message });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = runListQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.json({ success: true, ...(await runHistory.listRuns(req.user.workspaceId, value)) });
+  } catch (error) {
+    sendError(res, error, 'list');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json({ success: true, run: await runHistory.getRun(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'load');
+  }
+});
+
+router.post('/:id/cancel', (req, res) => {
+  try {
+    res.json({ success: true, run: runHistory.cancelRun(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'cancel');
+  }
+});
+
+module.exports = router;
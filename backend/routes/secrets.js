@@ -0,0 +1,53 @@
+// routes/secrets.js - Encrypted API key store
+//   GET    /secrets        - List secret names and metadata (never values)
+//   PUT    /secrets/:name  - Create a secret or replace its value ({ value, description })
+//   DELETE /secrets/:name  - Delete a secret
+// Workflows use a secret by setting an API key field to "secret:<name>".
+// Secrets belong to the signed-in user's workspace.
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { validateWithJoi, secretSchema } = require('../middleware/validation');
+const secretStore = require('../services/secretStore');
+
+const router = express.Router();
+
+/**
+ * Send a secret store error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional HTTP status
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+  logger[status >= 500 ? 'error' : 'warn'](`Secret ${action} failed`, { error: error.message, status });
+
+  res.status(status).json({ success: false, error: error.message });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, secrets: await secretStore.listSecrets(req.user.workspaceId) });
+  } catch (error) {
+    sendError(res, error, 'list');
+  }
+});
+
+router.put('/:name', validateWithJoi(secretSchema), async (req, res) => {
+  try {
+    res.json({ success: true, secret: await secretStore.putSecret(req.user.workspaceId, req.params.name, req.body) });
+  } catch (error) {
+    sendError(res, error, 'save');
+  }
+});
+
+router.delete('/:name', async (req, res) => {
+  try {
+    await secretStore.deleteSecret(req.user.workspaceId, req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'delete');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+// routes/workflows.js - Saved workflows REST API
+//   GET    /workflows?page=&pageSize=&search=  - List workflow summaries
+//   GET    /workflows/:id                      - Get a workflow with its graph
+//   POST   /workflows                          - Save a new workflow
+//   PUT    /workflows/:id                      - Update (body must include the loaded updatedAt)
+//   DELETE /workflows/:id?updatedAt=           - Delete (updatedAt optional)
+//   GET    /workflows/:id/versions             - Version history, newest first
+//   GET    /workflows/:id/versions/:version    - One version with its snapshot
+//   GET    /workflows/:id/diff?from=&to=       - Compare two versions
+//   POST   /workflows/:id/versions/:version/restore - Save an old version as the newest
+//   GET    /workflows/:id/hook                 - Webhook details (never the token)
+//   POST   /workflows/:id/hook                 - Create the webhook or rotate its token; returns the token once
+//   DELETE /workflows/:id/hook                 - Revoke the webhook
+//   GET    /workflows/:id/schedules            - Cron schedules, with their next and last runs
+//   POST   /workflows/:id/schedules            - Add a schedule (cron, inputs by input name, description)
+//   DELETE /workflows/:id/schedules/:scheduleId - Remove a schedule
+//   POST   /workflows/:id/test             - Run the workflow's test cases (or the cases sent) and report per case
+// POST and PUT bodies may carry a message for the version they create; its
+// author is the signed-in user. Every route only sees the user's workspace.
+
+const express = require('express');
+const logger = require('../utils/logger');
+const {
+  validateWithJoi,
+  savedWorkflowSchema,
+  workflowUpdateSchema,
+  workflowListQuerySchema,
+  workflowRestoreSchema,
+  workflowDiffQuerySchema,
+  workflowTestSchema,
+  scheduleSchema
+} = require('../middleware/validation');
+const workflowStore = require('../services/workflowStore');
+const webhooks = require('../services/webhooks');
+const scheduler = require('../services/scheduler');
+const { runTests } = require('../services/workflowTests');
+const { httpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+/**
+ * Send a store or validation error as JSON. Concurrency conflicts include
+ * the current workflow so the client can merge or reload.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional HTTP status
+ * @param {string} action - What failed, for the log
+ */
+function sendError(res, error, action) {
+  const status = error.status || 500;
+  logger[status >= 500 ? 'error' : 'warn'](`Workflow ${action} failed`, { error: error.message, status });
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    ...(error.current ? { current: error.current } : {})
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = workflowListQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.json({ success: true, ...(await workflowStore.listWorkflows(req.user.workspaceId, value)) });
+  } catch (error) {
+    sendError(res, error, 'list');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json({ success: true, workflow: await workflowStore.getWorkflow(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'load');
+  }
+});
+
+/**
+ * Parse a version number from the URL
+ * @param {string} value - Route parameter
+ * @returns {number} - Version number
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw httpError(400, `Invalid version "${value}"`);
+  }
+  return version;
+}
+
+router.post('/', validateWithJoi(savedWorkflowSchema), async (req, res) => {
+  try {
+    const { message, ...fields } = req.body;
+    const workflow = await workflowStore.createWorkflow(req.user.workspaceId, fields, {
+      author: req.user.username,
+      message
+    });
+    logger.info('Workflow saved', { id: workflow.id, name: workflow.name });
+    res.status(201).json({ success: true, workflow });
+  } catch (error) {
+    sendError(res, error, 'save');
+  }
+});
+
+router.put('/:id', validateWithJoi(workflowUpdateSchema), async (req, res) => {
+  try {
+    const { updatedAt, message, ...changes } = req.body;
+    const workflow = await workflowStore.updateWorkflow(req.user.workspaceId, req.params.id, changes, updatedAt, {
+      author: req.user.username,
+      message
+    });
+    logger.info('Workflow updated', { id: workflow.id, name: workflow.name, version: workflow.version });
+    res.json({ success: true, workflow });
+  } catch (error) {
+    sendError(res, error, 'update');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    await workflowStore.deleteWorkflow(req.user.workspaceId, req.params.id, req.query.updatedAt);
+    await webhooks.forgetHook(req.params.id);
+    await scheduler.forgetSchedules(req.params.id);
+    logger.info('Workflow deleted', { id: req.params.id });
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'delete');
+  }
+});
+
+router.get('/:id/versions', async (req, res) => {
+  try {
+    res.json({ success: true, versions: await workflowStore.listVersions(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'history');
+  }
+});
+
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const version = await workflowStore.getVersion(req.user.workspaceId, req.params.id, parseVersion(req.params.version));
+    res.json({ success: true, version });
+  } catch (error) {
+    sendError(res, error, 'version load');
+  }
+});
+
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const { error, value } = workflowDiffQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.json({ success: true, diff: await workflowStore.diffVersions(req.user.workspaceId, req.params.id, value.from, value.to) });
+  } catch (error) {
+    sendError(res, error, 'diff');
+  }
+});
+
+router.post('/:id/versions/:version/restore', validateWithJoi(workflowRestoreSchema), async (req, res) => {
+  try {
+    const { updatedAt, message } = req.body;
+    const restored = parseVersion(req.params.version);
+    const workflow = await workflowStore.restoreVersion(req.user.workspaceId, req.params.id, restored, updatedAt, {
+      author: req.user.username,
+      message
+    });
+    logger.info('Workflow version restored', { id: workflow.id, restored, version: workflow.version });
+    res.json({ success: true, workflow });
+  } catch (error) {
+    sendError(res, error, 'restore');
+  }
+});
+
+router.get('/:id/hook', async (req, res) => {
+  try {
+    res.json({ success: true, hook: await webhooks.getHook(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'webhook load');
+  }
+});
+
+router.post('/:id/hook', async (req, res) => {
+  try {
+    res.status(201).json({ success: true, hook: await webhooks.rotateHook(req.user, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'webhook rotate');
+  }
+});
+
+router.delete('/:id/hook', async (req, res) => {
+  try {
+    await webhooks.revokeHook(req.user.workspaceId, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'webhook revoke');
+  }
+});
+
+router.get('/:id/schedules', async (req, res) => {
+  try {
+    res.json({ success: true, schedules: await scheduler.listSchedules(req.user.workspaceId, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'schedule list');
+  }
+});
+
+router.post('/:id/schedules', validateWithJoi(scheduleSchema), async (req, res) => {
+  try {
+    res.status(201).json({ success: true, schedule: await scheduler.createSchedule(req.user, req.params.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'schedule create');
+  }
+});
+
+router.delete('/:id/schedules/:scheduleId', async (req, res) => {
+  try {
+    await scheduler.deleteSchedule(req.user.workspaceId, req.params.id, req.params.scheduleId);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'schedule delete');
+  }
+});
+
+router.post('/:id/test', validateWithJoi(workflowTestSchema), async (req, res) => {
+  try {
+    res.json({ success: true, report: await runTests(req.user.workspaceId, req.params.id, req.body) });
+  } catch (error) {
+    sendError(res, error, 'test');
+  }
+});
+
+module.exports = router;
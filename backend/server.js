@@ -5,7 +5,7 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +13,7 @@ dotenv.config();
 // Utilities and middleware
 const { validateEnv } = require('./utils/validateEnv');
 const logger = require('./utils/logger');
+const { registerSecret } = require('./utils/redact');
 const {
   validateWorkflowExecution,
   validatePipelineParse,
@@ -20,9 +21,28 @@ const {
   validateWithJoi,
   workflowSchema
 } = require('./middleware/validation');
+const { requireAuth } = require('./middleware/auth');
+const { enforceRunQuota } = require('./middleware/quota');
+const { getErrorStatusCode } = require('./utils/httpError');
+const { CACHE_TTL } = require('./utils/cache');
+const { DEFAULT_MODEL } = require('./services/executor');
+const { analyzePipeline } = require('./services/pipelineAnalysis');
+const { createRunId, runAndRecord } = require('./services/runHistory');
+const { capBudget, getUsage } = require('./services/quotas');
+const authRouter = require('./routes/auth');
+const workflowsRouter = require('./routes/workflows');
+const runsRouter = require('./routes/runs');
+const jobsRouter = require('./routes/jobs');
+const secretsRouter = require('./routes/secrets');
+const hooksRouter = require('./routes/hooks');
+const batchesRouter = require('./routes/batches');
+const jobQueue = require('./services/jobQueue');
+const scheduler = require('./services/scheduler');
+const batchRunner = require('./services/batchRunner');
 
 // Validate environment variables
 const env = validateEnv();
+[env.GOOGLE_API_KEY, env.OPENAI_API_KEY].forEach(registerSecret);
 
 const app = express();
 const PORT = env.PORT || 8000;
@@ -64,32 +84,35 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
-// Rate limiting
+// Rate limiting - per user once signed in, per IP before that. Workflow runs
+// are limited by the user's plan instead (see middleware/quota.js).
 const limiter = rateLimit({
   windowMs: env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000, // 15 minutes
-  max: env.RATE_LIMIT_MAX_REQUESTS || 100, // limit each IP to 100 requests per windowMs
+  max: env.RATE_LIMIT_MAX_REQUESTS || 100, // limit each user or IP to 100 requests per windowMs
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : ipKeyGenerator(req.ip)),
   message: {
     success: false,
-    error: 'Too many requests from this IP, please try again later.'
+    error: 'Too many requests, please try again later.'
   },
-  standardHeaders: true,
+  standardHeaders: 'draft-8',
+  identifier: 'requests',
   legacyHeaders: false,
 });
 
-// Stricter rate limit for workflow execution
-const workflowLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 10, // 10 workflow executions per minute
+// Slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 login or sign-up attempts per windowMs
   message: {
     success: false,
-    error: 'Too many workflow executions. Please wait before trying again.'
+    error: 'Too many sign-in attempts. Please wait before trying again.'
   },
-  standardHeaders: true,
+  standardHeaders: 'draft-8',
+  identifier: 'sign-in',
   legacyHeaders: false,
 });
 
-app.use('/run-workflow', workflowLimiter);
-app.use(limiter);
+app.use(['/auth/login', '/auth/register'], authLimiter);
 
 // Middleware
 app.use(cors(corsOptions));
@@ -108,32 +131,21 @@ app.use((req, res, next) => {
   next();
 });
 
-// Simple in-memory cache for API responses
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-function getCacheKey(data) {
-  return JSON.stringify(data);
-}
-
-function getFromCache(key) {
-  const cached = cache.get(key);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-  cache.delete(key);
-  return null;
-}
+// Accounts and webhooks are public; everything else needs a session or API token and
+// only sees the caller's workspace
+app.use(['/pipelines', '/run-workflow', '/workflows', '/runs', '/jobs', '/batches', '/secrets', '/usage'], requireAuth);
+app.use(limiter);
+app.use('/auth', authRouter);
 
-function setCache(key, data) {
-  cache.set(key, { data, timestamp: Date.now() });
-  
-  // Clear old cache entries periodically
-  if (cache.size > 1000) {
-    const oldestKeys = Array.from(cache.keys()).slice(0, 500);
-    oldestKeys.forEach(k => cache.delete(k));
+// Plan limits and today's usage for the signed-in user
+app.get('/usage', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getUsage(req.user, jobQueue.countActiveJobs(req.user.id))) });
+  } catch (error) {
+    logger.error('Usage lookup failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
   }
-}
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -143,7 +155,10 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     env: {
       nodeVersion: process.version,
-      hasGoogleApiKey: !!process.env.GOOGLE_API_KEY
+      hasGoogleApiKey: !!process.env.GOOGLE_API_KEY,
+      hasOpenAIApiKey: !!process.env.OPENAI_API_KEY,
+      defaultProvider: env.DEFAULT_LLM_PROVIDER,
+      llmFixtures: env.LLM_FIXTURES_MODE
     }
   });
 });
@@ -163,26 +178,33 @@ app.post('/pipelines/parse',
   (req, res) => {
     try {
       const pipelineData = JSON.parse(req.body.pipeline);
-      const { nodes, edges } = pipelineData;
+      const { nodes, edges, llmConfig } = pipelineData;
 
       // Validate nodes and edges exist
       if (!nodes || !Array.isArray(nodes)) {
         throw new Error('Invalid nodes data');
       }
+      if (edges !== undefined && !Array.isArray(edges)) {
+        throw new Error('Invalid edges data');
+      }
 
-      // Check if it's a DAG (Directed Acyclic Graph)
-      const isDAG = checkIfDAG(nodes, edges || []);
+      // Cycles, execution order and problems the editor can show before a run
+      const { isDAG, cycle, executionOrder, diagnostics } = analyzePipeline({ nodes, edges, llmConfig });
 
       logger.info('Pipeline parsed', {
         numNodes: nodes.length,
         numEdges: edges?.length || 0,
-        isDAG
+        isDAG,
+        diagnostics: diagnostics.length
       });
 
       res.json({
         num_nodes: nodes.length,
         num_edges: edges?.length || 0,
         is_dag: isDAG,
+        cycle,
+        execution_order: executionOrder,
+        diagnostics,
         success: true
       });
     } catch (error) {
@@ -198,9 +220,16 @@ app.post('/pipelines/parse',
 // Main workflow execution endpoint with validation and caching
 app.post('/run-workflow',
   validateWithJoi(workflowSchema),
+  enforceRunQuota,
   async (req, res) => {
   try {
-    const { nodes, edges, inputs, llmConfig } = req.body;
+    const { nodes, edges, inputs, llmConfig, budget, workflowId } = req.body;
+
+    // Stop the run if the client gives up on the request
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
 
     logger.info('Workflow execution started', {
       numNodes: nodes?.length || 0,
@@ -208,97 +237,25 @@ app.post('/run-workflow',
       inputKeys: Object.keys(inputs || {})
     });
 
-    // Validate inputs
-    if (!nodes || !Array.isArray(nodes)) {
-      throw new Error('Invalid nodes data');
-    }
-
-    // Find input and output nodes
-    const inputNodes = nodes.filter(node => node.type === 'customInput');
-    const outputNodes = nodes.filter(node => node.type === 'customOutput');
-    const llmNodes = nodes.filter(node => node.type === 'llm');
-
-    if (inputNodes.length === 0) {
-      throw new Error('No input nodes found in workflow');
-    }
-
-    if (outputNodes.length === 0) {
-      throw new Error('No output nodes found in workflow');
-    }
-
-    // Build the prompt from inputs
-    let systemPrompt = llmConfig?.system || 'You are a helpful assistant.';
-    let userPrompt = llmConfig?.prompt || '';
-
-    // Replace variables in system and prompt with input values
-    Object.entries(inputs).forEach(([nodeId, value]) => {
-      const inputNode = inputNodes.find(n => n.id === nodeId);
-      if (inputNode) {
-        const inputName = inputNode.data?.inputName || nodeId;
-        systemPrompt = systemPrompt.replace(new RegExp(`{{${inputName}}}`, 'g'), value);
-        userPrompt = userPrompt.replace(new RegExp(`{{${inputName}}}`, 'g'), value);
-        
-        // Also try replacing with just the value if no template variables
-        if (!userPrompt.includes('{{')) {
-          userPrompt = value;
-        }
-      }
-    });
-
-    logger.debug('Prompt prepared', {
-      systemPromptLength: systemPrompt.length,
-      userPromptLength: userPrompt.length
-    });
-
-    // Get API key (from user or environment)
-    const apiKey = llmConfig?.apiKey || process.env.GOOGLE_API_KEY;
-
-    if (!apiKey) {
-      logger.error('API key missing');
-      throw new Error('No API key provided. Please set GOOGLE_API_KEY in .env file or provide a personal API key.');
-    }
-
-    // Check cache first (excluding API key from cache key for security)
-    const cacheKey = getCacheKey({
-      model: llmConfig?.model || 'gemini-2.0-flash-exp',
-      system: systemPrompt,
-      prompt: userPrompt
-    });
-
-    let geminiResponse = getFromCache(cacheKey);
-    
-    if (geminiResponse) {
-      logger.info('Cache hit for workflow execution');
-    } else {
-      // Call Google Gemini API
-      const model = llmConfig?.model || 'gemini-2.0-flash-exp';
-      logger.info('Calling Gemini API', { model });
-      
-      geminiResponse = await callGeminiAPI({
-        model,
-        system: systemPrompt,
-        prompt: userPrompt,
-        apiKey: apiKey
-      });
-
-      // Cache the response
-      setCache(cacheKey, geminiResponse);
-      logger.info('Gemini API response received', { responseLength: geminiResponse.length });
-    }
-
-    // Prepare outputs
-    const outputs = {};
-    outputNodes.forEach(outputNode => {
-      outputs[outputNode.id] = geminiResponse;
+    const result = await runAndRecord(
+      { nodes, edges, inputs, llmConfig, budget: capBudget(budget, req.quota), workflowId },
+      { source: 'api', workspaceId: req.user.workspaceId, userId: req.user.id, signal: controller.signal }
+    );
+
+    logger.info('Workflow execution completed', {
+      runId: result.runId,
+      executionOrder: result.executionOrder,
+      numOutputs: Object.keys(result.outputs).length,
+      totalTokens: result.usage.totalTokens,
+      costUsd: result.usage.costUsd
     });
 
     res.json({
       success: true,
-      outputs: outputs,
-      metadata: {
-        model: llmConfig?.model || 'gemini-2.0-flash-exp',
-        tokensUsed: geminiResponse.length // Approximate
-      }
+      runId: result.runId,
+      outputs: result.outputs,
+      nodeResults: result.nodeResults,
+      metadata: buildRunMetadata(result, llmConfig)
     });
 
   } catch (error) {
@@ -307,141 +264,118 @@ app.post('/run-workflow',
       stack: error.stack
     });
     
-    // Determine appropriate status code
-    const statusCode = error.message.includes('API key') ? 401 :
-                       error.message.includes('Validation') ? 400 :
-                       error.message.includes('Gemini API') ? 502 :
-                       500;
-    
-    res.status(statusCode).json({
+    res.status(getErrorStatusCode(error)).json({
       error: error.message,
+      cancelled: !!error.cancelled,
+      runId: error.runId,
+      nodeId: error.nodeId,
+      usage: error.usage,
       success: false
     });
   }
 });
 
-/**
- * Call Google Gemini API with retry logic
- * @param {Object} params - API call parameters
- * @param {string} params.model - Gemini model name
- * @param {string} params.system - System prompt
- * @param {string} params.prompt - User prompt
- * @param {string} params.apiKey - Google API key
- * @param {number} params.retries - Number of retries (default: 2)
- * @returns {Promise<string>} - Generated text response
- */
-async function callGeminiAPI({ model, system, prompt, apiKey, retries = 2 }) {
-  const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-  const startTime = Date.now();
+// Streaming workflow execution - reports progress as server-sent events
+app.post('/run-workflow/stream',
+  validateWithJoi(workflowSchema),
+  enforceRunQuota,
+  async (req, res) => {
+  const { nodes, edges, inputs, llmConfig, budget, workflowId } = req.body;
+  const runId = createRunId();
+  const controller = new AbortController();
+  let clientClosed = false;
+
+  // A client that disconnects (or cancels) stops the run
+  res.on('close', () => {
+    clientClosed = true;
+    controller.abort();
+  });
 
-  try {
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: [
-          {
-            parts: [
-              {
-                text: `${system}\n\n${prompt}`
-              }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.7,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 2048
-        }
-      })
-    });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Render)
+  });
+  res.flushHeaders();
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error?.message || response.statusText;
-      
-      // Retry on rate limit or temporary errors
-      if (retries > 0 && (response.status === 429 || response.status >= 500)) {
-        logger.warn('Gemini API error, retrying', { status: response.status, retriesLeft: retries });
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-        return callGeminiAPI({ model, system, prompt, apiKey, retries: retries - 1 });
-      }
-      
-      throw new Error(`Gemini API error: ${errorMessage}`);
-    }
+  const sendEvent = (event, payload) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
 
-    const data = await response.json();
+  logger.info('Streaming workflow execution started', {
+    numNodes: nodes?.length || 0,
+    numEdges: edges?.length || 0,
+    inputKeys: Object.keys(inputs || {})
+  });
 
-    // Extract the generated text
-    if (data.candidates && data.candidates.length > 0) {
-      const candidate = data.candidates[0];
-      if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
-        return candidate.content.parts[0].text;
+  try {
+    sendEvent('run:start', { runId, numNodes: nodes.length, timestamp: new Date().toISOString() });
+
+    const result = await runAndRecord(
+      { nodes, edges, inputs, llmConfig, budget: capBudget(budget, req.quota), workflowId },
+      {
+        runId,
+        source: 'stream',
+        workspaceId: req.user.workspaceId,
+        userId: req.user.id,
+        onEvent: sendEvent,
+        signal: controller.signal
       }
-    }
-
-    throw new Error('No response generated from Gemini API');
+    );
 
+    sendEvent('run:complete', {
+      success: true,
+      runId,
+      outputs: result.outputs,
+      nodeResults: result.nodeResults,
+      metadata: buildRunMetadata(result, llmConfig)
+    });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    logger.logApiCall('Google Gemini', model, duration, false);
-    throw error;
+    logger.error('Streaming workflow execution error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    sendEvent('run:error', {
+      success: false,
+      runId,
+      error: error.message,
+      cancelled: !!error.cancelled,
+      nodeId: error.nodeId,
+      usage: error.usage,
+      statusCode: getErrorStatusCode(error)
+    });
   } finally {
-    const duration = Date.now() - startTime;
-    if (duration > 0) {
-      logger.logApiCall('Google Gemini', model, duration, true);
-    }
+    res.end();
   }
-}
-
-/**
- * Check if the workflow graph is a Directed Acyclic Graph (DAG)
- * @param {Array} nodes - Array of workflow nodes
- * @param {Array} edges - Array of workflow edges
- * @returns {boolean} - True if graph is a DAG
- */
-function checkIfDAG(nodes, edges) {
-  // Build adjacency list
-  const adj = {};
-  nodes.forEach(node => {
-    adj[node.id] = [];
-  });
-
-  edges.forEach(edge => {
-    if (adj[edge.source]) {
-      adj[edge.source].push(edge.target);
-    }
-  });
-
-  // DFS to detect cycles
-  const visited = new Set();
-  const recStack = new Set();
-
-  function hasCycle(nodeId) {
-    if (recStack.has(nodeId)) return true;
-    if (visited.has(nodeId)) return false;
-
-    visited.add(nodeId);
-    recStack.add(nodeId);
-
-    const neighbors = adj[nodeId] || [];
-    for (const neighbor of neighbors) {
-      if (hasCycle(neighbor)) return true;
-    }
+});
 
-    recStack.delete(nodeId);
-    return false;
-  }
+// Saved workflows, run history, background jobs, batch runs and API key secrets
+app.use('/workflows', workflowsRouter);
+app.use('/runs', runsRouter);
+app.use('/jobs', jobsRouter);
+app.use('/batches', batchesRouter);
+app.use('/secrets', secretsRouter);
 
-  // Check for cycles starting from each node
-  for (const nodeId of Object.keys(adj)) {
-    if (hasCycle(nodeId)) return false;
-  }
+// Webhook triggers authenticate with the token in their URL
+app.use('/hooks', hooksRouter);
 
-  return true;
+/**
+ * Summarize a finished run for the API response
+ * @param {Object} result - executeWorkflow result
+ * @param {Object|null} llmConfig - Workflow-level LLM defaults
+ * @returns {Object} - Response metadata
+ */
+function buildRunMetadata(result, llmConfig) {
+  return {
+    model: result.llmCalls[0]?.model || llmConfig?.model || DEFAULT_MODEL,
+    models: [...new Set(result.llmCalls.map(call => call.model))],
+    executionOrder: result.executionOrder,
+    tokensUsed: result.usage.totalTokens,
+    usage: result.usage
+  };
 }
 
 // Error handling middleware
@@ -469,13 +403,24 @@ app.use((req, res) => {
   });
 });
 
-// Graceful shutdown handler
-process.on('SIGTERM', () => {
+// Graceful shutdown handler - stop accepting connections and scheduling runs,
+// let running jobs finish and save queued ones so they resume on the next start.
+// Running batches stop and are saved so their remaining rows can be retried.
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
-  });
+
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  scheduler.stop();
+
+  try {
+    await Promise.all([jobQueue.shutdown(), batchRunner.shutdown()]);
+  } catch (error) {
+    logger.error('Failed to save queued jobs and batches', { error: error.message });
+  }
+
+  await serverClosed;
+  logger.info('Server closed');
+  process.exit(0);
 });
 
 // Start server
@@ -488,13 +433,32 @@ const server = app.listen(PORT, () => {
   
   console.log(`\n🚀 WhiteWhale AI Server Running`);
   console.log(`📡 API Endpoints:`);
+  console.log(`   - POST http://localhost:${PORT}/auth/register, /auth/login`);
   console.log(`   - POST http://localhost:${PORT}/run-workflow`);
+  console.log(`   - POST http://localhost:${PORT}/run-workflow/stream`);
   console.log(`   - POST http://localhost:${PORT}/pipelines/parse`);
+  console.log(`   - CRUD http://localhost:${PORT}/workflows`);
+  console.log(`   - CRUD http://localhost:${PORT}/workflows/:id/schedules`);
+  console.log(`   - GET  http://localhost:${PORT}/runs`);
+  console.log(`   - GET  http://localhost:${PORT}/usage`);
+  console.log(`   - POST http://localhost:${PORT}/jobs`);
+  console.log(`   - POST http://localhost:${PORT}/batches`);
+  console.log(`   - POST http://localhost:${PORT}/hooks/:workflowId/:token`);
+  console.log(`   - CRUD http://localhost:${PORT}/secrets`);
   console.log(`   - GET  http://localhost:${PORT}/health`);
   console.log(`   - GET  http://localhost:${PORT}/test`);
   console.log(`🔐 Google API Key: ${process.env.GOOGLE_API_KEY ? '✅ Configured' : '⚠️  Not configured (users must provide their own)'}`);
-  console.log(`🛡️  Security: Rate limiting enabled`);
+  if (env.LLM_FIXTURES_MODE !== 'off') {
+    console.log(`🎞️  LLM fixtures: ${env.LLM_FIXTURES_MODE === 'replay' ? 'replaying recorded responses, no provider calls' : 'recording provider responses'}`);
+  }
+  console.log(`🛡️  Security: Token authentication, per-user quotas and rate limiting enabled`);
   console.log(`💾 Cache: In-memory caching enabled (${CACHE_TTL / 1000}s TTL)\n`);
+
+  jobQueue.restorePersistedJobs()
+    .catch(error => {
+      logger.error('Failed to restore saved jobs', { error: error.message });
+    })
+    .then(() => scheduler.start());
 });
 
 module.exports = app;
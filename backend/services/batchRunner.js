@@ -0,0 +1,421 @@
+// services/batchRunner.js - Run a workflow over every row of a dataset
+// A batch takes a CSV or JSONL file whose columns are the workflow's input
+// names and runs the workflow once per row, a few rows at a time. Each row
+// is recorded in the run history and counts against the user's quota; when
+// the runs-per-minute quota is reached, the batch waits instead of failing
+// rows. Results can be downloaded in the file's format with the output
+// columns appended, and failed rows can be run again on their own.
+// Batches are saved per workspace. A batch interrupted by a restart keeps
+// its finished rows; retrying it runs the rest. Plain-text API keys are only
+// kept in memory while the batch runs, so retries need a stored key
+// (secret:<name>) or a key in the retry's llmConfig.
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createWorkspaceStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+const { parseDataset, formatDataset } = require('../utils/dataset');
+const { getInputName, getOutputName } = require('./executor');
+const { buildRunRequest, nameOutputs } = require('./webhooks');
+const { runAndRecord, snapshotWorkflow } = require('./runHistory');
+const { consumeRun, capBudget } = require('./quotas');
+
+const batchStores = createWorkspaceStore('batches');
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_CONCURRENCY = 10;
+const DEFAULT_MAX_ROWS = 10000;
+const SAVE_INTERVAL_MS = 1000;
+
+const numberFromEnv = (name, fallback) => Number(process.env[name]) || fallback;
+
+// batchId -> { batch, user, graph, controller, running, saveTimer } for batches in progress;
+// graph is the only copy of the workflow with its plain-text API keys
+const active = new Map();
+
+/**
+ * Count rows by status and add up their usage
+ * @param {Array} rows - Batch rows
+ * @returns {Object} - { counts, usage }
+ */
+function summarizeRows(rows) {
+  const counts = { total: rows.length, pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+  const usage = { totalTokens: 0, costUsd: 0 };
+
+  rows.forEach(row => {
+    counts[row.status] += 1;
+    usage.totalTokens += row.usage?.totalTokens || 0;
+    usage.costUsd += row.usage?.costUsd || 0;
+  });
+  return { counts, usage };
+}
+
+/**
+ * Batch as returned by the API
+ * @param {Object} batch - Batch record
+ * @param {boolean} [withRows] - Include every row with its inputs and results
+ * @returns {Object} - Batch summary, with rows if asked for
+ */
+function toView({ rows, workflow, workspaceId, ...batch }, withRows = false) {
+  return { ...batch, ...summarizeRows(rows), ...(withRows ? { rows } : {}) };
+}
+
+/**
+ * Save a batch now, or within SAVE_INTERVAL_MS while rows are still finishing
+ * @param {Object} run - Batch in progress
+ * @param {boolean} [now] - Save right away
+ * @returns {Promise<void>}
+ */
+function saveBatch(run, now = false) {
+  if (!now) {
+    if (!run.saveTimer) {
+      run.saveTimer = setTimeout(() => saveBatch(run, true), SAVE_INTERVAL_MS);
+    }
+    return Promise.resolve();
+  }
+
+  clearTimeout(run.saveTimer);
+  run.saveTimer = null;
+  const { batch } = run;
+  return batchStores(batch.workspaceId)
+    .withLock(batch.id, () => batchStores(batch.workspaceId).put(batch.id, batch))
+    .catch(error => logger.error('Failed to save batch', { batchId: batch.id, error: error.message }));
+}
+
+/**
+ * Wait before trying again, unless the batch is cancelled first
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} signal - Batch cancellation
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Count a row's run against the user's quota, waiting while the
+ * runs-per-minute quota is used up. A used-up daily token quota fails the row.
+ * @param {Object} run - Batch in progress
+ * @returns {Promise<Object|null>} - Quota status, or null if the batch was cancelled meanwhile
+ */
+async function waitForRunQuota(run) {
+  while (!run.controller.signal.aborted) {
+    try {
+      // The batch's workflowId came from the request, so only the account quota applies
+      return await consumeRun(run.user);
+    } catch (error) {
+      if (error.status !== 429 || error.quota?.runs?.remaining !== 0) throw error;
+      await wait(error.retryAfter * 1000, run.controller.signal);
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the workflow for one row and keep its named outputs
+ * @param {Object} run - Batch in progress
+ * @param {Object} row - Batch row
+ * @returns {Promise<void>}
+ */
+async function runRow(run, row) {
+  const { batch, graph, controller } = run;
+
+  try {
+    const request = buildRunRequest({ id: batch.workflowId, ...graph }, row.values);
+    const quota = await waitForRunQuota(run);
+    if (!quota) throw httpError(499, 'Batch cancelled', { cancelled: true });
+
+    const result = await runAndRecord(
+      { ...request, llmConfig: graph.llmConfig, budget: capBudget(graph.budget, quota) },
+      { source: 'batch', workspaceId: batch.workspaceId, userId: run.user.id, signal: controller.signal }
+    );
+    Object.assign(row, {
+      status: 'completed',
+      runId: result.runId,
+      outputs: nameOutputs(graph.nodes, result.outputs),
+      usage: result.usage,
+      error: null
+    });
+  } catch (error) {
+    const stopped = controller.signal.aborted;
+    Object.assign(row, {
+      status: stopped ? (run.interrupted ? 'pending' : 'cancelled') : 'failed',
+      runId: error.runId || null,
+      outputs: null,
+      usage: error.usage || null,
+      error: stopped ? null : error.message
+    });
+  }
+}
+
+/**
+ * Mark a batch as finished once no rows are running
+ * @param {Object} run - Batch in progress
+ */
+function finishBatch(run) {
+  const { batch } = run;
+  const status = run.interrupted ? 'interrupted'
+    : run.controller.signal.aborted ? 'cancelled'
+      : 'completed';
+  Object.assign(batch, { status, finishedAt: new Date().toISOString() });
+
+  active.delete(batch.id);
+  saveBatch(run, true);
+  logger.info('Batch finished', { batchId: batch.id, status, ...summarizeRows(batch.rows).counts });
+}
+
+/**
+ * Start pending rows while the batch has free slots
+ * @param {Object} run - Batch in progress
+ */
+function pump(run) {
+  const { batch } = run;
+
+  while (!run.controller.signal.aborted && run.running < batch.concurrency) {
+    const row = batch.rows.find(candidate => candidate.status === 'pending');
+    if (!row) break;
+
+    row.status = 'running';
+    run.running += 1;
+    runRow(run, row).finally(() => {
+      run.running -= 1;
+      saveBatch(run);
+      pump(run);
+    });
+  }
+
+  if (run.running === 0) {
+    if (run.controller.signal.aborted && !run.interrupted) {
+      batch.rows.forEach(row => {
+        if (row.status === 'pending') row.status = 'cancelled';
+      });
+    }
+    finishBatch(run);
+  }
+}
+
+/**
+ * Run a batch's pending rows
+ * @param {Object} batch - Batch record
+ * @param {Object} user - User the rows run as
+ * @param {Object} graph - nodes, edges, llmConfig and budget, with any API keys
+ */
+function startBatch(batch, user, graph) {
+  const run = { batch, user, graph, controller: new AbortController(), running: 0, saveTimer: null };
+  Object.assign(batch, { status: 'running', finishedAt: null });
+  active.set(batch.id, run);
+  pump(run);
+}
+
+/**
+ * Start a batch run over a dataset
+ * @param {Object} user - Signed-in user
+ * @param {Object} fields - Batch request
+ * @param {string} fields.format - "csv" or "jsonl"
+ * @param {string} fields.data - File contents
+ * @param {string} [fields.fileName] - Name of the uploaded file
+ * @param {number} [fields.concurrency] - Rows to run at once
+ * @param {Array} fields.nodes - Workflow nodes
+ * @param {Array} [fields.edges] - Workflow edges
+ * @param {Object} [fields.llmConfig] - Workflow-level LLM defaults
+ * @param {Object} [fields.budget] - Token and cost limits for each row
+ * @param {string} [fields.workflowId] - Saved workflow the runs belong to
+ * @returns {Promise<Object>} - Batch summary
+ */
+async function createBatch(user, { format, data, fileName, concurrency, nodes, edges = [], llmConfig = null, budget = null, workflowId = null }) {
+  const { columns, rows } = parseDataset(format, data);
+  const maxRows = numberFromEnv('BATCH_MAX_ROWS', DEFAULT_MAX_ROWS);
+  if (rows.length === 0) {
+    throw httpError(400, 'The dataset has no rows');
+  }
+  if (rows.length > maxRows) {
+    throw httpError(400, `The dataset has ${rows.length} rows; a batch can have at most ${maxRows}`);
+  }
+
+  const inputNames = nodes.filter(node => node.type === 'customInput').map(getInputName);
+  const missing = inputNames.filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw httpError(400, `The dataset has no column for inputs: ${missing.join(', ')}`, { inputs: inputNames, columns });
+  }
+
+  const graph = { nodes, edges, llmConfig, budget };
+  const batch = {
+    id: `bat_${crypto.randomBytes(8).toString('hex')}`,
+    workspaceId: user.workspaceId,
+    workflowId,
+    createdBy: user.username,
+    format,
+    fileName: fileName || `dataset.${format}`,
+    columns,
+    outputNames: nodes.filter(node => node.type === 'customOutput').map(getOutputName),
+    concurrency: Math.min(concurrency || DEFAULT_CONCURRENCY, numberFromEnv('BATCH_MAX_CONCURRENCY', DEFAULT_MAX_CONCURRENCY)),
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    workflow: { ...snapshotWorkflow(graph), budget },
+    rows: rows.map((values, index) => ({
+      index,
+      values,
+      status: 'pending',
+      runId: null,
+      outputs: null,
+      usage: null,
+      error: null
+    }))
+  };
+
+  await batchStores(user.workspaceId).put(batch.id, batch);
+  logger.info('Batch started', { batchId: batch.id, rows: rows.length, concurrency: batch.concurrency, userId: user.id });
+  startBatch(batch, user, graph);
+  return toView(batch);
+}
+
+/**
+ * Load a batch of a workspace. A batch saved as running that is not running
+ * in this process was interrupted by a restart.
+ * @param {string} workspaceId - Workspace the batch belongs to
+ * @param {string} id - Batch id
+ * @returns {Promise<Object>} - Batch record
+ */
+async function findBatch(workspaceId, id) {
+  const run = active.get(id);
+  if (run) {
+    if (run.batch.workspaceId !== workspaceId) throw httpError(404, `Batch "${id}" not found`);
+    return run.batch;
+  }
+
+  const batch = await batchStores(workspaceId).get(id);
+  if (!batch) {
+    throw httpError(404, `Batch "${id}" not found`);
+  }
+  if (batch.status === 'running') {
+    batch.status = 'interrupted';
+    batch.rows.forEach(row => {
+      if (row.status === 'running') row.status = 'pending';
+    });
+  }
+  return batch;
+}
+
+/**
+ * List a workspace's batches, newest first
+ * @param {string} workspaceId - Workspace
+ * @returns {Promise<Array>} - Batch summaries
+ */
+async function listBatches(workspaceId) {
+  const ids = await batchStores(workspaceId).listIds();
+  const batches = await Promise.all(ids.map(id => findBatch(workspaceId, id)));
+  return batches
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(batch => toView(batch));
+}
+
+/**
+ * Get a batch with every row
+ * @param {string} workspaceId - Workspace the batch belongs to
+ * @param {string} id - Batch id
+ * @returns {Promise<Object>} - Batch with rows
+ */
+async function getBatch(workspaceId, id) {
+  return toView(await findBatch(workspaceId, id), true);
+}
+
+/**
+ * The batch's dataset with the output columns, and an error column, appended
+ * @param {string} workspaceId - Workspace the batch belongs to
+ * @param {string} id - Batch id
+ * @returns {Promise<Object>} - { fileName, format, content }
+ */
+async function exportResults(workspaceId, id) {
+  const batch = await findBatch(workspaceId, id);
+  const added = [...batch.outputNames, 'error'].filter(column => !batch.columns.includes(column));
+  const rows = batch.rows.map(row => ({
+    ...row.values,
+    ...row.outputs,
+    ...(added.includes('error') && row.status !== 'completed' ? { error: row.error || row.status } : {})
+  }));
+
+  return {
+    fileName: batch.fileName.replace(/(\.[^.]*)?$/, `-results.${batch.format}`),
+    format: batch.format,
+    content: formatDataset(batch.format, [...batch.columns, ...added], rows)
+  };
+}
+
+/**
+ * Run a batch's failed, cancelled and unfinished rows again
+ * @param {Object} user - Signed-in user
+ * @param {string} id - Batch id
+ * @param {Object} [fields] - Request fields
+ * @param {Array<number>} [fields.rows] - Only these row indexes
+ * @param {Object} [fields.llmConfig] - Workflow-level LLM defaults, e.g. with a new API key
+ * @returns {Promise<Object>} - Batch summary
+ */
+async function retryBatch(user, id, { rows: only, llmConfig } = {}) {
+  const batch = await findBatch(user.workspaceId, id);
+  if (active.has(id)) {
+    throw httpError(409, `Batch "${id}" is still running. Cancel it or wait for it to finish.`);
+  }
+
+  const retried = batch.rows.filter(row => row.status !== 'completed' && (!only || only.includes(row.index)));
+  if (retried.length === 0) {
+    throw httpError(400, 'There are no failed rows to retry');
+  }
+  retried.forEach(row => Object.assign(row, { status: 'pending', error: null }));
+
+  const { workflow } = batch;
+  logger.info('Batch retried', { batchId: id, rows: retried.length, userId: user.id });
+  startBatch(batch, user, { ...workflow, llmConfig: llmConfig || workflow.llmConfig });
+  return toView(batch);
+}
+
+/**
+ * Cancel a running batch: pending rows are skipped and running rows aborted
+ * @param {string} workspaceId - Workspace the batch belongs to
+ * @param {string} id - Batch id
+ * @returns {Promise<Object>} - Batch summary
+ */
+async function cancelBatch(workspaceId, id) {
+  await findBatch(workspaceId, id);
+  const run = active.get(id);
+  if (!run) {
+    throw httpError(409, `Batch "${id}" is not running`);
+  }
+
+  run.controller.abort();
+  logger.info('Batch cancelled', { batchId: id });
+  return toView(run.batch);
+}
+
+/**
+ * Stop running batches and save them so they can be retried after a restart
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+  const runs = [...active.values()];
+  runs.forEach(run => {
+    run.interrupted = true;
+    run.controller.abort();
+  });
+
+  while (runs.some(run => active.has(run.batch.id))) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  await Promise.all(runs.map(run => saveBatch(run, true)));
+}
+
+module.exports = {
+  createBatch,
+  listBatches,
+  getBatch,
+  exportResults,
+  retryBatch,
+  cancelBatch,
+  shutdown
+};
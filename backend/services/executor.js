@@ -0,0 +1,635 @@
+// services/executor.js - Workflow Graph Execution Engine
+// Runs every node in topological order, passing values along the edges
+
+const logger = require('../utils/logger');
+const { topologicalSort, getHandleName } = require('../utils/graph');
+const { getCacheKey, getFromCache, setCache } = require('../utils/cache');
+const { httpError } = require('../utils/httpError');
+const { compilePattern, testPattern } = require('../utils/safeRegex');
+const { getProvider } = require('./providers');
+const { resolveGenerationConfig } = require('./providers/generationConfig');
+const { calculateCost, estimateUsage, summarizeUsage } = require('./pricing');
+const { resolveApiKey } = require('./secretStore');
+
+const DEFAULT_MODEL = getProvider('gemini').defaultModel;
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant.';
+
+/**
+ * Replace {{variable}} placeholders with the matching values.
+ * Unknown variables are left untouched.
+ * @param {string} text - Template text
+ * @param {Object} values - Variable name to value map
+ * @returns {string} - Filled text
+ */
+function fillTemplate(text, values) {
+  return String(text).replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, name) =>
+    values[name] !== undefined ? String(values[name]) : match
+  );
+}
+
+/**
+ * Evaluate a Filter node condition against a value.
+ * `/pattern/flags` is a regular expression, run within the limits of
+ * safeRegex; anything else is a case-insensitive substring. An empty
+ * condition lets everything through.
+ * @param {string} condition - Filter condition
+ * @param {string} value - Incoming value
+ * @returns {boolean} - True if the value passes the filter
+ */
+function matchesCondition(condition, value) {
+  const trimmed = (condition || '').trim();
+  if (!trimmed) return true;
+
+  const regexMatch = trimmed.match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regexMatch) {
+    return testPattern(compilePattern(regexMatch[1], regexMatch[2]), String(value));
+  }
+
+  return String(value).toLowerCase().includes(trimmed.toLowerCase());
+}
+
+/**
+ * Check a value against a single Validation node rule.
+ * Supported rules: required, number, email, url, minLength:n, maxLength:n,
+ * regex:pattern (or /pattern/flags).
+ * @param {string} rule - Rule as typed in the node
+ * @param {string} value - Incoming value
+ * @returns {boolean} - True if the value satisfies the rule
+ */
+function checkRule(rule, value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  const [name, ...rest] = rule.split(':');
+  const arg = rest.join(':').trim();
+
+  switch (name.trim().toLowerCase()) {
+    case 'required':
+      return text.trim().length > 0;
+    case 'number':
+      return text.trim() !== '' && !isNaN(Number(text));
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text.trim());
+    case 'url':
+      return /^https?:\/\/\S+$/.test(text.trim());
+    case 'minlength':
+      return text.length >= Number(arg);
+    case 'maxlength':
+      return text.length <= Number(arg);
+    case 'regex':
+      return testPattern(compilePattern(arg), text);
+    default:
+      if (/^\/.+\/[gimsuy]*$/.test(rule.trim())) {
+        return matchesCondition(rule, text);
+      }
+      throw new Error(`Unknown validation rule "${rule}"`);
+  }
+}
+
+/**
+ * Whether an LLM node talks to the endpoint the server-side key belongs to.
+ * Providers without serverBaseUrl ignore the baseUrl param.
+ * @param {Object} provider - Provider the node runs with
+ * @param {string|null} baseUrl - Base URL set on the node or in llmConfig
+ * @returns {boolean} - True if the server's key may be sent
+ */
+function usesServerEndpoint(provider, baseUrl) {
+  if (!baseUrl || !provider.serverBaseUrl) return true;
+  const trim = (url) => url.replace(/\/+$/, '');
+  return trim(baseUrl) === trim(provider.serverBaseUrl());
+}
+
+/**
+ * Resolve the settings an LLM node runs with. Values configured on the node
+ * win; the workflow-level llmConfig only fills in what the node leaves empty.
+ * The server's own key is only used for the endpoint it belongs to; a node
+ * pointed at another base URL has to bring its own key or secret.
+ * @param {Object} node - LLM node
+ * @param {Object|null} llmConfig - Workflow-level defaults
+ * @returns {Object} - provider, model, prompts, credentials and generation parameters for this node
+ *   (apiKey may still be a secret:<name> reference)
+ */
+function getLLMSettings(node, llmConfig) {
+  const data = node.data || {};
+  const provider = getProvider(data.provider || llmConfig?.provider);
+  const sameProviderAsConfig = getProvider(llmConfig?.provider).name === provider.name;
+  const personalKey = data.usePersonalKey !== false ? data.apiKey : null;
+  const configKey = sameProviderAsConfig ? llmConfig?.apiKey : null;
+  const baseUrl = data.baseUrl || llmConfig?.baseUrl || null;
+  const serverKey = provider.apiKeyEnv && usesServerEndpoint(provider, baseUrl)
+    ? process.env[provider.apiKeyEnv]
+    : null;
+
+  return {
+    provider,
+    model: data.model || (sameProviderAsConfig && llmConfig?.model) || provider.defaultModel,
+    system: data.system || llmConfig?.system || '',
+    prompt: data.prompt || llmConfig?.prompt || '',
+    apiKey: personalKey || configKey || serverKey || null,
+    baseUrl,
+    generationConfig: resolveGenerationConfig(llmConfig?.generationConfig, data.generationConfig),
+    safetySettings: data.safetySettings || llmConfig?.safetySettings || []
+  };
+}
+
+/**
+ * Combine a configured LLM prompt field with the value wired into its handle.
+ * `{{system}}` / `{{prompt}}` in the configured text mark where the wired
+ * value goes; without a placeholder it is appended after the configured text.
+ * `{{inputName}}` variables are filled from the workflow inputs, so an Input
+ * node wired into the handle whose variable the text already uses is not
+ * appended a second time.
+ * @param {string} configured - Text entered on the node
+ * @param {string|undefined} wired - Value arriving on the handle
+ * @param {string} handleName - Handle the value arrived on
+ * @param {Object} variables - Input values by input name
+ * @param {Array<string>} [wiredInputNames] - Names of the Input nodes wired into the handle
+ * @returns {string} - Final text sent to the model
+ */
+function resolvePromptField(configured, wired, handleName, variables, wiredInputNames = []) {
+  if (!configured) {
+    return wired ?? '';
+  }
+
+  const filled = fillTemplate(configured, { ...variables, [handleName]: wired });
+  const referenced = [...configured.matchAll(/\{\{\s*([^}]+?)\s*\}\}/g)].map(match => match[1]);
+  const placed = [handleName, ...wiredInputNames].some(name => referenced.includes(name));
+
+  return wired !== undefined && !placed ? `${filled}\n\n${wired}` : filled;
+}
+
+/**
+ * Names of the Input nodes wired straight into one of a node's handles
+ * @param {string} nodeId - Node the edges go into
+ * @param {string} handleName - Target handle
+ * @param {Object} context - Run context (edges and nodeMap)
+ * @returns {Array<string>} - Input names
+ */
+function getWiredInputNames(nodeId, handleName, context) {
+  return context.edges
+    .filter(edge => edge.target === nodeId && getHandleName(nodeId, edge.targetHandle) === handleName)
+    .map(edge => context.nodeMap.get(edge.source))
+    .filter(source => source?.type === 'customInput')
+    .map(getInputName);
+}
+
+/**
+ * Call the LLM for one node, going through the response cache.
+ * Responses are only shared within a workspace. A cache hit reports the usage
+ * of the call it came from, so it still counts against budgets and quotas.
+ * @param {Object} params - Workspace, provider, model, prompts, API key, base URL and generation parameters
+ * @param {Function} [params.onToken] - Streams the response when given
+ * @param {AbortSignal} [params.signal] - Aborts the provider request
+ * @returns {Promise<Object>} - Generated text and token usage ({ text, usage })
+ */
+async function runLLM({ workspaceId, provider, model, system, prompt, apiKey, baseUrl, generationConfig, safetySettings, onToken, signal }) {
+  // Exclude API key from cache key for security
+  const cacheKey = getCacheKey({
+    workspaceId: workspaceId || null,
+    provider: provider.name,
+    baseUrl,
+    model,
+    system,
+    prompt,
+    generationConfig,
+    safetySettings
+  });
+
+  const cached = getFromCache(cacheKey);
+  if (cached) {
+    logger.info('Cache hit for LLM node', { provider: provider.name, model });
+    if (onToken) onToken(cached.text);
+    return { text: cached.text, usage: { ...cached.usage, cached: true } };
+  }
+
+  logger.info('Calling LLM provider', { provider: provider.name, model, streaming: !!onToken });
+  const params = { model, system, prompt, apiKey, baseUrl, generationConfig, safetySettings, signal };
+  const { text, usage } = onToken
+    ? await provider.stream({ ...params, onToken })
+    : await provider.generate(params);
+
+  const result = { text, usage: usage || estimateUsage(`${system}\n\n${prompt}`, text) };
+  setCache(cacheKey, result);
+  logger.info('LLM response received', { provider: provider.name, responseLength: text.length });
+  return result;
+}
+
+/**
+ * Resolve the token and cost limits for a run. RUN_MAX_TOKENS and
+ * RUN_MAX_COST_USD cap every run; a request may only set a lower limit.
+ * @param {Object|null} budget - Requested limits ({ maxTokens, maxCostUsd })
+ * @returns {Object} - Effective limits, null where there is none
+ */
+function resolveBudget(budget) {
+  const lowest = (requested, envValue) => {
+    const limits = [requested, envValue ? Number(envValue) : null].filter(limit => limit > 0);
+    return limits.length > 0 ? Math.min(...limits) : null;
+  };
+
+  return {
+    maxTokens: lowest(budget?.maxTokens, process.env.RUN_MAX_TOKENS),
+    maxCostUsd: lowest(budget?.maxCostUsd, process.env.RUN_MAX_COST_USD)
+  };
+}
+
+/**
+ * Describe how the usage so far exceeds the run budget
+ * @param {Object} budget - Effective limits from resolveBudget
+ * @param {Object} usage - Totals from summarizeUsage
+ * @returns {string|null} - Reason the budget is exceeded, or null if within it
+ */
+function getBudgetViolation(budget, usage) {
+  if (budget.maxTokens !== null && usage.totalTokens > budget.maxTokens) {
+    return `${usage.totalTokens} tokens used, limit is ${budget.maxTokens}`;
+  }
+
+  if (budget.maxCostUsd !== null && usage.costUsd > budget.maxCostUsd) {
+    return `$${usage.costUsd.toFixed(4)} spent, limit is $${budget.maxCostUsd}`;
+  }
+
+  return null;
+}
+
+/**
+ * Name an input node's value is submitted under
+ * @param {Object} node - customInput node
+ * @returns {string} - Input name
+ */
+function getInputName(node) {
+  return node.data?.inputName || node.id.replace('customInput-', 'input_');
+}
+
+/**
+ * Name an output node's value is reported under
+ * @param {Object} node - customOutput node
+ * @returns {string} - Output name
+ */
+function getOutputName(node) {
+  return node.data?.outputName || node.id.replace('customOutput-', 'output_');
+}
+
+// Node handlers receive the node, the values on its target handles and the
+// run context, and return the values for each of their source handles.
+// A handle left undefined is a branch that was not taken.
+const nodeHandlers = {
+  customInput: async (node, incoming, context) => {
+    const inputName = getInputName(node);
+    const value = context.inputs[node.id] !== undefined
+      ? context.inputs[node.id]
+      : context.inputs[inputName];
+
+    return { value: value !== undefined ? String(value) : '' };
+  },
+
+  text: async (node, incoming) => ({
+    output: fillTemplate(node.data?.text ?? '{{input}}', incoming)
+  }),
+
+  template: async (node, incoming) => ({
+    output: fillTemplate(node.data?.template || '', incoming)
+  }),
+
+  llm: async (node, incoming, context) => {
+    const settings = getLLMSettings(node, context.llmConfig);
+    const system = resolvePromptField(settings.system, incoming.system, 'system', context.variables,
+      getWiredInputNames(node.id, 'system', context)) || DEFAULT_SYSTEM_PROMPT;
+    const prompt = resolvePromptField(settings.prompt, incoming.prompt, 'prompt', context.variables,
+      getWiredInputNames(node.id, 'prompt', context));
+
+    if (!prompt.trim()) {
+      throw new Error('Prompt is empty. Connect a value to the prompt handle or enter a prompt.');
+    }
+
+    const { provider, model, baseUrl, generationConfig, safetySettings } = settings;
+
+    // Recorded responses stand in for the provider, so tests are repeatable and free
+    const recorded = context.llmResponses[node.id];
+    if (recorded !== undefined) {
+      if (context.streaming) context.emit('node:token', { nodeId: node.id, token: recorded });
+      context.llmCalls.push({
+        nodeId: node.id,
+        provider: provider.name,
+        model,
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, recorded: true }
+      });
+      return { response: recorded };
+    }
+
+    const apiKey = await resolveApiKey(context.workspaceId, settings.apiKey);
+    if (provider.requiresApiKey && !apiKey) {
+      logger.error('API key missing', { nodeId: node.id, provider: provider.name });
+      throw httpError(400, `No API key provided. Please set ${provider.apiKeyEnv} in .env file or provide a personal API key.`);
+    }
+
+    const onToken = context.streaming
+      ? (token) => context.emit('node:token', { nodeId: node.id, token })
+      : undefined;
+    const { text: response, usage } = await runLLM({
+      workspaceId: context.workspaceId,
+      provider, model, system, prompt, apiKey, baseUrl, generationConfig, safetySettings, onToken,
+      signal: context.signal
+    });
+    context.llmCalls.push({
+      nodeId: node.id,
+      provider: provider.name,
+      model,
+      usage: { ...usage, costUsd: calculateCost(provider.name, model, usage) }
+    });
+
+    return { response };
+  },
+
+  transform: async (node, incoming) => {
+    const value = incoming.input ?? '';
+
+    switch (node.data?.transform) {
+      case 'uppercase':
+        return { output: value.toUpperCase() };
+      case 'lowercase':
+        return { output: value.toLowerCase() };
+      case 'capitalize':
+        return { output: value.replace(/\b\w/g, char => char.toUpperCase()) };
+      case 'trim':
+        return { output: value.trim() };
+      case 'number': {
+        const number = Number(value);
+        if (isNaN(number)) {
+          throw new Error(`Cannot convert "${value}" to a number`);
+        }
+        return { output: String(number) };
+      }
+      default:
+        return { output: value };
+    }
+  },
+
+  filter: async (node, incoming) => {
+    const value = incoming.input ?? '';
+    return { output: matchesCondition(node.data?.condition, value) ? value : undefined };
+  },
+
+  merge: async (node, incoming) => {
+    const first = incoming.input1 ?? '';
+    const second = incoming.input2 ?? '';
+
+    switch (node.data?.mergeType || 'concat') {
+      case 'join':
+        return { output: [incoming.input1, incoming.input2].filter(v => v !== undefined).join('\n') };
+      case 'zip': {
+        const firstLines = first.split('\n');
+        const secondLines = second.split('\n');
+        const length = Math.max(firstLines.length, secondLines.length);
+        const lines = [];
+        for (let i = 0; i < length; i++) {
+          if (i < firstLines.length) lines.push(firstLines[i]);
+          if (i < secondLines.length) lines.push(secondLines[i]);
+        }
+        return { output: lines.join('\n') };
+      }
+      default:
+        return { output: `${first}${second}` };
+    }
+  },
+
+  validation: async (node, incoming) => {
+    const value = incoming.input ?? '';
+    const rules = node.data?.rules || [];
+    const isValid = rules.every(rule => checkRule(rule, value));
+
+    return isValid ? { valid: value } : { invalid: value };
+  },
+
+  customOutput: async (node, incoming) => ({
+    value: incoming.value
+  })
+};
+
+/**
+ * Execute a workflow graph.
+ * Nodes run in topological order. Each node only sees the values wired
+ * into its target handles; a node whose incoming edges all come from
+ * skipped nodes or untaken branches is skipped as well.
+ * @param {Object} workflow - Workflow definition
+ * @param {Array} workflow.nodes - Workflow nodes
+ * @param {Array} workflow.edges - Workflow edges
+ * @param {Object} workflow.inputs - Input values keyed by node id or input name
+ * @param {Object} workflow.llmConfig - Defaults for LLM nodes that leave a setting empty
+ * @param {Object} [workflow.budget] - Token and cost limits ({ maxTokens, maxCostUsd });
+ *   the run is aborted after the LLM call that exceeds them
+ * @param {Object} [options] - Execution options
+ * @param {Function} [options.onEvent] - Called with (event, payload) as nodes start,
+ *   produce output, fail or are skipped, and with LLM tokens as they arrive
+ * @param {AbortSignal} [options.signal] - Cancels the run: the LLM call in flight is
+ *   aborted and the remaining nodes are skipped
+ * @param {string} [options.workspaceId] - Workspace whose secrets "secret:<name>" keys refer to
+ * @param {Object} [options.llmResponses] - Responses by LLM node id; those nodes return
+ *   them instead of calling their provider
+ * @returns {Promise<Object>} - Outputs keyed by output node id, per-node results,
+ *   execution order and token usage
+ */
+async function executeWorkflow({ nodes, edges = [], inputs = {}, llmConfig = null, budget = null }, options = {}) {
+  if (!nodes || !Array.isArray(nodes)) {
+    throw new Error('Invalid nodes data');
+  }
+
+  const inputNodes = nodes.filter(node => node.type === 'customInput');
+  const outputNodes = nodes.filter(node => node.type === 'customOutput');
+
+  if (inputNodes.length === 0) {
+    throw new Error('No input nodes found in workflow');
+  }
+
+  if (outputNodes.length === 0) {
+    throw new Error('No output nodes found in workflow');
+  }
+
+  const executionOrder = topologicalSort(nodes, edges);
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+
+  // Input values by input name, for {{inputName}} in configured prompts
+  const variables = {};
+  inputNodes.forEach(node => {
+    const inputName = getInputName(node);
+    const value = inputs[node.id] !== undefined ? inputs[node.id] : inputs[inputName];
+    if (value !== undefined) {
+      variables[inputName] = String(value);
+    }
+  });
+
+  const emit = (event, payload) => {
+    if (!options.onEvent) return;
+    try {
+      options.onEvent(event, payload);
+    } catch (error) {
+      logger.warn('Execution event listener failed', { event, error: error.message });
+    }
+  };
+
+  const context = {
+    inputs,
+    variables,
+    edges,
+    nodeMap,
+    llmConfig,
+    llmCalls: [],
+    emit,
+    streaming: !!options.onEvent,
+    signal: options.signal,
+    workspaceId: options.workspaceId,
+    llmResponses: options.llmResponses || {}
+  };
+  const runBudget = resolveBudget(budget);
+  const nodeOutputs = {};
+  const nodeResults = {};
+  const outputs = {};
+
+  // Error for a cancelled run; nodes that never started are reported as skipped
+  const cancelled = () => {
+    executionOrder.filter(id => !nodeResults[id]).forEach(id => {
+      const { type } = nodeMap.get(id);
+      nodeResults[id] = { type, status: 'skipped' };
+      emit('node:skipped', { nodeId: id, type });
+    });
+
+    logger.info('Workflow run cancelled');
+    const cancelError = new Error('Workflow run was cancelled');
+    cancelError.cancelled = true;
+    cancelError.usage = summarizeUsage(context.llmCalls);
+    cancelError.nodeResults = nodeResults;
+    return cancelError;
+  };
+
+  for (const nodeId of executionOrder) {
+    if (options.signal?.aborted) {
+      throw cancelled();
+    }
+
+    const node = nodeMap.get(nodeId);
+    const handler = nodeHandlers[node.type];
+
+    if (!handler) {
+      throw new Error(`Unsupported node type "${node.type}" (node ${node.id})`);
+    }
+
+    // Collect the values arriving on each target handle
+    const incomingEdges = edges.filter(edge => edge.target === nodeId && nodeMap.has(edge.source));
+    const incoming = {};
+    let receivedValue = false;
+
+    incomingEdges.forEach(edge => {
+      const sourceValues = nodeOutputs[edge.source] || {};
+      const sourceHandle = getHandleName(edge.source, edge.sourceHandle);
+      const value = sourceHandle ? sourceValues[sourceHandle] : Object.values(sourceValues)[0];
+
+      if (value === undefined) return;
+      receivedValue = true;
+
+      const targetHandle = getHandleName(nodeId, edge.targetHandle) || 'input';
+      incoming[targetHandle] = incoming[targetHandle] !== undefined
+        ? `${incoming[targetHandle]}\n\n${value}`
+        : value;
+    });
+
+    if (incomingEdges.length > 0 && !receivedValue) {
+      nodeOutputs[nodeId] = {};
+      nodeResults[nodeId] = { type: node.type, status: 'skipped' };
+      logger.debug('Node skipped', { nodeId });
+      emit('node:skipped', { nodeId, type: node.type });
+      continue;
+    }
+
+    const startTime = Date.now();
+    emit('node:start', { nodeId, type: node.type, inputs: incoming });
+
+    let result;
+    try {
+      result = await handler(node, incoming, context);
+    } catch (error) {
+      const durationMs = Date.now() - startTime;
+
+      if (options.signal?.aborted) {
+        nodeResults[nodeId] = { type: node.type, status: 'cancelled', durationMs };
+        emit('node:cancelled', { nodeId, type: node.type, durationMs });
+        throw cancelled();
+      }
+
+      nodeResults[nodeId] = { type: node.type, status: 'failed', error: error.message, durationMs };
+      emit('node:error', { nodeId, type: node.type, error: error.message, durationMs });
+
+      const nodeError = new Error(`${node.type} node "${node.id}" failed: ${error.message}`);
+      nodeError.nodeId = node.id;
+      nodeError.status = error.status;
+      nodeError.usage = summarizeUsage(context.llmCalls);
+      nodeError.nodeResults = nodeResults;
+      throw nodeError;
+    }
+
+    const llmCall = context.llmCalls.find(call => call.nodeId === nodeId);
+    nodeOutputs[nodeId] = result;
+    nodeResults[nodeId] = {
+      type: node.type,
+      status: 'completed',
+      outputs: result,
+      durationMs: Date.now() - startTime,
+      ...(llmCall ? { usage: llmCall.usage } : {})
+    };
+    emit('node:output', {
+      nodeId,
+      type: node.type,
+      outputs: result,
+      durationMs: nodeResults[nodeId].durationMs,
+      usage: llmCall?.usage
+    });
+
+    if (llmCall) {
+      const usage = summarizeUsage(context.llmCalls);
+      const violation = getBudgetViolation(runBudget, usage);
+
+      if (violation) {
+        logger.warn('Run budget exceeded', { nodeId, violation });
+        const budgetError = new Error(`Run budget exceeded after node "${node.id}": ${violation}`);
+        budgetError.nodeId = node.id;
+        budgetError.usage = usage;
+        budgetError.nodeResults = nodeResults;
+        throw budgetError;
+      }
+    }
+
+    if (node.type === 'customOutput' && result.value !== undefined) {
+      outputs[nodeId] = result.value;
+    }
+  }
+
+  return {
+    outputs,
+    nodeResults,
+    executionOrder,
+    llmCalls: context.llmCalls,
+    usage: summarizeUsage(context.llmCalls)
+  };
+}
+
+/**
+ * Run every LLM node of a workflow with one provider and its default model.
+ * Keys are dropped as well, since a key rarely works with another provider.
+ * @param {Object} workflow - nodes and llmConfig
+ * @param {string} provider - Provider name
+ * @returns {Object} - Workflow with the provider set on every LLM node
+ */
+function withProvider(workflow, provider) {
+  const nodes = workflow.nodes.map(node => {
+    if (node.type !== 'llm') return node;
+    const { model, apiKey, ...data } = node.data || {};
+    return { ...node, data: { ...data, provider } };
+  });
+
+  const { model, apiKey, ...llmConfig } = workflow.llmConfig || {};
+  return { ...workflow, nodes, llmConfig: { ...llmConfig, provider } };
+}
+
+module.exports = {
+  executeWorkflow,
+  withProvider,
+  fillTemplate,
+  getInputName,
+  getOutputName,
+  DEFAULT_MODEL
+};
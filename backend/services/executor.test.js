@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../utils/logger');
+const { getErrorStatusCode } = require('../utils/httpError');
+const { MASK } = require('../utils/redact');
+const { executeWorkflow, fillTemplate, withProvider } = require('./executor');
+
+logger.configure({ level: null });
+
+const input = (id, inputName) => ({ id, type: 'customInput', data: { inputName } });
+const output = (id) => ({ id, type: 'customOutput', data: {} });
+const llm = (id, data = {}) => ({ id, type: 'llm', data: { provider: 'mock', ...data } });
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}-${target}-${targetHandle}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`
+});
+
+// Input -> LLM prompt -> Output, with the prompt configured on the LLM node
+function promptWorkflow(prompt) {
+  return {
+    nodes: [input('customInput-1', 'topic'), llm('llm-1', { prompt }), output('customOutput-1')],
+    edges: [
+      edge('customInput-1', 'value', 'llm-1', 'prompt'),
+      edge('llm-1', 'response', 'customOutput-1', 'value')
+    ]
+  };
+}
+
+test('fillTemplate fills known variables and leaves unknown ones', () => {
+  assert.equal(fillTemplate('Hi {{ name }}, {{missing}}', { name: 'Ada' }), 'Hi Ada, {{missing}}');
+  assert.equal(fillTemplate('{{n}}', { n: 0 }), '0');
+});
+
+test('nodes run after all of their sources', async () => {
+  const nodes = [
+    output('customOutput-1'),
+    { id: 'merge-1', type: 'merge', data: { mergeType: 'join' } },
+    { id: 'transform-1', type: 'transform', data: { transform: 'uppercase' } },
+    input('customInput-1', 'text')
+  ];
+  const edges = [
+    edge('customInput-1', 'value', 'transform-1', 'input'),
+    edge('customInput-1', 'value', 'merge-1', 'input1'),
+    edge('transform-1', 'output', 'merge-1', 'input2'),
+    edge('merge-1', 'output', 'customOutput-1', 'value')
+  ];
+
+  const result = await executeWorkflow({ nodes, edges, inputs: { text: 'hello' } });
+
+  assert.deepEqual(result.executionOrder, ['customInput-1', 'transform-1', 'merge-1', 'customOutput-1']);
+  assert.equal(result.outputs['customOutput-1'], 'hello\nHELLO');
+});
+
+test('a filter that rejects its value skips the nodes after it', async () => {
+  const nodes = [
+    input('customInput-1', 'text'),
+    { id: 'filter-1', type: 'filter', data: { condition: '/^\\d+$/' } },
+    output('customOutput-1')
+  ];
+  const edges = [
+    edge('customInput-1', 'value', 'filter-1', 'input'),
+    edge('filter-1', 'output', 'customOutput-1', 'value')
+  ];
+
+  const passed = await executeWorkflow({ nodes, edges, inputs: { text: '42' } });
+  assert.equal(passed.outputs['customOutput-1'], '42');
+
+  const rejected = await executeWorkflow({ nodes, edges, inputs: { text: 'forty-two' } });
+  assert.deepEqual(rejected.outputs, {});
+  assert.equal(rejected.nodeResults['customOutput-1'].status, 'skipped');
+});
+
+test('Filter and Validation patterns that run too long fail the node', async () => {
+  const slowPattern = '/^(a+)+$/';
+  const value = `${'a'.repeat(40)}!`;
+  const workflow = (node) => ({
+    nodes: [input('customInput-1', 'text'), node, output('customOutput-1')],
+    edges: [
+      edge('customInput-1', 'value', node.id, 'input'),
+      edge(node.id, node.type === 'filter' ? 'output' : 'valid', 'customOutput-1', 'value')
+    ],
+    inputs: { text: value }
+  });
+
+  const started = Date.now();
+  await assert.rejects(
+    executeWorkflow(workflow({ id: 'filter-1', type: 'filter', data: { condition: slowPattern } })),
+    /filter node "filter-1" failed: .* took longer than 100ms/
+  );
+  await assert.rejects(
+    executeWorkflow(workflow({ id: 'validation-1', type: 'validation', data: { rules: ['regex:^(a+)+$'] } })),
+    /validation node "validation-1" failed: .* took longer than 100ms/
+  );
+  assert.ok(Date.now() - started < 2000);
+
+  await assert.rejects(
+    executeWorkflow(workflow({ id: 'filter-1', type: 'filter', data: { condition: `/${'a'.repeat(1001)}/` } })),
+    /Pattern is longer than 1000 characters/
+  );
+});
+
+test('a workflow with a cycle is refused', async () => {
+  const nodes = [
+    input('customInput-1', 'a'),
+    { id: 'transform-1', type: 'transform', data: {} },
+    { id: 'transform-2', type: 'transform', data: {} },
+    output('customOutput-1')
+  ];
+  const edges = [
+    edge('transform-1', 'output', 'transform-2', 'input'),
+    edge('transform-2', 'output', 'transform-1', 'input')
+  ];
+
+  await assert.rejects(executeWorkflow({ nodes, edges }), /cycle/);
+});
+
+test('a missing provider key is a 400, not a 401 that would sign the user out', async (t) => {
+  const serverKey = process.env.GOOGLE_API_KEY;
+  delete process.env.GOOGLE_API_KEY;
+  t.after(() => {
+    if (serverKey !== undefined) process.env.GOOGLE_API_KEY = serverKey;
+  });
+
+  for (const apiKey of [undefined, MASK]) {
+    const workflow = promptWorkflow('Hi');
+    workflow.nodes[1] = llm('llm-1', { provider: 'gemini', prompt: 'Hi', apiKey });
+    await assert.rejects(
+      executeWorkflow(workflow),
+      error => /API key/.test(error.message) && getErrorStatusCode(error) === 400
+    );
+  }
+});
+
+test('a wired value goes where {{prompt}} is', async () => {
+  const workflow = promptWorkflow('Write about {{prompt}} today');
+  const result = await executeWorkflow({ ...workflow, inputs: { topic: 'otters' } }, { workspaceId: 'test-placeholder' });
+
+  assert.equal(result.outputs['customOutput-1'], 'Write about otters today');
+});
+
+test('a wired value is appended when the prompt does not place it', async () => {
+  const workflow = promptWorkflow('Summarize this:');
+  const result = await executeWorkflow({ ...workflow, inputs: { topic: 'bees' } }, { workspaceId: 'test-append' });
+
+  assert.equal(result.outputs['customOutput-1'], 'Summarize this:\n\nbees');
+});
+
+test('a run stops after the LLM call that goes over its budget', async () => {
+  const workflow = promptWorkflow('Explain {{prompt}}');
+  const request = { ...workflow, inputs: { topic: 'budgets' }, budget: { maxTokens: 1 } };
+
+  await assert.rejects(executeWorkflow(request, { workspaceId: 'test-budget' }), error => {
+    assert.match(error.message, /Run budget exceeded after node "llm-1"/);
+    assert.ok(error.usage.totalTokens > 1);
+    return true;
+  });
+});
+
+test('withProvider switches every LLM node and drops keys', () => {
+  const workflow = {
+    nodes: [llm('llm-1', { provider: 'openai', model: 'gpt-4o', apiKey: 'sk-test' }), input('customInput-1', 'a')],
+    llmConfig: { provider: 'gemini', apiKey: 'key' }
+  };
+  const switched = withProvider(workflow, 'mock');
+
+  assert.deepEqual(switched.nodes[0].data, { provider: 'mock' });
+  assert.deepEqual(switched.nodes[1], workflow.nodes[1]);
+  assert.deepEqual(switched.llmConfig, { provider: 'mock' });
+});
+
+test('an Input wired into the prompt is not appended when the prompt uses its variable', async () => {
+  const workflow = promptWorkflow('Write about {{topic}}');
+  const result = await executeWorkflow({ ...workflow, inputs: { topic: 'whales' } }, { workspaceId: 'test-variable' });
+
+  assert.equal(result.outputs['customOutput-1'], 'Write about whales');
+});
+
+test('a cached response still counts against the budget', async () => {
+  const workflow = promptWorkflow('Tell me about {{topic}} in detail');
+  const request = { ...workflow, inputs: { topic: 'caching' } };
+
+  const first = await executeWorkflow(request, { workspaceId: 'test-cache' });
+  const tokens = first.usage.totalTokens;
+  assert.ok(tokens > 0);
+
+  const second = await executeWorkflow(request, { workspaceId: 'test-cache' });
+  assert.equal(second.usage.totalTokens, tokens);
+  assert.equal(second.nodeResults['llm-1'].usage.cached, true);
+
+  await assert.rejects(
+    executeWorkflow({ ...request, budget: { maxTokens: tokens - 1 } }, { workspaceId: 'test-cache' }),
+    /Run budget exceeded/
+  );
+});
@@ -0,0 +1,358 @@
+// services/jobQueue.js - Background workflow runs
+// Jobs are queued in memory and run a few at a time, so long workflows do not
+// hold an HTTP request open. Clients poll a job for its status and the
+// per-node results produced so far. Jobs belong to the workspace that
+// submitted them. On shutdown, queued jobs are saved to disk and picked up
+// again on the next start.
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createFileStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+const { MASK } = require('../utils/redact');
+const { createRunId, runAndRecord } = require('./runHistory');
+const { isSecretReference } = require('./secretStore');
+
+const store = createFileStore('jobs');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_QUEUE_LIMIT = 100;
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+const DEFAULT_DRAIN_TIMEOUT_MS = 25 * 1000;
+
+const jobs = new Map();
+const queue = [];
+const controllers = new Map();
+let shuttingDown = false;
+
+const numberFromEnv = (name, fallback) => Number(process.env[name]) || fallback;
+
+/**
+ * Job as returned by the API: everything except the submitted request
+ * @param {Object} job - Job record
+ * @returns {Object} - Public view of the job
+ */
+function toView({ request, ...job }) {
+  const position = queue.indexOf(job.id);
+  return position === -1 ? job : { ...job, position: position + 1 };
+}
+
+/**
+ * Keep the per-node results of a running job up to date from execution events
+ * @param {Object} job - Job record
+ * @returns {Function} - Execution event listener
+ */
+function trackProgress(job) {
+  return (event, data) => {
+    const { nodeId, type } = data;
+
+    switch (event) {
+      case 'node:start':
+        job.nodeResults[nodeId] = { type, status: 'running', partialText: '' };
+        break;
+      case 'node:token':
+        job.nodeResults[nodeId].partialText += data.token;
+        break;
+      case 'node:output':
+        job.nodeResults[nodeId] = {
+          type,
+          status: 'completed',
+          outputs: data.outputs,
+          durationMs: data.durationMs,
+          ...(data.usage ? { usage: data.usage } : {})
+        };
+        break;
+      case 'node:error':
+        job.nodeResults[nodeId] = { type, status: 'failed', error: data.error, durationMs: data.durationMs };
+        break;
+      case 'node:skipped':
+        job.nodeResults[nodeId] = { type, status: 'skipped' };
+        break;
+      default:
+        break;
+    }
+  };
+}
+
+/**
+ * Mark a job as finished and forget it after JOB_RETENTION_MS
+ * @param {Object} job - Job record
+ * @param {Object} fields - Final status and results
+ */
+function finishJob(job, fields) {
+  Object.assign(job, fields, { finishedAt: new Date().toISOString() });
+
+  setTimeout(() => jobs.delete(job.id), numberFromEnv('JOB_RETENTION_MS', DEFAULT_RETENTION_MS)).unref();
+}
+
+/**
+ * Run one job to completion
+ * @param {Object} job - Job record
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+
+  logger.info('Job started', { jobId: job.id, runId: job.runId });
+
+  try {
+    const result = await runAndRecord(job.request, {
+      runId: job.runId,
+      workspaceId: job.workspaceId,
+      userId: job.userId,
+      source: job.source,
+      signal: controller.signal,
+      onEvent: trackProgress(job)
+    });
+
+    finishJob(job, {
+      status: 'completed',
+      outputs: result.outputs,
+      nodeResults: result.nodeResults,
+      usage: result.usage
+    });
+    logger.info('Job completed', { jobId: job.id, runId: job.runId });
+  } catch (error) {
+    finishJob(job, {
+      status: error.cancelled ? 'cancelled' : 'failed',
+      nodeResults: error.nodeResults || job.nodeResults,
+      usage: error.usage || null,
+      error: { message: error.message, nodeId: error.nodeId || null }
+    });
+    logger.warn('Job did not complete', { jobId: job.id, runId: job.runId, status: job.status, error: error.message });
+  } finally {
+    controllers.delete(job.id);
+    pump();
+  }
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function pump() {
+  const concurrency = numberFromEnv('JOB_CONCURRENCY', DEFAULT_CONCURRENCY);
+
+  while (!shuttingDown && queue.length > 0 && controllers.size < concurrency) {
+    runJob(jobs.get(queue.shift()));
+  }
+}
+
+/**
+ * New job record, waiting in the queue
+ * @param {Object} fields - id, runId, workspaceId, userId, workflowId, source, createdAt and request
+ * @returns {Object} - Job record
+ */
+function createJob({ id, runId, workspaceId, userId = null, workflowId, source = 'job', createdAt, request }) {
+  return {
+    id,
+    runId,
+    workspaceId,
+    userId,
+    workflowId,
+    source,
+    status: 'queued',
+    createdAt,
+    startedAt: null,
+    finishedAt: null,
+    nodeResults: {},
+    outputs: null,
+    usage: null,
+    error: null,
+    request
+  };
+}
+
+/**
+ * Add a job to the back of the queue
+ * @param {Object} job - Job record
+ */
+function enqueue(job) {
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  pump();
+}
+
+/**
+ * Queue a workflow run
+ * @param {string} workspaceId - Workspace the job runs in
+ * @param {Object} request - Workflow run request (see runAndRecord)
+ * @param {string} [userId] - User who submitted it, for quotas and usage
+ * @param {string} [source] - What queued it (job, webhook, schedule), for the run history
+ * @returns {Object} - The new job
+ */
+function submitJob(workspaceId, request, userId = null, source = 'job') {
+  if (shuttingDown) {
+    throw httpError(503, 'Server is shutting down. Submit the job again shortly.');
+  }
+  if (queue.length >= numberFromEnv('JOB_QUEUE_LIMIT', DEFAULT_QUEUE_LIMIT)) {
+    throw httpError(503, 'Job queue is full. Try again later.');
+  }
+
+  const job = createJob({
+    id: `job_${crypto.randomBytes(8).toString('hex')}`,
+    runId: createRunId(),
+    workspaceId,
+    userId,
+    workflowId: request.workflowId || null,
+    source,
+    createdAt: new Date().toISOString(),
+    request
+  });
+
+  enqueue(job);
+  logger.info('Job queued', { jobId: job.id, queued: queue.length });
+  return toView(job);
+}
+
+/**
+ * Number of a user's jobs that are queued or running
+ * @param {string} userId - User id
+ * @returns {number}
+ */
+function countActiveJobs(userId) {
+  let count = 0;
+  jobs.forEach(job => {
+    if (job.userId === userId && (job.status === 'queued' || job.status === 'running')) count += 1;
+  });
+  return count;
+}
+
+/**
+ * Find a job of a workspace. Jobs of other workspaces are reported as not found.
+ * @param {string} workspaceId - Workspace the job belongs to
+ * @param {string} id - Job id
+ * @returns {Object} - Job record
+ */
+function findJob(workspaceId, id) {
+  const job = jobs.get(id);
+  if (!job || job.workspaceId !== workspaceId) {
+    throw httpError(404, `Job "${id}" not found`);
+  }
+  return job;
+}
+
+/**
+ * Get a job with its status and the results produced so far
+ * @param {string} workspaceId - Workspace the job belongs to
+ * @param {string} id - Job id
+ * @returns {Object} - Job
+ */
+function getJob(workspaceId, id) {
+  return toView(findJob(workspaceId, id));
+}
+
+/**
+ * Cancel a job. A queued job is cancelled at once; a running job aborts
+ * its LLM call in flight and skips the nodes after it.
+ * @param {string} workspaceId - Workspace the job belongs to
+ * @param {string} id - Job id
+ * @returns {Object} - Job
+ */
+function cancelJob(workspaceId, id) {
+  const job = findJob(workspaceId, id);
+
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(id), 1);
+    finishJob(job, { status: 'cancelled' });
+  } else if (job.status === 'running') {
+    controllers.get(id).abort();
+    job.cancelRequested = true;
+  } else {
+    throw httpError(409, `Job "${id}" has already finished (${job.status})`);
+  }
+
+  logger.info('Job cancelled', { jobId: id, status: job.status });
+  return toView(job);
+}
+
+/**
+ * Copy a run request without plain-text API keys, for saving to disk.
+ * Keys are replaced with the redaction mask rather than dropped, so the
+ * restarted run fails with a clear error instead of quietly running on the
+ * server's key. secret:<name> references are kept.
+ * @param {Object} request - Workflow run request
+ * @returns {Object} - Request safe to store
+ */
+function maskPlainKeys(request) {
+  const mask = (data) => (data?.apiKey && !isSecretReference(data.apiKey) ? { ...data, apiKey: MASK } : data);
+
+  return {
+    ...request,
+    nodes: request.nodes.map(node => ({ ...node, data: mask(node.data) })),
+    llmConfig: mask(request.llmConfig)
+  };
+}
+
+/**
+ * Save a job to disk so it runs again after a restart
+ * @param {Object} job - Job record
+ */
+async function persistJob({ id, runId, workspaceId, userId, workflowId, source, createdAt, request }) {
+  await store.put(id, { id, runId, workspaceId, userId, workflowId, source, createdAt, request: maskPlainKeys(request) });
+}
+
+/**
+ * Stop taking jobs, save the queue to disk and give running jobs
+ * JOB_DRAIN_TIMEOUT_MS to finish. Jobs still running after that are saved
+ * too and start over on the next boot.
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+  shuttingDown = true;
+
+  const queued = queue.splice(0).map(id => jobs.get(id));
+  await Promise.all(queued.map(persistJob));
+
+  const running = [...controllers.keys()];
+  const deadline = Date.now() + numberFromEnv('JOB_DRAIN_TIMEOUT_MS', DEFAULT_DRAIN_TIMEOUT_MS);
+  logger.info('Draining jobs', { saved: queued.length, running: running.length });
+
+  while (controllers.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  const unfinished = running
+    .filter(id => controllers.has(id))
+    .map(id => jobs.get(id))
+    .filter(job => !job.cancelRequested);
+  await Promise.all(unfinished.map(persistJob));
+
+  if (unfinished.length > 0) {
+    logger.warn('Jobs still running at shutdown were saved to restart later', {
+      jobIds: unfinished.map(job => job.id)
+    });
+  }
+}
+
+/**
+ * Queue the jobs saved by the last shutdown, oldest first
+ * @returns {Promise<number>} - Number of jobs restored
+ */
+async function restorePersistedJobs() {
+  const savedJobs = (await store.list()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const saved of savedJobs) {
+    await store.remove(saved.id);
+    if (!saved.workspaceId) {
+      // Saved before workspaces existed; nobody could poll or cancel it
+      logger.warn('Dropped saved job without a workspace', { jobId: saved.id });
+      continue;
+    }
+    enqueue(createJob(saved));
+  }
+
+  if (savedJobs.length > 0) {
+    logger.info('Restored saved jobs', { count: savedJobs.length });
+  }
+  return savedJobs.length;
+}
+
+module.exports = {
+  submitJob,
+  getJob,
+  cancelJob,
+  countActiveJobs,
+  shutdown,
+  restorePersistedJobs
+};
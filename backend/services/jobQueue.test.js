@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Saved jobs go to DATA_DIR; one job runs at a time so the next one stays queued
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.JOB_CONCURRENCY = '1';
+
+const logger = require('../utils/logger');
+const { MASK } = require('../utils/redact');
+const { submitJob, shutdown } = require('./jobQueue');
+
+logger.configure({ level: null });
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const workflow = (llmData, llmConfig = null) => ({
+  nodes: [
+    { id: 'customInput-1', type: 'customInput', data: { inputName: 'topic' } },
+    { id: 'llm-1', type: 'llm', data: { provider: 'mock', prompt: 'About {{topic}}', ...llmData } },
+    { id: 'customOutput-1', type: 'customOutput', data: {} }
+  ],
+  edges: [
+    { id: 'e1', source: 'customInput-1', target: 'llm-1', targetHandle: 'llm-1-prompt' },
+    { id: 'e2', source: 'llm-1', target: 'customOutput-1', targetHandle: 'customOutput-1-value' }
+  ],
+  inputs: { topic: 'whales' },
+  llmConfig
+});
+
+test('queued jobs are saved at shutdown without plain-text API keys', async () => {
+  submitJob('ws-1', workflow({}));
+  const queued = submitJob('ws-1', workflow({ apiKey: 'sk-plain-node' }, { provider: 'mock', apiKey: 'sk-plain-config' }));
+  const withSecret = submitJob('ws-1', workflow({ apiKey: 'secret:openai' }));
+  assert.equal(queued.status, 'queued');
+
+  await shutdown();
+
+  const file = path.join(dataDir, 'jobs', `${queued.id}.json`);
+  const text = fs.readFileSync(file, 'utf8');
+  const saved = JSON.parse(text);
+
+  assert.doesNotMatch(text, /sk-plain/);
+  assert.equal(saved.workspaceId, 'ws-1');
+  assert.equal(saved.request.nodes[1].data.apiKey, MASK);
+  assert.equal(saved.request.llmConfig.apiKey, MASK);
+  assert.equal(saved.request.inputs.topic, 'whales');
+
+  const savedWithSecret = JSON.parse(fs.readFileSync(path.join(dataDir, 'jobs', `${withSecret.id}.json`), 'utf8'));
+  assert.equal(savedWithSecret.request.nodes[1].data.apiKey, 'secret:openai');
+  assert.equal(savedWithSecret.request.llmConfig, null);
+});
+
+test('no job is taken after shutdown', () => {
+  assert.throws(() => submitJob('ws-1', workflow({})), error => error.status === 503);
+});
@@ -0,0 +1,204 @@
+// services/pipelineAnalysis.js - Static checks on a workflow graph
+// Finds problems that would fail a run or make it do less than intended,
+// without running anything: cycles, nodes and outputs nothing flows into,
+// unfilled {{variables}}, empty prompts and edges left on handles that no
+// longer exist. Each problem is reported as a diagnostic with a severity:
+// errors make the run fail, warnings are likely mistakes.
+
+const { findCycle, topologicalSort, getHandleName } = require('../utils/graph');
+
+/**
+ * {{variable}} names in a Text or Template node, as the editor extracts them
+ * @param {string} text - Node text
+ * @returns {Array<string>} - Unique variable names
+ */
+function getVariables(text) {
+  const matches = String(text).match(/\{\{([^}]+)\}\}/g) || [];
+  return [...new Set(matches.map(match => match.slice(2, -2).trim()))];
+}
+
+// Handles each node type declares in the editor (see ui/src/components/nodes)
+const nodeHandles = {
+  customInput: () => ({ inputs: [], outputs: ['value'] }),
+  customOutput: () => ({ inputs: ['value'], outputs: [] }),
+  llm: () => ({ inputs: ['system', 'prompt'], outputs: ['response'] }),
+  text: (node) => ({ inputs: getVariables(node.data?.text ?? '{{input}}'), outputs: ['output'] }),
+  template: (node) => ({ inputs: getVariables(node.data?.template || ''), outputs: ['output'] }),
+  transform: () => ({ inputs: ['input'], outputs: ['output'] }),
+  filter: () => ({ inputs: ['input'], outputs: ['output'] }),
+  merge: () => ({ inputs: ['input1', 'input2'], outputs: ['output'] }),
+  validation: () => ({ inputs: ['input'], outputs: ['valid', 'invalid'] })
+};
+
+/**
+ * Ids of the nodes reachable from the given nodes by following edges
+ * @param {Array<string>} startIds - Nodes to start from
+ * @param {Array} edges - Array of workflow edges
+ * @returns {Set<string>} - Reachable node ids, including the start nodes
+ */
+function reachableFrom(startIds, edges) {
+  const reached = new Set(startIds);
+  const queue = [...startIds];
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    edges
+      .filter(edge => edge.source === nodeId && !reached.has(edge.target))
+      .forEach(edge => {
+        reached.add(edge.target);
+        queue.push(edge.target);
+      });
+  }
+
+  return reached;
+}
+
+/**
+ * Edges that point at a missing node or handle
+ * @param {Map} nodesById - Workflow nodes by id
+ * @param {Array} edges - Array of workflow edges
+ * @returns {Array<Object>} - Diagnostics
+ */
+function checkEdges(nodesById, edges) {
+  const diagnostics = [];
+
+  edges.forEach(edge => {
+    const edgeId = edge.id || null;
+    const ends = [
+      { nodeId: edge.source, handleId: edge.sourceHandle, side: 'outputs', label: 'source' },
+      { nodeId: edge.target, handleId: edge.targetHandle, side: 'inputs', label: 'target' }
+    ];
+
+    ends.forEach(({ nodeId, handleId, side, label }) => {
+      const node = nodesById.get(nodeId);
+      if (!node) {
+        // The executor ignores these edges, so the run still works
+        diagnostics.push({
+          severity: 'warning',
+          code: 'missing_node',
+          message: `Edge ${edgeId || `${edge.source} → ${edge.target}`} has a ${label} node "${nodeId}" that does not exist`,
+          nodeId: null,
+          edgeId
+        });
+        return;
+      }
+
+      const handle = getHandleName(nodeId, handleId);
+      const handles = nodeHandles[node.type]?.(node);
+      if (handle && handles && !handles[side].includes(handle)) {
+        diagnostics.push({
+          severity: 'warning',
+          code: 'missing_handle',
+          message: `Edge ${edgeId || `${edge.source} → ${edge.target}`} is attached to handle "${handle}", which ${node.type} node "${nodeId}" no longer has`,
+          nodeId,
+          edgeId
+        });
+      }
+    });
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Nodes without edges, outputs no input reaches, unfilled variables and empty prompts
+ * @param {Array} nodes - Array of workflow nodes
+ * @param {Array} edges - Edges between existing nodes
+ * @param {Object} [llmConfig] - Run-wide LLM settings, whose prompt fills empty LLM nodes
+ * @returns {Array<Object>} - Diagnostics
+ */
+function checkNodes(nodes, edges, llmConfig) {
+  const diagnostics = [];
+  const inputIds = nodes.filter(node => node.type === 'customInput').map(node => node.id);
+  const reached = reachableFrom(inputIds, edges);
+  const wiredHandles = (nodeId) => edges
+    .filter(edge => edge.target === nodeId)
+    .map(edge => getHandleName(nodeId, edge.targetHandle) || 'input');
+
+  nodes.forEach(node => {
+    const nodeId = node.id;
+
+    if (nodes.length > 1 && !edges.some(edge => edge.source === nodeId || edge.target === nodeId)) {
+      diagnostics.push({
+        severity: 'warning',
+        code: 'disconnected_node',
+        message: `${node.type} node "${nodeId}" is not connected to anything`,
+        nodeId,
+        edgeId: null
+      });
+    }
+
+    if (node.type === 'customOutput' && !reached.has(nodeId)) {
+      diagnostics.push({
+        severity: 'warning',
+        code: 'unreachable_output',
+        message: `Output node "${nodeId}" cannot be reached from any Input node`,
+        nodeId,
+        edgeId: null
+      });
+    }
+
+    if (node.type === 'text' || node.type === 'template') {
+      const wired = wiredHandles(nodeId);
+      nodeHandles[node.type](node).inputs
+        .filter(variable => !wired.includes(variable))
+        .forEach(variable => diagnostics.push({
+          severity: 'warning',
+          code: 'unbound_variable',
+          message: `{{${variable}}} in ${node.type} node "${nodeId}" has no incoming edge and will be left as is`,
+          nodeId,
+          edgeId: null
+        }));
+    }
+
+    if (node.type === 'llm') {
+      const prompt = node.data?.prompt || llmConfig?.prompt || '';
+      if (!prompt.trim() && !wiredHandles(nodeId).includes('prompt')) {
+        diagnostics.push({
+          severity: 'error',
+          code: 'empty_prompt',
+          message: `LLM node "${nodeId}" has an empty prompt and nothing connected to its prompt handle`,
+          nodeId,
+          edgeId: null
+        });
+      }
+    }
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Analyze a workflow graph without running it
+ * @param {Object} pipeline - Workflow graph
+ * @param {Array} pipeline.nodes - Array of workflow nodes
+ * @param {Array} [pipeline.edges] - Array of workflow edges
+ * @param {Object} [pipeline.llmConfig] - Run-wide LLM settings
+ * @returns {Object} - { isDAG, cycle, executionOrder, diagnostics }
+ */
+function analyzePipeline({ nodes, edges = [], llmConfig }) {
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const validEdges = edges.filter(edge => nodesById.has(edge.source) && nodesById.has(edge.target));
+  const cycle = findCycle(nodes, validEdges);
+
+  const diagnostics = [
+    ...(cycle ? [{
+      severity: 'error',
+      code: 'cycle',
+      message: `Workflow contains a cycle: ${cycle.join(' → ')}`,
+      nodeId: cycle[0],
+      edgeId: null
+    }] : []),
+    ...checkEdges(nodesById, edges),
+    ...checkNodes(nodes, validEdges, llmConfig)
+  ];
+
+  return {
+    isDAG: !cycle,
+    cycle,
+    executionOrder: cycle ? null : topologicalSort(nodes, validEdges),
+    diagnostics
+  };
+}
+
+module.exports = { analyzePipeline };
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzePipeline } = require('./pipelineAnalysis');
+
+const edge = (source, sourceHandle, target, targetHandle) => ({
+  id: `${source}-${target}`,
+  source,
+  sourceHandle: `${source}-${sourceHandle}`,
+  target,
+  targetHandle: `${target}-${targetHandle}`
+});
+const codes = (result) => result.diagnostics.map(diagnostic => diagnostic.code);
+
+test('a valid workflow has an execution order and no diagnostics', () => {
+  const result = analyzePipeline({
+    nodes: [
+      { id: 'customOutput-1', type: 'customOutput' },
+      { id: 'llm-1', type: 'llm', data: { prompt: 'Hi' } },
+      { id: 'customInput-1', type: 'customInput' }
+    ],
+    edges: [edge('customInput-1', 'value', 'llm-1', 'prompt'), edge('llm-1', 'response', 'customOutput-1', 'value')]
+  });
+
+  assert.deepEqual(result, {
+    isDAG: true,
+    cycle: null,
+    executionOrder: ['customInput-1', 'llm-1', 'customOutput-1'],
+    diagnostics: []
+  });
+});
+
+test('a cycle is reported with its path', () => {
+  const result = analyzePipeline({
+    nodes: [
+      { id: 'customInput-1', type: 'customInput' },
+      { id: 'llm-1', type: 'llm', data: { prompt: 'a' } },
+      { id: 'llm-2', type: 'llm', data: { prompt: 'b' } }
+    ],
+    edges: [
+      edge('customInput-1', 'value', 'llm-1', 'prompt'),
+      edge('llm-1', 'response', 'llm-2', 'prompt'),
+      edge('llm-2', 'response', 'llm-1', 'system')
+    ]
+  });
+
+  assert.equal(result.isDAG, false);
+  assert.deepEqual(result.cycle, ['llm-1', 'llm-2', 'llm-1']);
+  assert.equal(result.executionOrder, null);
+  assert.deepEqual(result.diagnostics[0], {
+    severity: 'error',
+    code: 'cycle',
+    message: 'Workflow contains a cycle: llm-1 → llm-2 → llm-1',
+    nodeId: 'llm-1',
+    edgeId: null
+  });
+});
+
+test('edges to missing nodes or handles are warnings', () => {
+  const result = analyzePipeline({
+    nodes: [
+      { id: 'customInput-1', type: 'customInput' },
+      { id: 'transform-1', type: 'transform' }
+    ],
+    edges: [edge('customInput-1', 'value', 'transform-1', 'text'), edge('customInput-1', 'value', 'gone-1', 'input')]
+  });
+
+  assert.deepEqual(codes(result), ['missing_handle', 'missing_node']);
+  assert.ok(result.diagnostics.every(diagnostic => diagnostic.severity === 'warning'));
+});
+
+test('unreachable outputs, unbound variables and empty prompts are reported', () => {
+  const result = analyzePipeline({
+    nodes: [
+      { id: 'customInput-1', type: 'customInput' },
+      { id: 'text-1', type: 'text', data: { text: '{{topic}} and {{style}}' } },
+      { id: 'llm-1', type: 'llm', data: {} },
+      { id: 'customOutput-1', type: 'customOutput' }
+    ],
+    edges: [edge('customInput-1', 'value', 'text-1', 'topic'), edge('llm-1', 'response', 'customOutput-1', 'value')]
+  });
+
+  assert.deepEqual(codes(result), ['unbound_variable', 'empty_prompt', 'unreachable_output']);
+
+  const withConfig = analyzePipeline({ nodes: [{ id: 'llm-1', type: 'llm' }], llmConfig: { prompt: 'Hi' } });
+  assert.deepEqual(withConfig.diagnostics, []);
+});
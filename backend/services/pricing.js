@@ -0,0 +1,145 @@
+// services/pricing.js - Token usage pricing for LLM calls
+// Prices are USD per 1M tokens. The built-in table can be extended or
+// overridden with a JSON file of the same shape (MODEL_PRICES_FILE).
+
+const fs = require('fs');
+const path = require('path');
+
+// provider -> model -> { input, output }. A model key matches the exact
+// model name or any name it prefixes (versioned names such as
+// "gpt-4o-mini-2024-07-18"); "*" matches every model of the provider.
+const DEFAULT_MODEL_PRICES = {
+  gemini: {
+    'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.0 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+  },
+  openai: {
+    'gpt-4.1': { input: 2.0, output: 8.0 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4o': { input: 2.5, output: 10.0 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+  },
+  mock: {
+    '*': { input: 0, output: 0 }
+  }
+};
+
+/**
+ * Load the price table, merging MODEL_PRICES_FILE over the defaults
+ * @returns {Object} - provider -> model -> { input, output }
+ */
+function loadPriceTable() {
+  const table = Object.fromEntries(
+    Object.entries(DEFAULT_MODEL_PRICES).map(([provider, models]) => [provider, { ...models }])
+  );
+
+  const file = process.env.MODEL_PRICES_FILE;
+  if (!file) return table;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load model prices from ${file}: ${error.message}`);
+  }
+
+  Object.entries(overrides).forEach(([provider, models]) => {
+    table[provider] = { ...table[provider], ...models };
+  });
+
+  return table;
+}
+
+const priceTable = loadPriceTable();
+
+/**
+ * Find the price entry for a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} - { input, output } per 1M tokens, or null if unpriced
+ */
+function getModelPrice(provider, model) {
+  const models = priceTable[provider];
+  if (!models) return null;
+  if (models[model]) return models[model];
+
+  // Longest matching prefix wins, so "gpt-4o-mini-..." is not priced as "gpt-4o"
+  const prefix = Object.keys(models)
+    .filter(name => name !== '*' && model && model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? models[prefix] : models['*'] || null;
+}
+
+/**
+ * Price the token usage of one LLM call
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number|null} - Cost in USD, or null if the model has no price
+ */
+function calculateCost(provider, model, usage) {
+  const price = getModelPrice(provider, model);
+  if (!price) return null;
+
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Estimate token usage for backends that do not report it (local servers,
+ * the mock provider), at roughly four characters per token
+ * @param {string} input - Text sent to the model
+ * @param {string} output - Text generated
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens, estimated: true }
+ */
+function estimateUsage(input, output) {
+  const promptTokens = Math.ceil(input.length / 4);
+  const completionTokens = Math.ceil(output.length / 4);
+
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+/**
+ * Add up the usage of the LLM calls made during a run
+ * @param {Array} llmCalls - Calls recorded by the executor ({ provider, model, usage })
+ * @returns {Object} - Token and cost totals, plus the models without a price
+ */
+function summarizeUsage(llmCalls) {
+  const summary = {
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    llmCalls: llmCalls.length,
+    cachedCalls: 0,
+    unpricedModels: []
+  };
+
+  llmCalls.forEach(({ model, usage }) => {
+    summary.promptTokens += usage.promptTokens;
+    summary.completionTokens += usage.completionTokens;
+    summary.totalTokens += usage.totalTokens;
+    if (usage.cached) summary.cachedCalls += 1;
+
+    if (usage.costUsd === null) {
+      if (!summary.unpricedModels.includes(model)) summary.unpricedModels.push(model);
+    } else {
+      summary.costUsd += usage.costUsd;
+    }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_MODEL_PRICES,
+  getModelPrice,
+  calculateCost,
+  estimateUsage,
+  summarizeUsage
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getModelPrice, calculateCost, estimateUsage, summarizeUsage } = require('./pricing');
+
+test('versioned model names take the longest matching price', () => {
+  assert.deepEqual(getModelPrice('openai', 'gpt-4o'), { input: 2.5, output: 10.0 });
+  assert.deepEqual(getModelPrice('openai', 'gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(getModelPrice('mock', 'anything'), { input: 0, output: 0 });
+  assert.equal(getModelPrice('openai', 'llama3'), null);
+  assert.equal(getModelPrice('unknown', 'gpt-4o'), null);
+});
+
+test('calculateCost prices prompt and completion tokens per 1M', () => {
+  assert.equal(calculateCost('openai', 'gpt-4o', { promptTokens: 1000000, completionTokens: 100000 }), 3.5);
+  assert.equal(calculateCost('openai', 'llama3', { promptTokens: 10, completionTokens: 10 }), null);
+});
+
+test('estimateUsage counts about four characters per token', () => {
+  assert.deepEqual(estimateUsage('12345', 'abcd'), { promptTokens: 2, completionTokens: 1, totalTokens: 3, estimated: true });
+});
+
+test('summarizeUsage adds up calls and lists unpriced models once', () => {
+  const call = (model, costUsd, extra = {}) => ({
+    model,
+    usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15, costUsd, ...extra }
+  });
+
+  assert.deepEqual(summarizeUsage([call('gpt-4o', 0.5), call('llama3', null), call('llama3', null, { cached: true })]), {
+    promptTokens: 30,
+    completionTokens: 15,
+    totalTokens: 45,
+    costUsd: 0.5,
+    llmCalls: 3,
+    cachedCalls: 1,
+    unpricedModels: ['llama3']
+  });
+});
@@ -0,0 +1,156 @@
+// services/providers/fixtures.js - Record and replay LLM calls
+// With LLM_FIXTURES_MODE=record every provider call goes out as usual and the
+// request/response pair is saved to LLM_FIXTURES_DIR/<provider>/<hash>.json.
+// With LLM_FIXTURES_MODE=replay calls are answered from those files without
+// any network access or API key, so workflows can be developed offline and CI
+// runs are deterministic. The hash covers what decides the response (provider,
+// model, prompts, generation parameters and safety settings) in a normalized
+// form; API keys and base URLs are left out, so fixtures recorded against one
+// server replay against another.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { redact } = require('../../utils/redact');
+
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+/**
+ * Sort object keys and drop empty values, so requests that only differ in
+ * key order, unset options or line endings hash the same
+ * @param {*} value - Request value
+ * @returns {*} - Normalized value
+ */
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter(key => value[key] !== undefined && value[key] !== null && value[key] !== '')
+        .map(key => [key, normalize(value[key])])
+    );
+  }
+  return typeof value === 'string' ? value.replace(/\r\n?/g, '\n') : value;
+}
+
+/**
+ * The part of a provider call that decides its response, normalized
+ * @param {string} providerName - Provider name
+ * @param {Object} params - Provider call parameters (see providers/index.js)
+ * @returns {Object} - Normalized request
+ */
+function describeRequest(providerName, { model, system, prompt, generationConfig, safetySettings }) {
+  return normalize({
+    provider: providerName,
+    model,
+    system: (system || '').trim(),
+    prompt: (prompt || '').trim(),
+    generationConfig,
+    safetySettings
+  });
+}
+
+/**
+ * Where the fixture for a request lives
+ * @param {Object} request - Normalized request
+ * @returns {Object} - { key, file }
+ */
+function locateFixture(request) {
+  const key = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  const dir = path.resolve(process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+  return { key, file: path.join(dir, request.provider, `${key}.json`) };
+}
+
+/**
+ * Save a provider response as the fixture for its request
+ * @param {Object} provider - Provider that answered
+ * @param {Object} params - Provider call parameters
+ * @param {Object} result - Provider result ({ text, usage })
+ * @returns {Promise<Object>} - The result, unchanged
+ */
+async function recordFixture(provider, params, result) {
+  const request = describeRequest(provider.name, params);
+  const { key, file } = locateFixture(request);
+  const fixture = {
+    key,
+    recordedAt: new Date().toISOString(),
+    request,
+    response: { text: result.text, usage: result.usage || null }
+  };
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  // A response can echo a key back; fixtures are meant to be committed
+  await fs.writeFile(file, `${JSON.stringify(redact(fixture), null, 2)}\n`);
+  logger.info('Recorded LLM fixture', { provider: provider.name, key });
+  return result;
+}
+
+/**
+ * Answer a provider call from its fixture
+ * @param {Object} provider - Provider being replayed
+ * @param {Object} params - Provider call parameters
+ * @returns {Promise<Object>} - Recorded result ({ text, usage })
+ */
+async function replayFixture(provider, params) {
+  const { key, file } = locateFixture(describeRequest(provider.name, params));
+
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new Error(`No recorded ${provider.label} response for this request (fixture ${key}). ` +
+      'Run it once with LLM_FIXTURES_MODE=record to record it.');
+  }
+
+  logger.info('Replayed LLM fixture', { provider: provider.name, key });
+  return fixture.response;
+}
+
+/**
+ * Wrap a provider so it records or replays its calls, depending on LLM_FIXTURES_MODE
+ * @param {Object} provider - Provider (see providers/index.js)
+ * @returns {Object} - The provider itself when fixtures are off, otherwise a wrapper
+ */
+function withFixtures(provider) {
+  const mode = process.env.LLM_FIXTURES_MODE || 'off';
+
+  if (mode === 'off') {
+    return provider;
+  }
+
+  if (mode === 'replay') {
+    return {
+      ...provider,
+      // Replays never reach the API, so no key is needed
+      requiresApiKey: false,
+      generate: (params) => replayFixture(provider, params),
+      stream: async (params) => {
+        const result = await replayFixture(provider, params);
+        params.onToken(result.text);
+        return result;
+      }
+    };
+  }
+
+  if (mode === 'record') {
+    return {
+      ...provider,
+      generate: async (params) => recordFixture(provider, params, await provider.generate(params)),
+      stream: async (params) => recordFixture(provider, params, await provider.stream(params))
+    };
+  }
+
+  // validateEnv rejects other modes when the server starts; the CLI reports them on the first call
+  const invalidMode = async () => {
+    throw new Error(`LLM_FIXTURES_MODE must be one of ${MODES.join(', ')}, not "${mode}"`);
+  };
+  return { ...provider, generate: invalidMode, stream: invalidMode };
+}
+
+module.exports = { withFixtures };
@@ -0,0 +1,239 @@
+// services/providers/gemini.js - Google Gemini API client
+const logger = require('../../utils/logger');
+const { DEFAULT_GENERATION_CONFIG } = require('./generationConfig');
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Build the generateContent request body shared by the blocking and
+ * streaming calls
+ * @param {Object} params - API call parameters
+ * @param {string} params.system - System prompt
+ * @param {string} params.prompt - User prompt
+ * @param {Object} [params.generationConfig] - Generation parameters (see providers/index.js)
+ * @param {Array} [params.safetySettings] - Gemini safety settings ({ category, threshold })
+ * @returns {Object} - Request body
+ */
+function buildRequestBody({ system, prompt, generationConfig, safetySettings }) {
+  const body = {
+    contents: [
+      {
+        parts: [
+          {
+            text: `${system}\n\n${prompt}`
+          }
+        ]
+      }
+    ],
+    generationConfig: generationConfig || DEFAULT_GENERATION_CONFIG
+  };
+
+  if (safetySettings && safetySettings.length > 0) {
+    body.safetySettings = safetySettings;
+  }
+
+  return body;
+}
+
+/**
+ * Pull the generated text out of a generateContent response (or stream chunk)
+ * @param {Object} data - Parsed response body
+ * @returns {string|null} - Text of the first candidate
+ */
+function extractText(data) {
+  if (data.candidates && data.candidates.length > 0) {
+    const candidate = data.candidates[0];
+    if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
+      return candidate.content.parts.map(part => part.text || '').join('');
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the token counts from a response's usageMetadata.
+ * Thinking tokens are billed as output, so they count as completion tokens.
+ * @param {Object} data - Parsed response body (or the last stream chunk)
+ * @returns {Object|null} - { promptTokens, completionTokens, totalTokens }
+ */
+function extractUsage(data) {
+  const meta = data.usageMetadata;
+  if (!meta) return null;
+
+  const promptTokens = meta.promptTokenCount || 0;
+  const completionTokens = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: meta.totalTokenCount || promptTokens + completionTokens
+  };
+}
+
+/**
+ * Call Google Gemini API with retry logic
+ * @param {Object} params - API call parameters
+ * @param {string} params.model - Gemini model name
+ * @param {string} params.system - System prompt
+ * @param {string} params.prompt - User prompt
+ * @param {string} params.apiKey - Google API key
+ * @param {Object} [params.generationConfig] - Generation parameters
+ * @param {Array} [params.safetySettings] - Safety settings
+ * @param {AbortSignal} [params.signal] - Aborts the request
+ * @param {number} params.retries - Number of retries (default: 2)
+ * @returns {Promise<Object>} - Generated text and token usage ({ text, usage })
+ */
+async function callGeminiAPI({ model, system, prompt, apiKey, generationConfig, safetySettings, signal, retries = 2 }) {
+  const API_URL = `${API_BASE_URL}/${model}:generateContent?key=${apiKey}`;
+  const startTime = Date.now();
+
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(buildRequestBody({ system, prompt, generationConfig, safetySettings })),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.error?.message || response.statusText;
+      
+      // Retry on rate limit or temporary errors
+      if (retries > 0 && (response.status === 429 || response.status >= 500)) {
+        logger.warn('Gemini API error, retrying', { status: response.status, retriesLeft: retries });
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+        return callGeminiAPI({ model, system, prompt, apiKey, generationConfig, safetySettings, signal, retries: retries - 1 });
+      }
+      
+      throw new Error(`Gemini API error: ${errorMessage}`);
+    }
+
+    const data = await response.json();
+
+    // Extract the generated text
+    const text = extractText(data);
+    if (text !== null) {
+      return { text, usage: extractUsage(data) };
+    }
+
+    throw new Error('No response generated from Gemini API');
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.logApiCall('Google Gemini', model, duration, false);
+    throw error;
+  } finally {
+    const duration = Date.now() - startTime;
+    if (duration > 0) {
+      logger.logApiCall('Google Gemini', model, duration, true);
+    }
+  }
+}
+
+/**
+ * Stream a Gemini response through streamGenerateContent (server-sent events).
+ * Retries like callGeminiAPI, but only before the first token has arrived.
+ * @param {Object} params - API call parameters
+ * @param {string} params.model - Gemini model name
+ * @param {string} params.system - System prompt
+ * @param {string} params.prompt - User prompt
+ * @param {string} params.apiKey - Google API key
+ * @param {Object} [params.generationConfig] - Generation parameters
+ * @param {Array} [params.safetySettings] - Safety settings
+ * @param {Function} params.onToken - Called with each text chunk as it arrives
+ * @param {AbortSignal} [params.signal] - Aborts the request, including a stream in progress
+ * @param {number} params.retries - Number of retries (default: 2)
+ * @returns {Promise<Object>} - Full generated text and token usage ({ text, usage })
+ */
+async function streamGeminiAPI({ model, system, prompt, apiKey, generationConfig, safetySettings, onToken, signal, retries = 2 }) {
+  const API_URL = `${API_BASE_URL}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+  const startTime = Date.now();
+  let success = false;
+
+  try {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(buildRequestBody({ system, prompt, generationConfig, safetySettings })),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.error?.message || response.statusText;
+
+      // Retry on rate limit or temporary errors
+      if (retries > 0 && (response.status === 429 || response.status >= 500)) {
+        logger.warn('Gemini API error, retrying', { status: response.status, retriesLeft: retries });
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+        return streamGeminiAPI({ model, system, prompt, apiKey, generationConfig, safetySettings, onToken, signal, retries: retries - 1 });
+      }
+
+      throw new Error(`Gemini API error: ${errorMessage}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    let usage = null;
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (!payload) return;
+
+      const chunk = JSON.parse(payload);
+      if (chunk.error) {
+        throw new Error(`Gemini API error: ${chunk.error.message}`);
+      }
+
+      // Every chunk carries the running totals; the last one is final
+      usage = extractUsage(chunk) || usage;
+
+      const text = extractText(chunk);
+      if (text) {
+        fullText += text;
+        onToken(text);
+      }
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    if (!fullText) {
+      throw new Error('No response generated from Gemini API');
+    }
+
+    success = true;
+    return { text: fullText, usage };
+  } finally {
+    logger.logApiCall('Google Gemini', model, Date.now() - startTime, success);
+  }
+}
+
+// Provider interface used by the workflow executor
+const geminiProvider = {
+  name: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-2.0-flash-exp',
+  apiKeyEnv: 'GOOGLE_API_KEY',
+  requiresApiKey: true,
+  generate: callGeminiAPI,
+  stream: streamGeminiAPI
+};
+
+module.exports = { callGeminiAPI, streamGeminiAPI, geminiProvider };
@@ -0,0 +1,57 @@
+// services/providers/generationConfig.js - LLM generation parameters
+// Shared by every provider; each maps the fields it supports onto its own API
+
+// Sent when an LLM node does not override anything
+const DEFAULT_GENERATION_CONFIG = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 2048
+};
+
+const RESPONSE_MIME_TYPES = ['text/plain', 'application/json'];
+
+// Gemini safety settings vocabulary
+const HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+const HARM_BLOCK_THRESHOLDS = [
+  'BLOCK_NONE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_LOW_AND_ABOVE'
+];
+
+/**
+ * Merge node-level generation parameters over workflow-level ones and the
+ * defaults. Empty values (null, '' or empty arrays) fall back.
+ * @param {...Object} configs - Generation configs, most specific last
+ * @returns {Object} - Complete generation config
+ */
+function resolveGenerationConfig(...configs) {
+  const resolved = { ...DEFAULT_GENERATION_CONFIG };
+
+  configs.forEach(config => {
+    Object.entries(config || {}).forEach(([key, value]) => {
+      const isEmpty = value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+      if (!isEmpty) {
+        resolved[key] = value;
+      }
+    });
+  });
+
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_GENERATION_CONFIG,
+  RESPONSE_MIME_TYPES,
+  HARM_CATEGORIES,
+  HARM_BLOCK_THRESHOLDS,
+  resolveGenerationConfig
+};
@@ -0,0 +1,53 @@
+// services/providers/index.js - LLM provider registry
+//
+// A provider is an object with:
+//   name, label, defaultModel     - identification and defaults
+//   apiKeyEnv                     - env variable holding the server-side key (or null)
+//   requiresApiKey                - whether calls fail without a key
+//   serverBaseUrl()               - endpoint the server-side key belongs to; only
+//                                   for providers that accept a baseUrl param, which
+//                                   refuse base URLs the server does not allow
+//   generate(params)              - resolves to { text, usage }
+//   stream({ ...params, onToken }) - same, calling onToken for each chunk
+// usage is { promptTokens, completionTokens, totalTokens } as reported by the
+// API, or null when the backend does not report it (the executor then estimates).
+// params are { model, system, prompt, apiKey, baseUrl, generationConfig, safetySettings, signal };
+// see generationConfig.js for the generation parameters. signal is an AbortSignal
+// that cancels the request when the run is cancelled.
+// Every provider but mock can record and replay its calls (see fixtures.js).
+
+const { geminiProvider } = require('./gemini');
+const { openAIProvider } = require('./openai');
+const { mockProvider } = require('./mock');
+const { withFixtures } = require('./fixtures');
+
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openAIProvider.name]: openAIProvider,
+  [mockProvider.name]: mockProvider
+};
+
+const PROVIDER_NAMES = Object.keys(providers);
+
+/**
+ * Look up a provider by name, recording or replaying its calls when
+ * LLM_FIXTURES_MODE asks for it
+ * @param {string} [name] - Provider name (default: DEFAULT_LLM_PROVIDER or gemini)
+ * @returns {Object} - Provider
+ */
+function getProvider(name) {
+  const providerName = name || process.env.DEFAULT_LLM_PROVIDER || geminiProvider.name;
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${providerName}". Available providers: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  // The mock provider is offline and deterministic already
+  return provider === mockProvider ? provider : withFixtures(provider);
+}
+
+module.exports = {
+  getProvider,
+  PROVIDER_NAMES
+};
@@ -0,0 +1,32 @@
+// services/providers/mock.js - Deterministic offline provider
+// Echoes the prompt back so workflows can run in development and tests
+// without calling any external API
+
+/**
+ * Produce the mock response for a prompt.
+ * Model "echo" (the default) returns the prompt unchanged; any other model
+ * name is prefixed so chained mock nodes stay distinguishable.
+ * @param {Object} params - Model and prompts
+ * @returns {string} - Deterministic response text
+ */
+function mockResponse({ model, prompt }) {
+  return !model || model === 'echo' ? prompt : `[${model}] ${prompt}`;
+}
+
+// Provider interface used by the workflow executor
+const mockProvider = {
+  name: 'mock',
+  label: 'Mock (offline)',
+  defaultModel: 'echo',
+  apiKeyEnv: null,
+  requiresApiKey: false,
+  generate: async (params) => ({ text: mockResponse(params) }),
+  stream: async (params) => {
+    const text = mockResponse(params);
+    // Emit word by word, keeping whitespace, so streaming UIs can be exercised
+    (text.match(/\S+\s*|\s+/g) || []).forEach(token => params.onToken(token));
+    return { text };
+  }
+};
+
+module.exports = { mockProvider, mockResponse };
@@ -0,0 +1,238 @@
+// services/providers/openai.js - OpenAI-compatible chat completions client
+// Works with OpenAI and with local servers that speak the same API
+// (llama.cpp server, Ollama, vLLM, LM Studio)
+const logger = require('../../utils/logger');
+const { httpError } = require('../../utils/httpError');
+const { DEFAULT_GENERATION_CONFIG } = require('./generationConfig');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Base URL the server is configured for, which OPENAI_API_KEY belongs to
+ * @returns {string} - OPENAI_BASE_URL or api.openai.com
+ */
+function getServerBaseUrl() {
+  return process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL;
+}
+
+const trimUrl = (url) => url.trim().replace(/\/+$/, '');
+
+/**
+ * Whether nodes may send requests to a base URL. Only OPENAI_BASE_URL and
+ * the URLs in OPENAI_ALLOWED_BASE_URLS (comma-separated) are allowed, so a
+ * workflow cannot make the server call internal hosts.
+ * @param {string} baseUrl - Base URL set on a node or in llmConfig
+ * @returns {boolean}
+ */
+function isAllowedBaseUrl(baseUrl) {
+  const allowed = [getServerBaseUrl(), ...(process.env.OPENAI_ALLOWED_BASE_URLS || '').split(',')]
+    .map(trimUrl)
+    .filter(Boolean);
+  return allowed.includes(trimUrl(baseUrl));
+}
+
+/**
+ * Build the chat completions request
+ * @param {Object} params - Model, prompts, key and base URL
+ * @param {boolean} stream - Request a streamed response
+ * @returns {Object} - URL and fetch options
+ */
+function buildRequest({ model, system, prompt, apiKey, baseUrl, generationConfig, signal }, stream) {
+  if (baseUrl && !isAllowedBaseUrl(baseUrl)) {
+    throw httpError(400, `Base URL "${baseUrl}" is not allowed on this server. Ask an administrator to add it to OPENAI_ALLOWED_BASE_URLS.`);
+  }
+
+  const config = generationConfig || DEFAULT_GENERATION_CONFIG;
+  const url = `${(baseUrl || getServerBaseUrl()).replace(/\/+$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+
+  // Local servers usually run without a key
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const messages = [];
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+  messages.push({ role: 'user', content: prompt });
+
+  return {
+    url,
+    options: {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature: config.temperature,
+        top_p: config.topP,
+        max_tokens: config.maxOutputTokens,
+        // topK and safety settings have no chat completions equivalent
+        ...(config.stopSequences?.length ? { stop: config.stopSequences } : {}),
+        ...(config.candidateCount > 1 && !stream ? { n: config.candidateCount } : {}),
+        ...(config.responseMimeType === 'application/json'
+          ? { response_format: { type: 'json_object' } }
+          : {}),
+        // Ask for token usage in the final chunk of a stream
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        stream
+      })
+    }
+  };
+}
+
+/**
+ * Read the token counts from a response's usage object
+ * @param {Object} data - Parsed response body (or stream chunk)
+ * @returns {Object|null} - { promptTokens, completionTokens, totalTokens }
+ */
+function extractUsage(data) {
+  const usage = data.usage;
+  if (!usage) return null;
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens
+  };
+}
+
+/**
+ * POST to the chat completions endpoint, retrying rate limits and server errors
+ * @param {Object} params - API call parameters
+ * @param {boolean} stream - Request a streamed response
+ * @param {number} retries - Number of retries left
+ * @returns {Promise<Response>} - Successful fetch response
+ */
+async function requestCompletion(params, stream, retries) {
+  const { url, options } = buildRequest(params, stream);
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || response.statusText;
+
+    // Retry on rate limit or temporary errors
+    if (retries > 0 && (response.status === 429 || response.status >= 500)) {
+      logger.warn('OpenAI API error, retrying', { status: response.status, retriesLeft: retries });
+      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+      return requestCompletion(params, stream, retries - 1);
+    }
+
+    throw new Error(`OpenAI API error: ${errorMessage}`);
+  }
+
+  return response;
+}
+
+/**
+ * Call an OpenAI-compatible chat completions endpoint
+ * @param {Object} params - API call parameters
+ * @param {string} params.model - Model name
+ * @param {string} params.system - System prompt
+ * @param {string} params.prompt - User prompt
+ * @param {string} [params.apiKey] - API key (optional for local servers)
+ * @param {string} [params.baseUrl] - API base URL (default: OPENAI_BASE_URL or api.openai.com);
+ *   any other must be listed in OPENAI_ALLOWED_BASE_URLS
+ * @param {Object} [params.generationConfig] - Generation parameters
+ * @param {AbortSignal} [params.signal] - Aborts the request, including a stream in progress
+ * @param {number} params.retries - Number of retries (default: 2)
+ * @returns {Promise<Object>} - Generated text and token usage ({ text, usage })
+ */
+async function callOpenAIAPI({ retries = 2, ...params }) {
+  const startTime = Date.now();
+  let success = false;
+
+  try {
+    const response = await requestCompletion(params, false, retries);
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+
+    if (typeof text !== 'string') {
+      throw new Error('No response generated from OpenAI API');
+    }
+
+    success = true;
+    return { text, usage: extractUsage(data) };
+  } finally {
+    logger.logApiCall('OpenAI-compatible', params.model, Date.now() - startTime, success);
+  }
+}
+
+/**
+ * Stream an OpenAI-compatible chat completion (server-sent events)
+ * @param {Object} params - Same as callOpenAIAPI, plus onToken
+ * @param {Function} params.onToken - Called with each text chunk as it arrives
+ * @returns {Promise<Object>} - Full generated text and token usage ({ text, usage })
+ */
+async function streamOpenAIAPI({ onToken, retries = 2, ...params }) {
+  const startTime = Date.now();
+  let success = false;
+
+  try {
+    const response = await requestCompletion(params, true, retries);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    let usage = null;
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      const chunk = JSON.parse(payload);
+      if (chunk.error) {
+        throw new Error(`OpenAI API error: ${chunk.error.message}`);
+      }
+
+      usage = extractUsage(chunk) || usage;
+
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        fullText += text;
+        onToken(text);
+      }
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    if (!fullText) {
+      throw new Error('No response generated from OpenAI API');
+    }
+
+    success = true;
+    return { text: fullText, usage };
+  } finally {
+    logger.logApiCall('OpenAI-compatible', params.model, Date.now() - startTime, success);
+  }
+}
+
+// Provider interface used by the workflow executor
+const openAIProvider = {
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: 'gpt-4o-mini',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  requiresApiKey: false,
+  serverBaseUrl: getServerBaseUrl,
+  generate: callOpenAIAPI,
+  stream: streamOpenAIAPI
+};
+
+module.exports = { callOpenAIAPI, streamOpenAIAPI, isAllowedBaseUrl, openAIProvider };
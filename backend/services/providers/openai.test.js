@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../../utils/logger');
+const { getErrorStatusCode } = require('../../utils/httpError');
+const { executeWorkflow } = require('../executor');
+const { callOpenAIAPI, isAllowedBaseUrl } = require('./openai');
+
+logger.configure({ level: null });
+
+test('only OPENAI_BASE_URL and OPENAI_ALLOWED_BASE_URLS are allowed', (t) => {
+  t.after(() => {
+    delete process.env.OPENAI_BASE_URL;
+    delete process.env.OPENAI_ALLOWED_BASE_URLS;
+  });
+
+  assert.equal(isAllowedBaseUrl('https://api.openai.com/v1/'), true);
+  assert.equal(isAllowedBaseUrl('http://localhost:11434/v1'), false);
+
+  process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+  process.env.OPENAI_ALLOWED_BASE_URLS = ' https://a.example/v1/ ,https://b.example/v1';
+  assert.equal(isAllowedBaseUrl('http://localhost:11434/v1'), true);
+  assert.equal(isAllowedBaseUrl('https://a.example/v1'), true);
+  assert.equal(isAllowedBaseUrl('https://b.example/v1/'), true);
+  assert.equal(isAllowedBaseUrl('https://api.openai.com/v1'), false);
+  assert.equal(isAllowedBaseUrl('http://169.254.169.254/latest'), false);
+});
+
+test('a call to a base URL that is not allowed is refused before any request', async (t) => {
+  const fetch = t.mock.method(global, 'fetch');
+
+  await assert.rejects(
+    callOpenAIAPI({ model: 'gpt-4o-mini', prompt: 'Hi', baseUrl: 'http://169.254.169.254/latest' }),
+    error => error.status === 400 && /is not allowed/.test(error.message)
+  );
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('a run with a base URL that is not allowed fails with a 400', async () => {
+  const workflow = {
+    nodes: [
+      { id: 'customInput-1', type: 'customInput', data: { inputName: 'topic' } },
+      { id: 'llm-1', type: 'llm', data: { provider: 'openai', prompt: 'Hi', baseUrl: 'http://127.0.0.1:6379' } },
+      { id: 'customOutput-1', type: 'customOutput', data: {} }
+    ],
+    edges: [{ source: 'llm-1', target: 'customOutput-1', targetHandle: 'customOutput-1-value' }]
+  };
+
+  await assert.rejects(executeWorkflow(workflow), error => error.nodeId === 'llm-1' && getErrorStatusCode(error) === 400);
+});
@@ -0,0 +1,275 @@
+// services/quotas.js - Per-user run and token quotas
+// Each user is on a plan that limits runs per minute, LLM tokens per day
+// (overall and, for scheduled and webhook runs, per saved workflow) and
+// concurrent background jobs. Limits follow the signed-in user, so API tokens
+// count against their owner and users behind one NAT no longer share a limit.
+// The built-in plans can be extended or overridden with a JSON file of the
+// same shape (PLANS_FILE). A limit of null means unlimited.
+
+const fs = require('fs');
+const path = require('path');
+const { createFileStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+
+const usageStore = createFileStore('usage');
+
+// plan -> limits
+const DEFAULT_PLANS = {
+  free: {
+    runsPerMinute: 10,
+    tokensPerDay: 200000,
+    workflowTokensPerDay: null,
+    concurrentJobs: 2
+  },
+  pro: {
+    runsPerMinute: 60,
+    tokensPerDay: 5000000,
+    workflowTokensPerDay: null,
+    concurrentJobs: 10
+  }
+};
+
+const RUN_WINDOW_MS = 60 * 1000;
+
+// userId -> start times of runs in the last minute
+const recentRuns = new Map();
+
+/**
+ * Load the plans, merging PLANS_FILE over the defaults
+ * @returns {Object} - plan -> limits
+ */
+function loadPlans() {
+  const plans = Object.fromEntries(
+    Object.entries(DEFAULT_PLANS).map(([name, limits]) => [name, { ...limits }])
+  );
+
+  const file = process.env.PLANS_FILE;
+  if (!file) return plans;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load plans from ${file}: ${error.message}`);
+  }
+
+  Object.entries(overrides).forEach(([name, limits]) => {
+    plans[name] = { ...DEFAULT_PLANS.free, ...plans[name], ...limits };
+  });
+
+  return plans;
+}
+
+const plans = loadPlans();
+
+/**
+ * The plan a user is on; unknown plans fall back to DEFAULT_PLAN
+ * @param {Object} user - Signed-in user
+ * @returns {Object} - { name, ...limits }
+ */
+function getPlan(user) {
+  const fallback = process.env.DEFAULT_PLAN || 'free';
+  const name = plans[user.plan] ? user.plan : fallback;
+  return { name, ...(plans[name] || DEFAULT_PLANS.free) };
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * When the daily token quota resets (next midnight UTC)
+ * @returns {Date}
+ */
+function nextMidnight() {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight;
+}
+
+const secondsUntilMidnight = () => Math.ceil((nextMidnight() - Date.now()) / 1000);
+
+/**
+ * A user's usage for the current UTC day
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} - { day, runs, tokens, costUsd, workflows }
+ */
+async function getDailyUsage(userId) {
+  const usage = await usageStore.get(userId);
+  return usage?.day === today()
+    ? usage
+    : { day: today(), runs: 0, tokens: 0, costUsd: 0, workflows: {} };
+}
+
+/**
+ * Runs started in the last minute, dropping older ones
+ * @param {string} userId - User id
+ * @returns {Array<number>} - Start times
+ */
+function runsInWindow(userId) {
+  const since = Date.now() - RUN_WINDOW_MS;
+  const runs = (recentRuns.get(userId) || []).filter(time => time > since);
+  recentRuns.set(userId, runs);
+  return runs;
+}
+
+const remaining = (limit, used) => (limit === null ? null : Math.max(limit - used, 0));
+
+/**
+ * Count a run against the user's quotas, or refuse it with a 429.
+ * Also works out how many tokens the run may still use today.
+ * @param {Object} user - Signed-in user
+ * @param {string|null} [workflowId] - Saved workflow being run
+ * @returns {Promise<Object>} - Quota status: plan, runs and tokens, each with
+ *   limit, remaining and resetSeconds; errors carry the same status as .quota
+ */
+async function consumeRun(user, workflowId = null) {
+  const plan = getPlan(user);
+  const usage = await getDailyUsage(user.id);
+  // No await from here to the push, so concurrent runs cannot both take the last slot
+  const runs = runsInWindow(user.id);
+
+  const workflowTokens = workflowId ? usage.workflows[workflowId]?.tokens || 0 : 0;
+  const tokensLeft = [
+    remaining(plan.tokensPerDay, usage.tokens),
+    workflowId ? remaining(plan.workflowTokensPerDay, workflowTokens) : null
+  ].filter(value => value !== null);
+
+  const status = {
+    plan: plan.name,
+    runs: {
+      limit: plan.runsPerMinute,
+      remaining: remaining(plan.runsPerMinute, runs.length),
+      resetSeconds: runs.length ? Math.ceil((runs[0] + RUN_WINDOW_MS - Date.now()) / 1000) : 0
+    },
+    tokens: {
+      limit: plan.tokensPerDay,
+      remaining: tokensLeft.length ? Math.min(...tokensLeft) : null,
+      resetSeconds: secondsUntilMidnight()
+    }
+  };
+
+  if (status.runs.remaining === 0) {
+    throw httpError(429, `Run quota reached: ${plan.runsPerMinute} runs per minute on the ${plan.name} plan. Try again in ${status.runs.resetSeconds}s.`, {
+      quota: status,
+      retryAfter: status.runs.resetSeconds
+    });
+  }
+  if (status.tokens.remaining === 0) {
+    const scope = workflowId && remaining(plan.workflowTokensPerDay, workflowTokens) === 0 ? 'this workflow' : 'your account';
+    throw httpError(429, `Daily token quota used up for ${scope} on the ${plan.name} plan. It resets at midnight UTC.`, {
+      quota: status,
+      retryAfter: status.tokens.resetSeconds
+    });
+  }
+
+  runs.push(Date.now());
+  if (status.runs.remaining !== null) status.runs.remaining -= 1;
+  status.runs.resetSeconds = Math.ceil((runs[0] + RUN_WINDOW_MS - Date.now()) / 1000);
+  return status;
+}
+
+/**
+ * Cap a run's token budget at the tokens left in the user's daily quota
+ * @param {Object|null} budget - Budget from the request ({ maxTokens, maxCostUsd })
+ * @param {Object} quota - Status from consumeRun
+ * @returns {Object|null} - Budget to run with
+ */
+function capBudget(budget, quota) {
+  const tokensLeft = quota.tokens.remaining;
+  if (tokensLeft === null) return budget;
+
+  const maxTokens = budget?.maxTokens ? Math.min(budget.maxTokens, tokensLeft) : tokensLeft;
+  return { ...budget, maxTokens };
+}
+
+/**
+ * Add a finished run's token usage to the user's daily totals
+ * @param {string} userId - User id
+ * @param {string|null} workflowId - Saved workflow that ran
+ * @param {Object|null} usage - Run usage (totalTokens, costUsd)
+ * @returns {Promise<void>}
+ */
+function recordUsage(userId, workflowId, usage) {
+  return usageStore.withLock(userId, async () => {
+    const daily = await getDailyUsage(userId);
+    const tokens = usage?.totalTokens || 0;
+    const costUsd = usage?.costUsd || 0;
+
+    daily.runs += 1;
+    daily.tokens += tokens;
+    daily.costUsd += costUsd;
+    if (workflowId) {
+      const workflow = daily.workflows[workflowId] || { runs: 0, tokens: 0, costUsd: 0 };
+      daily.workflows[workflowId] = {
+        runs: workflow.runs + 1,
+        tokens: workflow.tokens + tokens,
+        costUsd: workflow.costUsd + costUsd
+      };
+    }
+
+    await usageStore.put(userId, daily);
+  });
+}
+
+/**
+ * Refuse a new background job when the user already has the plan's
+ * maximum queued or running
+ * @param {Object} user - Signed-in user
+ * @param {number} activeJobs - The user's queued and running jobs
+ * @returns {Object} - { limit, remaining } for the job quota
+ */
+function checkJobQuota(user, activeJobs) {
+  const plan = getPlan(user);
+  const status = { limit: plan.concurrentJobs, remaining: remaining(plan.concurrentJobs, activeJobs) };
+
+  if (status.remaining === 0) {
+    throw httpError(429, `Job quota reached: ${plan.concurrentJobs} queued or running jobs on the ${plan.name} plan. Wait for one to finish or cancel one.`, {
+      quota: { plan: plan.name, jobs: status }
+    });
+  }
+  return status;
+}
+
+/**
+ * A user's plan, limits and current usage
+ * @param {Object} user - Signed-in user
+ * @param {number} activeJobs - The user's queued and running jobs
+ * @returns {Promise<Object>} - Plan limits and usage for GET /usage
+ */
+async function getUsage(user, activeJobs) {
+  const { name, ...limits } = getPlan(user);
+  const runs = runsInWindow(user.id);
+  const daily = await getDailyUsage(user.id);
+
+  return {
+    plan: name,
+    limits,
+    usage: {
+      runsLastMinute: runs.length,
+      activeJobs,
+      day: daily.day,
+      runsToday: daily.runs,
+      tokensToday: daily.tokens,
+      costUsdToday: daily.costUsd,
+      workflows: daily.workflows
+    },
+    remaining: {
+      runs: remaining(limits.runsPerMinute, runs.length),
+      tokens: remaining(limits.tokensPerDay, daily.tokens),
+      jobs: remaining(limits.concurrentJobs, activeJobs)
+    },
+    resets: {
+      runsInSeconds: runs.length ? Math.ceil((runs[0] + RUN_WINDOW_MS - Date.now()) / 1000) : 0,
+      tokensAt: nextMidnight().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PLANS,
+  getPlan,
+  consumeRun,
+  capBudget,
+  recordUsage,
+  checkJobQuota,
+  getUsage
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Usage is kept on disk, and plans can come from a file, so both point at a
+// temporary directory before the module loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quotas-test-'));
+const plansFile = path.join(dataDir, 'plans.json');
+fs.writeFileSync(plansFile, JSON.stringify({ team: { runsPerMinute: 3, workflowTokensPerDay: 100 } }));
+process.env.DATA_DIR = dataDir;
+process.env.PLANS_FILE = plansFile;
+
+const { getPlan, consumeRun, capBudget, recordUsage, checkJobQuota } = require('./quotas');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const isQuotaError = (message) => (error) => error.status === 429 && message.test(error.message);
+
+test('plans from PLANS_FILE are merged over the free plan', () => {
+  assert.deepEqual(getPlan({ plan: 'team' }), {
+    name: 'team',
+    runsPerMinute: 3,
+    tokensPerDay: 200000,
+    workflowTokensPerDay: 100,
+    concurrentJobs: 2
+  });
+  assert.equal(getPlan({ plan: 'unknown' }).name, 'free');
+});
+
+test('runs are limited per minute and the window slides', async (t) => {
+  let now = Date.parse('2024-01-01T12:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const user = { id: 'user-window', plan: 'team' };
+
+  for (let run = 0; run < 3; run += 1) {
+    now += 10 * 1000;
+    await consumeRun(user);
+  }
+  await assert.rejects(consumeRun(user), isQuotaError(/3 runs per minute/));
+
+  // The first run leaves the window 60s after it started
+  now = Date.parse('2024-01-01T12:01:10Z') + 1;
+  const status = await consumeRun(user);
+  assert.equal(status.runs.remaining, 0);
+  assert.equal(status.runs.resetSeconds, 10);
+});
+
+test('concurrent runs cannot both take the last slot', async () => {
+  const user = { id: 'user-concurrent', plan: 'team' };
+  const results = await Promise.allSettled(Array.from({ length: 5 }, () => consumeRun(user)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 3);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => assert.equal(result.reason.status, 429));
+});
+
+test('token usage counts against the daily and per-workflow quotas', async () => {
+  const user = { id: 'user-tokens', plan: 'team' };
+
+  await recordUsage(user.id, 'wf-1', { totalTokens: 100, costUsd: 0.01 });
+  await assert.rejects(consumeRun(user, 'wf-1'), isQuotaError(/for this workflow/));
+
+  const status = await consumeRun(user, 'wf-2');
+  assert.equal(status.tokens.remaining, 100);
+  assert.deepEqual(capBudget({ maxTokens: 500, maxCostUsd: 1 }, status), { maxTokens: 100, maxCostUsd: 1 });
+  assert.deepEqual(capBudget(null, status), { maxTokens: 100 });
+
+  await recordUsage(user.id, null, { totalTokens: 199900 });
+  await assert.rejects(consumeRun(user), isQuotaError(/for your account/));
+});
+
+test('jobs are limited by the plan', () => {
+  assert.deepEqual(checkJobQuota({ plan: 'free' }, 1), { limit: 2, remaining: 1 });
+  assert.throws(() => checkJobQuota({ plan: 'free' }, 2), isQuotaError(/2 queued or running jobs/));
+});
@@ -0,0 +1,229 @@
+// services/runHistory.js - Persistent record of every workflow run
+// Each run stores the workflow snapshot it ran, its inputs, per-node results,
+// models, token usage and any error. Runs are kept per workspace. Run ids sort
+// chronologically, so the newest runs can be paged without reading every record.
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createWorkspaceStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+const { redact } = require('../utils/redact');
+const { executeWorkflow } = require('./executor');
+const { recordUsage } = require('./quotas');
+const { withoutPlainKey, stripPlainKeys } = require('./secretStore');
+
+const runStores = createWorkspaceStore('runs');
+
+// Runs in progress ({ controller, workspaceId }), so they can be cancelled by id
+const activeRuns = new Map();
+
+const DEFAULT_HISTORY_LIMIT = 1000;
+
+/**
+ * Create a run id that sorts by creation time
+ * @returns {string} - Run id
+ */
+function createRunId() {
+  return `run_${Date.now().toString(36).padStart(10, '0')}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Copy a workflow for the history without credentials typed into it.
+ * secret:<name> references are kept, so a re-run uses the same key.
+ * @param {Object} workflow - nodes, edges and llmConfig as submitted
+ * @returns {Object} - Snapshot safe to store
+ */
+function snapshotWorkflow({ nodes, edges = [], llmConfig = null }) {
+  return {
+    nodes: stripPlainKeys(nodes),
+    edges,
+    llmConfig: llmConfig ? withoutPlainKey(llmConfig) : null
+  };
+}
+
+/**
+ * Summary of a run for list responses
+ * @param {Object} run - Stored run
+ * @returns {Object} - Run without snapshot, inputs and per-node results
+ */
+function toSummary({ workflow, inputs, nodeResults, outputs, executionOrder, ...run }) {
+  return run;
+}
+
+/**
+ * Delete a workspace's oldest runs beyond RUN_HISTORY_LIMIT
+ * @param {Object} store - The workspace's run store
+ */
+async function pruneHistory(store) {
+  const limit = Number(process.env.RUN_HISTORY_LIMIT) || DEFAULT_HISTORY_LIMIT;
+  const ids = await store.listIds();
+
+  await Promise.all(ids.slice(0, Math.max(ids.length - limit, 0)).map(id => store.remove(id)));
+}
+
+/**
+ * Execute a workflow and record the run, whether it succeeds or fails.
+ * A failure to write the history is logged but never fails the run.
+ * @param {Object} request - Workflow run request
+ * @param {Array} request.nodes - Workflow nodes
+ * @param {Array} request.edges - Workflow edges
+ * @param {Object} request.inputs - Input values
+ * @param {Object} [request.llmConfig] - Workflow-level LLM defaults
+ * @param {Object} [request.budget] - Token and cost limits
+ * @param {string} [request.workflowId] - Saved workflow the run belongs to
+ * @param {Object} options - Run options
+ * @param {string} options.workspaceId - Workspace the run belongs to
+ * @param {string} [options.userId] - User whose daily token quota the run counts against
+ * @param {string} [options.runId] - Id to record the run under (default: new id)
+ * @param {string} [options.source] - What started the run (api, stream, ...)
+ * @param {Function} [options.onEvent] - Execution event listener (see executeWorkflow)
+ * @param {AbortSignal} [options.signal] - Cancels the run (so does cancelRun with its id)
+ * @returns {Promise<Object>} - executeWorkflow result plus runId; errors carry runId too
+ */
+async function runAndRecord(request, options) {
+  const { nodes, edges = [], inputs = {}, llmConfig = null, budget = null, workflowId = null } = request;
+  const runId = options.runId || createRunId();
+  const startedAt = new Date();
+  const controller = new AbortController();
+  const store = runStores(options.workspaceId);
+
+  options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  activeRuns.set(runId, { controller, workspaceId: options.workspaceId });
+
+  const record = async (fields) => {
+    const finishedAt = new Date();
+    const run = {
+      id: runId,
+      workflowId,
+      source: options.source || 'api',
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      inputs,
+      workflow: snapshotWorkflow({ nodes, edges, llmConfig }),
+      ...fields
+    };
+
+    try {
+      // Outputs and errors can echo whatever a provider sent back, keys included
+      await store.put(runId, redact(run));
+      await pruneHistory(store);
+    } catch (error) {
+      logger.error('Failed to record run', { runId, error: error.message });
+    }
+
+    if (options.userId) {
+      await recordUsage(options.userId, workflowId, fields.usage).catch(error => {
+        logger.error('Failed to record usage', { runId, error: error.message });
+      });
+    }
+  };
+
+  try {
+    const result = await executeWorkflow(
+      { nodes, edges, inputs, llmConfig, budget },
+      { ...options, signal: controller.signal }
+    );
+
+    await record({
+      status: 'completed',
+      outputs: result.outputs,
+      nodeResults: result.nodeResults,
+      executionOrder: result.executionOrder,
+      models: [...new Set(result.llmCalls.map(call => call.model))],
+      usage: result.usage,
+      error: null
+    });
+
+    return { ...result, runId };
+  } catch (error) {
+    await record({
+      status: error.cancelled ? 'cancelled' : 'failed',
+      outputs: {},
+      nodeResults: error.nodeResults || {},
+      models: [],
+      usage: error.usage || null,
+      error: { message: error.message, nodeId: error.nodeId || null }
+    });
+
+    error.runId = runId;
+    throw error;
+  } finally {
+    activeRuns.delete(runId);
+  }
+}
+
+/**
+ * Cancel a run that is still in progress
+ * @param {string} workspaceId - Workspace the run belongs to
+ * @param {string} id - Run id
+ * @returns {Object} - { id, status: 'cancelling' }
+ */
+function cancelRun(workspaceId, id) {
+  const active = activeRuns.get(id);
+  if (!active || active.workspaceId !== workspaceId) {
+    throw httpError(409, `Run "${id}" is not in progress`);
+  }
+
+  active.controller.abort();
+  logger.info('Run cancellation requested', { runId: id });
+  return { id, status: 'cancelling' };
+}
+
+/**
+ * List runs, newest first
+ * @param {string} workspaceId - Workspace to list
+ * @param {Object} query - List options
+ * @param {number} query.page - Page number, starting at 1
+ * @param {number} query.pageSize - Runs per page
+ * @param {string} [query.workflowId] - Only runs of this saved workflow
+ * @param {string} [query.status] - Only runs with this status
+ * @returns {Promise<Object>} - Run summaries and pagination info
+ */
+async function listRuns(workspaceId, { page, pageSize, workflowId, status }) {
+  const store = runStores(workspaceId);
+  const ids = (await store.listIds()).reverse();
+  const start = (page - 1) * pageSize;
+  let runs;
+  let total;
+
+  if (workflowId || status) {
+    const matching = (await Promise.all(ids.map(store.get)))
+      .filter(run => run &&
+        (!workflowId || run.workflowId === workflowId) &&
+        (!status || run.status === status));
+    total = matching.length;
+    runs = matching.slice(start, start + pageSize);
+  } else {
+    total = ids.length;
+    runs = (await Promise.all(ids.slice(start, start + pageSize).map(store.get))).filter(Boolean);
+  }
+
+  return {
+    runs: runs.map(toSummary),
+    pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+  };
+}
+
+/**
+ * Get a run with its snapshot, inputs and per-node results
+ * @param {string} workspaceId - Workspace the run belongs to
+ * @param {string} id - Run id
+ * @returns {Promise<Object>} - Stored run
+ */
+async function getRun(workspaceId, id) {
+  const run = await runStores(workspaceId).get(id);
+  if (!run) {
+    throw httpError(404, `Run "${id}" not found`);
+  }
+  return run;
+}
+
+module.exports = {
+  createRunId,
+  snapshotWorkflow,
+  runAndRecord,
+  cancelRun,
+  listRuns,
+  getRun
+};
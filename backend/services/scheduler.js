@@ -0,0 +1,224 @@
+// services/scheduler.js - Scheduled (cron) runs of saved workflows
+// A schedule runs a saved workflow with fixed input values whenever its cron
+// expression matches (UTC, see utils/cron.js). The scheduler checks for due
+// schedules every SCHEDULER_INTERVAL_MS and queues each run as a background
+// job, so it is recorded in the run history like any other run and counts
+// against the quota of the user who created the schedule.
+// A schedule that came due while the server was down runs once on the next
+// start, then continues from the current time.
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createFileStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+const { parseCron, nextRun } = require('../utils/cron');
+const { getWorkflow } = require('./workflowStore');
+const { getUser } = require('./userStore');
+const { buildRunRequest } = require('./webhooks');
+const { consumeRun, capBudget } = require('./quotas');
+const jobQueue = require('./jobQueue');
+
+// Keyed by schedule id; the scheduler goes through every workspace's schedules
+const schedules = createFileStore('schedules');
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+const numberFromEnv = (name, fallback) => Number(process.env[name]) || fallback;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Schedule fields for API responses
+ * @param {Object} schedule - Stored schedule
+ * @returns {Object} - Schedule without its workspace
+ */
+function toView({ workspaceId, ...schedule }) {
+  return schedule;
+}
+
+/**
+ * The next time a cron expression runs, or a 400 if it never does
+ * @param {string} cron - Cron expression
+ * @param {Date} after - Start looking after this time
+ * @returns {string} - ISO timestamp
+ */
+function nextRunAt(cron, after) {
+  const next = nextRun(parseCron(cron), after);
+  if (!next) {
+    throw httpError(400, `Cron expression "${cron}" never runs`);
+  }
+  return next.toISOString();
+}
+
+/**
+ * List a saved workflow's schedules, oldest first
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} workflowId - Workflow id
+ * @returns {Promise<Array>} - Schedules
+ */
+async function listSchedules(workspaceId, workflowId) {
+  await getWorkflow(workspaceId, workflowId);
+
+  const all = await schedules.list();
+  return all
+    .filter(schedule => schedule.workspaceId === workspaceId && schedule.workflowId === workflowId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toView);
+}
+
+/**
+ * Attach a schedule to a saved workflow. Inputs are checked against the
+ * workflow now, and again at every run in case the workflow changed.
+ * @param {Object} user - Signed-in user; runs count against their quota
+ * @param {string} workflowId - Workflow id
+ * @param {Object} fields - cron, inputs (by input name) and description
+ * @returns {Promise<Object>} - The new schedule
+ */
+async function createSchedule(user, workflowId, { cron, inputs, description }) {
+  const workflow = await getWorkflow(user.workspaceId, workflowId);
+  buildRunRequest(workflow, inputs);
+
+  const schedule = {
+    id: `sch_${crypto.randomBytes(8).toString('hex')}`,
+    workflowId,
+    workspaceId: user.workspaceId,
+    createdBy: user.username,
+    cron,
+    inputs,
+    description,
+    createdAt: new Date().toISOString(),
+    nextRunAt: nextRunAt(cron, new Date()),
+    lastRunAt: null,
+    lastRunId: null,
+    lastError: null
+  };
+
+  await schedules.put(schedule.id, schedule);
+  logger.info('Schedule created', { scheduleId: schedule.id, workflowId, cron, nextRunAt: schedule.nextRunAt });
+  return toView(schedule);
+}
+
+/**
+ * Remove one of a workflow's schedules
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} workflowId - Workflow id
+ * @param {string} id - Schedule id
+ * @returns {Promise<void>}
+ */
+async function deleteSchedule(workspaceId, workflowId, id) {
+  await getWorkflow(workspaceId, workflowId);
+
+  const schedule = await schedules.get(id);
+  if (!schedule || schedule.workspaceId !== workspaceId || schedule.workflowId !== workflowId) {
+    throw httpError(404, `Schedule "${id}" not found`);
+  }
+
+  await schedules.withLock(id, () => schedules.remove(id));
+  logger.info('Schedule deleted', { scheduleId: id, workflowId });
+}
+
+/**
+ * Remove the schedules of a workflow that was deleted
+ * @param {string} workflowId - Workflow id
+ * @returns {Promise<void>}
+ */
+async function forgetSchedules(workflowId) {
+  const all = await schedules.list();
+  for (const schedule of all.filter(entry => entry.workflowId === workflowId)) {
+    await schedules.withLock(schedule.id, () => schedules.remove(schedule.id));
+    logger.info('Schedule of deleted workflow removed', { scheduleId: schedule.id, workflowId });
+  }
+}
+
+/**
+ * Queue one run of a due schedule and work out when it runs next. A run that
+ * cannot start (workflow changed, quota used up, queue full) is skipped and
+ * its reason kept in lastError.
+ * @param {string} id - Schedule id
+ * @param {Date} now - Time of this check
+ * @returns {Promise<void>}
+ */
+function runSchedule(id, now) {
+  return schedules.withLock(id, async () => {
+    const schedule = await schedules.get(id);
+    if (!schedule || Date.parse(schedule.nextRunAt) > now.getTime()) return; // Deleted or already run
+
+    const missed = now.getTime() - Date.parse(schedule.nextRunAt) > numberFromEnv('SCHEDULER_INTERVAL_MS', DEFAULT_INTERVAL_MS);
+    if (missed) {
+      logger.info('Catching up on a missed scheduled run', { scheduleId: id, dueAt: schedule.nextRunAt });
+    }
+
+    const update = { lastRunAt: now.toISOString(), lastRunId: null, lastError: null };
+    try {
+      update.nextRunAt = nextRunAt(schedule.cron, now);
+
+      const user = await getUser(schedule.createdBy);
+      if (!user) {
+        throw httpError(404, `User "${schedule.createdBy}" no longer exists`);
+      }
+      const workflow = await getWorkflow(schedule.workspaceId, schedule.workflowId);
+      const request = buildRunRequest(workflow, schedule.inputs);
+      const quota = await consumeRun(user, workflow.id);
+
+      const job = jobQueue.submitJob(schedule.workspaceId, { ...request, budget: capBudget(null, quota) }, user.id, 'schedule');
+      update.lastRunId = job.runId;
+      logger.info('Scheduled run queued', { scheduleId: id, workflowId: workflow.id, jobId: job.id, runId: job.runId });
+    } catch (error) {
+      update.lastError = error.message;
+      logger.warn('Scheduled run skipped', { scheduleId: id, workflowId: schedule.workflowId, error: error.message });
+    }
+
+    await schedules.put(id, { ...schedule, ...update });
+  });
+}
+
+/**
+ * Queue the runs of every schedule that is due
+ * @returns {Promise<void>}
+ */
+async function tick() {
+  if (ticking) return; // The previous check is still going
+  ticking = true;
+
+  try {
+    const now = new Date();
+    const due = (await schedules.list()).filter(schedule => Date.parse(schedule.nextRunAt) <= now.getTime());
+    for (const schedule of due) {
+      await runSchedule(schedule.id, now);
+    }
+  } catch (error) {
+    logger.error('Scheduler check failed', { error: error.message });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking for due schedules, catching up on runs missed while the
+ * server was down. Does nothing when SCHEDULER_ENABLED is "false".
+ */
+function start() {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') return;
+
+  timer = setInterval(tick, numberFromEnv('SCHEDULER_INTERVAL_MS', DEFAULT_INTERVAL_MS));
+  timer.unref();
+  tick();
+}
+
+/**
+ * Stop checking for due schedules
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  listSchedules,
+  createSchedule,
+  deleteSchedule,
+  forgetSchedules,
+  start,
+  stop
+};
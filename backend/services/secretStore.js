@@ -0,0 +1,214 @@
+// services/secretStore.js - Provider API keys encrypted at rest
+// Values are encrypted with AES-256-GCM under SECRETS_MASTER_KEY and never
+// leave the server: the API only lists names and metadata. Workflows refer to
+// a key as "secret:<name>" and the executor resolves it, in the workspace the
+// run belongs to, when a node runs.
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createWorkspaceStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+const { MASK, registerSecret } = require('../utils/redact');
+
+const secretStores = createWorkspaceStore('secrets');
+
+const SECRET_PREFIX = 'secret:';
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Decode SECRETS_MASTER_KEY (64 hex characters or base64 of 32 bytes)
+ * @param {string} [value] - Raw env value
+ * @returns {Buffer|null} - 32-byte key, or null if the value is not a valid key
+ */
+function parseMasterKey(value) {
+  if (!value) return null;
+
+  const key = /^[0-9a-fA-F]{64}$/.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  return key.length === 32 ? key : null;
+}
+
+/**
+ * The master key, or a 503 when the secret store is not configured
+ * @returns {Buffer} - 32-byte key
+ */
+function getMasterKey() {
+  const key = parseMasterKey(process.env.SECRETS_MASTER_KEY);
+  if (!key) {
+    throw httpError(503, 'Secret store is not configured. Set SECRETS_MASTER_KEY on the server.');
+  }
+  return key;
+}
+
+/**
+ * Encrypt a value. The secret name is authenticated with it, so a record
+ * copied under another name fails to decrypt.
+ * @param {string} name - Secret name
+ * @param {string} value - Plain-text value
+ * @returns {Object} - iv, tag and ciphertext, base64-encoded
+ */
+function encrypt(name, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(), iv);
+  cipher.setAAD(Buffer.from(name));
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {Object} record - Stored secret
+ * @returns {string} - Plain-text value
+ */
+function decrypt(record) {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(), Buffer.from(record.iv, 'base64'));
+    decipher.setAAD(Buffer.from(record.name));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(record.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    if (error.status) throw error;
+    logger.error('Failed to decrypt secret', { name: record.name });
+    throw httpError(500, `Secret "${record.name}" could not be decrypted. Was SECRETS_MASTER_KEY changed?`);
+  }
+}
+
+/**
+ * Secret metadata for list responses (never the value)
+ * @param {Object} record - Stored secret
+ * @returns {Object} - name, description, reference and timestamps
+ */
+function toSummary({ name, description, createdAt, updatedAt }) {
+  return { name, description, reference: `${SECRET_PREFIX}${name}`, createdAt, updatedAt };
+}
+
+/**
+ * List stored secrets, by name
+ * @param {string} workspaceId - Workspace to list
+ * @returns {Promise<Array>} - Secret summaries
+ */
+async function listSecrets(workspaceId) {
+  const records = await secretStores(workspaceId).list();
+  return records.sort((a, b) => a.name.localeCompare(b.name)).map(toSummary);
+}
+
+/**
+ * Create a secret or replace its value
+ * @param {string} workspaceId - Workspace the secret belongs to
+ * @param {string} name - Secret name (letters, digits, - and _)
+ * @param {Object} fields - Secret fields
+ * @param {string} fields.value - Plain-text value
+ * @param {string} [fields.description] - What the key is for
+ * @returns {Promise<Object>} - Secret summary
+ */
+function putSecret(workspaceId, name, { value, description = '' }) {
+  const store = secretStores(workspaceId);
+
+  return store.withLock(name, async () => {
+    const existing = await store.get(name);
+    const now = new Date().toISOString();
+    const record = {
+      name,
+      description,
+      ...encrypt(name, value),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    registerSecret(value);
+    await store.put(name, record);
+    logger.info(existing ? 'Secret updated' : 'Secret created', { workspaceId, name });
+    return toSummary(record);
+  });
+}
+
+/**
+ * Delete a secret
+ * @param {string} workspaceId - Workspace the secret belongs to
+ * @param {string} name - Secret name
+ * @returns {Promise<void>}
+ */
+async function deleteSecret(workspaceId, name) {
+  if (!(await secretStores(workspaceId).remove(name))) {
+    throw httpError(404, `Secret "${name}" not found`);
+  }
+  logger.info('Secret deleted', { workspaceId, name });
+}
+
+/**
+ * Whether a value is a reference to a stored secret
+ * @param {*} value - API key field value
+ * @returns {boolean}
+ */
+function isSecretReference(value) {
+  return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+/**
+ * Copy node data (or an llmConfig) without a plain-text apiKey.
+ * secret:<name> references are kept; they are not secret.
+ * @param {Object} data - Object that may hold an apiKey
+ * @returns {Object} - Copy safe to store or share
+ */
+function withoutPlainKey({ apiKey, ...rest }) {
+  return isSecretReference(apiKey) ? { ...rest, apiKey } : rest;
+}
+
+/**
+ * Copy workflow nodes without plain-text API keys
+ * @param {Array} nodes - Workflow nodes
+ * @returns {Array} - Nodes safe to store or share
+ */
+function stripPlainKeys(nodes) {
+  return nodes.map(node => (node.data?.apiKey ? { ...node, data: withoutPlainKey(node.data) } : node));
+}
+
+/**
+ * Turn an API key field into the key to call the provider with.
+ * "secret:<name>" is looked up and decrypted; any other value is returned as is.
+ * @param {string} workspaceId - Workspace the run belongs to
+ * @param {string|null} value - API key field value
+ * @returns {Promise<string|null>} - API key
+ */
+async function resolveApiKey(workspaceId, value) {
+  if (value === MASK) {
+    throw httpError(400, 'API key was removed when the workflow was saved or exported. Choose a stored key for this node.');
+  }
+
+  if (!isSecretReference(value)) {
+    registerSecret(value);
+    return value;
+  }
+
+  const name = value.slice(SECRET_PREFIX.length);
+  const record = await secretStores(workspaceId).get(name);
+  if (!record) {
+    throw httpError(400, `API key secret "${name}" not found`);
+  }
+
+  const key = decrypt(record);
+  registerSecret(key);
+  return key;
+}
+
+module.exports = {
+  SECRET_PREFIX,
+  parseMasterKey,
+  listSecrets,
+  putSecret,
+  deleteSecret,
+  isSecretReference,
+  withoutPlainKey,
+  stripPlainKeys,
+  resolveApiKey
+};
@@ -0,0 +1,265 @@
+// services/userStore.js - User accounts, login sessions and API tokens
+// Users sign in with a username and password to get a session token, or
+// create long-lived API tokens for scripts. Both are sent as
+// "Authorization: Bearer <token>". Only SHA-256 hashes of tokens are stored,
+// and passwords are hashed with scrypt.
+// Every user owns a workspace holding their workflows, runs and secrets.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+const { createFileStore, adoptUnscopedRecords } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+
+const scrypt = promisify(crypto.scrypt);
+
+const users = createFileStore('users');
+const sessions = createFileStore('sessions');
+const apiTokens = createFileStore('api-tokens');
+
+const SESSION_PREFIX = 'wws_';
+const API_TOKEN_PREFIX = 'wwt_';
+const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Sign-ups take turns, so only one of them can be the first account. The
+// ":" keeps the lock apart from the per-username locks, since usernames cannot contain one.
+const SIGNUP_LOCK = 'signup:lock';
+
+// Collections that belong to a workspace. Records saved before accounts
+// existed are handed to the first user who signs up.
+const WORKSPACE_COLLECTIONS = ['workflows', 'workflow-versions', 'runs', 'secrets'];
+
+const newToken = (prefix) => `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const userKey = (username) => username.toLowerCase();
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>", base64-encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Value from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [, salt, expected] = stored.split('$');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), 64);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'base64'));
+}
+
+/**
+ * User fields that are safe to return from the API
+ * @param {Object} user - Stored user
+ * @returns {Object} - id, username, workspaceId, plan and createdAt
+ */
+function toPublicUser({ id, username, workspaceId, plan, createdAt }) {
+  return { id, username, workspaceId, plan: plan || process.env.DEFAULT_PLAN || 'free', createdAt };
+}
+
+/**
+ * Create an account. Only the first account can be created this way unless
+ * ALLOW_SIGNUP is "true"; the first account also takes over the records
+ * saved before accounts existed.
+ * @param {Object} fields - Account fields
+ * @param {string} fields.username - Username (letters, digits, - and _)
+ * @param {string} fields.password - Password
+ * @returns {Promise<Object>} - The new user
+ */
+function createUser({ username, password }) {
+  return users.withLock(SIGNUP_LOCK, async () => {
+    const isFirstUser = (await users.listIds()).length === 0;
+    if (!isFirstUser && process.env.ALLOW_SIGNUP !== 'true') {
+      throw httpError(403, 'Sign-up is disabled on this server. Ask an administrator for an account.');
+    }
+
+    const user = await users.withLock(userKey(username), async () => {
+      if (await users.get(userKey(username))) {
+        throw httpError(409, `Username "${username}" is already taken`);
+      }
+
+      const id = `usr_${crypto.randomBytes(8).toString('hex')}`;
+      const record = {
+        id,
+        username,
+        passwordHash: await hashPassword(password),
+        workspaceId: id,
+        plan: process.env.DEFAULT_PLAN || 'free',
+        createdAt: new Date().toISOString()
+      };
+      return users.put(userKey(username), record);
+    });
+
+    logger.info('User created', { userId: user.id, username });
+
+    if (isFirstUser) {
+      for (const collection of WORKSPACE_COLLECTIONS) {
+        const moved = await adoptUnscopedRecords(collection, user.workspaceId);
+        if (moved > 0) {
+          logger.info('Existing records moved to the first workspace', { collection, moved, userId: user.id });
+        }
+      }
+    }
+
+    return toPublicUser(user);
+  });
+}
+
+/**
+ * Start a login session
+ * @param {Object} user - User the session belongs to
+ * @returns {Promise<Object>} - { token, expiresAt }; the token is only returned here
+ */
+async function createSession(user) {
+  const token = newToken(SESSION_PREFIX);
+  const ttl = Number(process.env.SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS;
+  const expiresAt = new Date(Date.now() + ttl).toISOString();
+
+  await sessions.put(hashToken(token), {
+    username: user.username,
+    createdAt: new Date().toISOString(),
+    expiresAt
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Check a username and password and start a session
+ * @param {Object} credentials - username and password
+ * @returns {Promise<Object>} - { user, token, expiresAt }
+ */
+async function login({ username, password }) {
+  const user = await users.get(userKey(username));
+  // Hash the password even for unknown users so response times do not reveal which usernames exist
+  const valid = user
+    ? await verifyPassword(password, user.passwordHash)
+    : (await hashPassword(password), false);
+
+  if (!valid) {
+    throw httpError(401, 'Invalid username or password');
+  }
+
+  logger.info('User logged in', { userId: user.id });
+  return { user: toPublicUser(user), ...(await createSession(user)) };
+}
+
+/**
+ * End the session a token belongs to. API tokens are revoked with revokeApiToken instead.
+ * @param {string} token - Session token
+ * @returns {Promise<void>}
+ */
+async function logout(token) {
+  if (token.startsWith(SESSION_PREFIX)) {
+    await sessions.remove(hashToken(token));
+  }
+}
+
+/**
+ * Look up a user by username
+ * @param {string} username - Username
+ * @returns {Promise<Object|null>} - User, or null if there is no such user
+ */
+async function getUser(username) {
+  const user = await users.get(userKey(username));
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Find the user a bearer token belongs to
+ * @param {string} token - Session or API token
+ * @returns {Promise<Object|null>} - User, or null if the token is unknown or expired
+ */
+async function authenticate(token) {
+  const store = token.startsWith(SESSION_PREFIX) ? sessions
+    : token.startsWith(API_TOKEN_PREFIX) ? apiTokens
+      : null;
+  if (!store) return null;
+
+  const key = hashToken(token);
+  const entry = await store.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+    await store.remove(key);
+    return null;
+  }
+
+  const user = await users.get(userKey(entry.username));
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Token metadata for list responses (never the token)
+ * @param {Object} entry - Stored API token
+ * @returns {Object} - id, name and createdAt
+ */
+function toTokenSummary({ id, name, createdAt }) {
+  return { id, name, createdAt };
+}
+
+/**
+ * Create a long-lived API token for scripts and integrations
+ * @param {Object} user - Token owner
+ * @param {string} name - What the token is for
+ * @returns {Promise<Object>} - Token summary plus the token itself, returned only once
+ */
+async function createApiToken(user, name) {
+  const token = newToken(API_TOKEN_PREFIX);
+  const entry = {
+    id: `tok_${crypto.randomBytes(6).toString('hex')}`,
+    username: user.username,
+    name,
+    createdAt: new Date().toISOString()
+  };
+
+  await apiTokens.put(hashToken(token), entry);
+  logger.info('API token created', { userId: user.id, tokenId: entry.id });
+  return { ...toTokenSummary(entry), token };
+}
+
+/**
+ * List a user's API tokens, oldest first
+ * @param {Object} user - Token owner
+ * @returns {Promise<Array>} - Token summaries
+ */
+async function listApiTokens(user) {
+  const entries = (await apiTokens.list()).filter(entry => entry.username === user.username);
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).map(toTokenSummary);
+}
+
+/**
+ * Revoke one of a user's API tokens
+ * @param {Object} user - Token owner
+ * @param {string} id - Token id
+ * @returns {Promise<void>}
+ */
+async function revokeApiToken(user, id) {
+  for (const key of await apiTokens.listIds()) {
+    const entry = await apiTokens.get(key);
+    if (entry?.id === id && entry.username === user.username) {
+      await apiTokens.remove(key);
+      logger.info('API token revoked', { userId: user.id, tokenId: id });
+      return;
+    }
+  }
+  throw httpError(404, `API token "${id}" not found`);
+}
+
+module.exports = {
+  createUser,
+  createSession,
+  login,
+  logout,
+  getUser,
+  authenticate,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken
+};
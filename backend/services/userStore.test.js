@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Accounts are kept on disk, so DATA_DIR points at a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.ALLOW_SIGNUP;
+
+const logger = require('../utils/logger');
+const { createUser } = require('./userStore');
+
+logger.configure({ level: null });
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const password = 'password123';
+
+test('the first account can be created, later ones only with ALLOW_SIGNUP', { timeout: 5000 }, async () => {
+  // "signup" must not wait on the lock sign-ups themselves hold
+  const first = await createUser({ username: 'signup', password });
+  assert.equal(first.username, 'signup');
+
+  await assert.rejects(createUser({ username: 'bob', password }), error => error.status === 403);
+
+  process.env.ALLOW_SIGNUP = 'true';
+  try {
+    const second = await createUser({ username: 'bob', password });
+    assert.notEqual(second.workspaceId, first.workspaceId);
+    await assert.rejects(createUser({ username: 'SignUp', password }), error => error.status === 409);
+  } finally {
+    delete process.env.ALLOW_SIGNUP;
+  }
+});
+
+test('concurrent first sign-ups create one account', { timeout: 5000 }, async () => {
+  fs.rmSync(path.join(dataDir, 'users'), { recursive: true, force: true });
+
+  const results = await Promise.allSettled([
+    createUser({ username: 'alice', password }),
+    createUser({ username: 'carol', password })
+  ]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find(result => result.status === 'rejected').reason.status, 403);
+});
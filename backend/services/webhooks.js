@@ -0,0 +1,180 @@
+// services/webhooks.js - Webhook triggers for saved workflows
+// A saved workflow can be published with a secret token, so external systems
+// can run it with POST /hooks/<workflowId>/<token> without signing in. Only a
+// SHA-256 hash of the token is stored; rotating replaces it and revoking
+// deletes it. Runs count against the quota of the user who published it.
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createFileStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+const { getInputName, getOutputName } = require('./executor');
+const { getWorkflow } = require('./workflowStore');
+
+// Keyed by workflow id: the URL carries no workspace
+const hooks = createFileStore('hooks');
+
+const HOOK_TOKEN_PREFIX = 'wwh_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest();
+
+/**
+ * Webhook metadata for API responses (never the token)
+ * @param {Object} hook - Stored webhook
+ * @returns {Object} - workflowId, createdBy and timestamps
+ */
+function toSummary({ workflowId, createdBy, createdAt, rotatedAt }) {
+  return { workflowId, createdBy, createdAt, rotatedAt };
+}
+
+/**
+ * The webhook of a workflow in a workspace
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} workflowId - Workflow id
+ * @returns {Promise<Object>} - Stored webhook
+ */
+async function findHook(workspaceId, workflowId) {
+  await getWorkflow(workspaceId, workflowId);
+
+  const hook = await hooks.get(workflowId);
+  if (!hook || hook.workspaceId !== workspaceId) {
+    throw httpError(404, `Workflow "${workflowId}" has no webhook`);
+  }
+  return hook;
+}
+
+/**
+ * Get a workflow's webhook
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} workflowId - Workflow id
+ * @returns {Promise<Object>} - Webhook summary
+ */
+async function getHook(workspaceId, workflowId) {
+  return toSummary(await findHook(workspaceId, workflowId));
+}
+
+/**
+ * Publish a workflow, or rotate its token. The previous token stops working at once.
+ * @param {Object} user - Signed-in user; runs count against their quota
+ * @param {string} workflowId - Workflow id
+ * @returns {Promise<Object>} - Webhook summary plus the token and its path, returned only once
+ */
+async function rotateHook(user, workflowId) {
+  await getWorkflow(user.workspaceId, workflowId);
+
+  return hooks.withLock(workflowId, async () => {
+    const existing = await hooks.get(workflowId);
+    const token = `${HOOK_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date().toISOString();
+    const hook = {
+      workflowId,
+      workspaceId: user.workspaceId,
+      createdBy: user.username,
+      tokenHash: hashToken(token).toString('hex'),
+      createdAt: existing?.createdAt || now,
+      rotatedAt: existing ? now : null
+    };
+
+    await hooks.put(workflowId, hook);
+    logger.info(existing ? 'Webhook token rotated' : 'Webhook created', { workflowId, userId: user.id });
+    return { ...toSummary(hook), token, path: `/hooks/${workflowId}/${token}` };
+  });
+}
+
+/**
+ * Revoke a workflow's webhook
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} workflowId - Workflow id
+ * @returns {Promise<void>}
+ */
+async function revokeHook(workspaceId, workflowId) {
+  await findHook(workspaceId, workflowId);
+  await hooks.remove(workflowId);
+  logger.info('Webhook revoked', { workflowId });
+}
+
+/**
+ * Forget the webhook of a workflow that was deleted
+ * @param {string} workflowId - Workflow id
+ * @returns {Promise<void>}
+ */
+async function forgetHook(workflowId) {
+  if (await hooks.remove(workflowId)) {
+    logger.info('Webhook of deleted workflow removed', { workflowId });
+  }
+}
+
+/**
+ * Check a webhook token. Unknown workflows and wrong tokens get the same 404.
+ * @param {string} workflowId - Workflow id from the URL
+ * @param {string} token - Token from the URL
+ * @returns {Promise<Object>} - Stored webhook
+ */
+async function verifyHook(workflowId, token) {
+  const notFound = httpError(404, 'Webhook not found');
+  let hook;
+  try {
+    hook = await hooks.get(workflowId);
+  } catch (error) {
+    throw notFound; // Invalid id
+  }
+
+  const valid = hook && crypto.timingSafeEqual(hashToken(token), Buffer.from(hook.tokenHash, 'hex'));
+  if (!valid) throw notFound;
+  return hook;
+}
+
+/**
+ * Turn input values keyed by input name (a webhook body, or a schedule's
+ * fixed inputs) into a run request for a saved workflow. Every input is required.
+ * @param {Object} workflow - Saved workflow
+ * @param {Object} body - Input values
+ * @returns {Object} - Run request (see runAndRecord)
+ */
+function buildRunRequest(workflow, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Body must be a JSON object of input values');
+  }
+
+  const inputNames = workflow.nodes.filter(node => node.type === 'customInput').map(getInputName);
+  const missing = inputNames.filter(name => body[name] === undefined);
+  if (missing.length > 0) {
+    throw httpError(400, `Missing inputs: ${missing.join(', ')}`, { inputs: inputNames });
+  }
+
+  const invalid = inputNames.filter(name => !['string', 'number', 'boolean'].includes(typeof body[name]));
+  if (invalid.length > 0) {
+    throw httpError(400, `Inputs must be strings, numbers or booleans: ${invalid.join(', ')}`, { inputs: inputNames });
+  }
+
+  return {
+    nodes: workflow.nodes,
+    edges: workflow.edges,
+    inputs: Object.fromEntries(inputNames.map(name => [name, body[name]])),
+    workflowId: workflow.id
+  };
+}
+
+/**
+ * Key run outputs by output name instead of node id
+ * @param {Array} nodes - Workflow nodes
+ * @param {Object} outputs - Outputs keyed by output node id
+ * @returns {Object} - Outputs keyed by output name
+ */
+function nameOutputs(nodes, outputs) {
+  return Object.fromEntries(
+    nodes
+      .filter(node => node.type === 'customOutput' && outputs[node.id] !== undefined)
+      .map(node => [getOutputName(node), outputs[node.id]])
+  );
+}
+
+module.exports = {
+  getHook,
+  rotateHook,
+  revokeHook,
+  forgetHook,
+  verifyHook,
+  buildRunRequest,
+  nameOutputs
+};
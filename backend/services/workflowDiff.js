@@ -0,0 +1,115 @@
+// services/workflowDiff.js - Compare two versions of a workflow graph
+// Node positions are ignored: moving a node on the canvas does not change
+// what the workflow does.
+
+/**
+ * Stable JSON for comparing values regardless of object key order
+ * @param {*} value - Any JSON value
+ * @returns {string} - Canonical JSON
+ */
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Identify an edge by the handles it connects; edge ids are generated from
+ * the endpoints, so they are not stable across rewiring
+ * @param {Object} edge - Workflow edge
+ * @returns {string} - Edge key
+ */
+function edgeKey(edge) {
+  return `${edge.source}:${edge.sourceHandle || ''}->${edge.target}:${edge.targetHandle || ''}`;
+}
+
+/**
+ * Describe an edge without React Flow styling fields
+ * @param {Object} edge - Workflow edge
+ * @returns {Object} - source, sourceHandle, target, targetHandle
+ */
+function describeEdge({ source, sourceHandle, target, targetHandle }) {
+  return { source, sourceHandle: sourceHandle || null, target, targetHandle: targetHandle || null };
+}
+
+/**
+ * Compare the data fields of two versions of the same node
+ * @param {Object} before - Node data before
+ * @param {Object} after - Node data after
+ * @returns {Array} - Changed fields ({ field, before, after })
+ */
+function diffNodeData(before = {}, after = {}) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return fields
+    .filter(field => canonical(before[field]) !== canonical(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Compare two workflow versions
+ * @param {Object} before - Older version ({ name, description, nodes, edges })
+ * @param {Object} after - Newer version
+ * @returns {Object} - Added, removed and changed nodes; added, removed and rewired edges;
+ *   and changes to the name and description
+ */
+function diffWorkflows(before, after) {
+  const beforeNodes = new Map(before.nodes.map(node => [node.id, node]));
+  const afterNodes = new Map(after.nodes.map(node => [node.id, node]));
+
+  const nodes = {
+    added: after.nodes
+      .filter(node => !beforeNodes.has(node.id))
+      .map(node => ({ id: node.id, type: node.type })),
+    removed: before.nodes
+      .filter(node => !afterNodes.has(node.id))
+      .map(node => ({ id: node.id, type: node.type })),
+    changed: after.nodes
+      .filter(node => beforeNodes.has(node.id))
+      .map(node => {
+        const previous = beforeNodes.get(node.id);
+        const fields = diffNodeData(previous.data, node.data);
+        if (previous.type !== node.type) {
+          fields.unshift({ field: 'type', before: previous.type, after: node.type });
+        }
+        return { id: node.id, type: node.type, fields };
+      })
+      .filter(change => change.fields.length > 0)
+  };
+
+  const beforeEdges = new Map(before.edges.map(edge => [edgeKey(edge), describeEdge(edge)]));
+  const afterEdges = new Map(after.edges.map(edge => [edgeKey(edge), describeEdge(edge)]));
+  let addedEdges = [...afterEdges].filter(([key]) => !beforeEdges.has(key)).map(([, edge]) => edge);
+  let removedEdges = [...beforeEdges].filter(([key]) => !afterEdges.has(key)).map(([, edge]) => edge);
+
+  // A removed and an added edge into the same target handle is one input rewired to a new source
+  const rewired = [];
+  removedEdges.forEach(removed => {
+    const added = addedEdges.find(edge =>
+      edge.target === removed.target && edge.targetHandle === removed.targetHandle);
+    if (!added) return;
+
+    rewired.push({ before: removed, after: added });
+    addedEdges = addedEdges.filter(edge => edge !== added);
+  });
+  removedEdges = removedEdges.filter(edge => !rewired.some(change => change.before === edge));
+
+  return {
+    name: before.name !== after.name ? { before: before.name, after: after.name } : null,
+    description: (before.description || '') !== (after.description || '')
+      ? { before: before.description, after: after.description }
+      : null,
+    nodes,
+    edges: { added: addedEdges, removed: removedEdges, rewired },
+    hasChanges: before.name !== after.name ||
+      (before.description || '') !== (after.description || '') ||
+      nodes.added.length + nodes.removed.length + nodes.changed.length > 0 ||
+      addedEdges.length + removedEdges.length + rewired.length > 0
+  };
+}
+
+module.exports = { diffWorkflows };
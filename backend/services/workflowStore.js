@@ -0,0 +1,280 @@
+// services/workflowStore.js - Server-side saved workflows
+// Workflows belong to a workspace and are only visible inside it. Updates use
+// optimistic concurrency: the client sends back the updatedAt it loaded, and
+// the write is rejected if someone else saved in the meantime.
+// Every save appends an immutable snapshot to the workflow's version history.
+// Plain-text API keys are dropped from shared workflows; secret:<name>
+// references are kept. A workflow's test cases are saved and versioned with it.
+
+const crypto = require('crypto');
+const { createWorkspaceStore } = require('../utils/fileStore');
+const { httpError } = require('../utils/httpError');
+const { diffWorkflows } = require('./workflowDiff');
+const { stripPlainKeys } = require('./secretStore');
+
+const workflowStores = createWorkspaceStore('workflows');
+const versionStores = createWorkspaceStore('workflow-versions');
+
+const DEFAULT_AUTHOR = 'anonymous';
+
+/**
+ * Next updatedAt for a record, always later than the previous one so two
+ * saves in the same millisecond still get different timestamps
+ * @param {string} [previous] - Current updatedAt
+ * @returns {string} - ISO timestamp
+ */
+function nextTimestamp(previous) {
+  const now = Date.now();
+  const last = previous ? Date.parse(previous) : 0;
+  return new Date(Math.max(now, last + 1)).toISOString();
+}
+
+/**
+ * Summary of a workflow for list responses (without the graph and tests)
+ * @param {Object} workflow - Stored workflow
+ * @returns {Object} - Workflow summary
+ */
+function toSummary({ nodes, edges, tests = [], ...workflow }) {
+  return { ...workflow, nodeCount: nodes.length, edgeCount: edges.length, testCount: tests.length };
+}
+
+/**
+ * Version metadata without the snapshot, for history lists
+ * @param {Object} version - Stored version
+ * @returns {Object} - Version summary
+ */
+function toVersionSummary({ nodes, edges, tests = [], ...version }) {
+  return { ...version, nodeCount: nodes.length, edgeCount: edges.length, testCount: tests.length };
+}
+
+/**
+ * Append a snapshot of a workflow to its version history
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {Object} workflow - Workflow as just saved (its version field is the new number)
+ * @param {Object} meta - Who saved it and why
+ * @param {string} [meta.author] - Author name
+ * @param {string} [meta.message] - Change message
+ * @returns {Promise<Object>} - Stored version
+ */
+async function appendVersion(workspaceId, workflow, { author, message }) {
+  const versionStore = versionStores(workspaceId);
+  const history = await versionStore.get(workflow.id) || { workflowId: workflow.id, versions: [] };
+  const version = {
+    version: workflow.version,
+    author: author || DEFAULT_AUTHOR,
+    message: message || '',
+    createdAt: workflow.updatedAt,
+    name: workflow.name,
+    description: workflow.description,
+    nodes: workflow.nodes,
+    edges: workflow.edges,
+    tests: workflow.tests || []
+  };
+
+  await versionStore.put(workflow.id, { ...history, versions: [...history.versions, version] });
+  return version;
+}
+
+/**
+ * List workflows, most recently updated first
+ * @param {string} workspaceId - Workspace to list
+ * @param {Object} query - List options
+ * @param {number} query.page - Page number, starting at 1
+ * @param {number} query.pageSize - Workflows per page
+ * @param {string} [query.search] - Case-insensitive match on name and description
+ * @returns {Promise<Object>} - Workflow summaries and pagination info
+ */
+async function listWorkflows(workspaceId, { page, pageSize, search }) {
+  const term = (search || '').trim().toLowerCase();
+  const workflows = (await workflowStores(workspaceId).list())
+    .filter(workflow => !term ||
+      workflow.name.toLowerCase().includes(term) ||
+      (workflow.description || '').toLowerCase().includes(term))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  const start = (page - 1) * pageSize;
+
+  return {
+    workflows: workflows.slice(start, start + pageSize).map(toSummary),
+    pagination: {
+      page,
+      pageSize,
+      total: workflows.length,
+      totalPages: Math.ceil(workflows.length / pageSize)
+    }
+  };
+}
+
+/**
+ * Get a workflow by id
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} id - Workflow id
+ * @returns {Promise<Object>} - Stored workflow
+ */
+async function getWorkflow(workspaceId, id) {
+  const workflow = await workflowStores(workspaceId).get(id);
+  if (!workflow) {
+    throw httpError(404, `Workflow "${id}" not found`);
+  }
+  return workflow;
+}
+
+/**
+ * Save a new workflow as version 1
+ * @param {string} workspaceId - Workspace to save it in
+ * @param {Object} fields - name, description, nodes, edges and tests
+ * @param {Object} [meta] - Version author and message
+ * @returns {Promise<Object>} - Stored workflow
+ */
+async function createWorkflow(workspaceId, { name, description, nodes, edges, tests = [] }, meta = {}) {
+  const timestamp = nextTimestamp();
+  const workflow = {
+    id: crypto.randomUUID(),
+    name,
+    description,
+    nodes: stripPlainKeys(nodes),
+    edges,
+    tests,
+    version: 1,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  await appendVersion(workspaceId, workflow, { ...meta, message: meta.message || 'Created' });
+  return workflowStores(workspaceId).put(workflow.id, workflow);
+}
+
+/**
+ * Update a workflow if nobody else changed it since the client loaded it
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} id - Workflow id
+ * @param {Object} changes - Fields to replace (name, description, nodes, edges, tests)
+ * @param {string} expectedUpdatedAt - updatedAt of the copy the client edited
+ * @param {Object} [meta] - Version author and message
+ * @returns {Promise<Object>} - Updated workflow
+ */
+function updateWorkflow(workspaceId, id, changes, expectedUpdatedAt, meta = {}) {
+  const store = workflowStores(workspaceId);
+
+  return store.withLock(id, async () => {
+    const current = await getWorkflow(workspaceId, id);
+
+    if (current.updatedAt !== expectedUpdatedAt) {
+      throw httpError(409, 'Workflow was modified by someone else. Reload it and apply your changes again.', { current });
+    }
+
+    const workflow = {
+      ...current,
+      ...changes,
+      ...(changes.nodes ? { nodes: stripPlainKeys(changes.nodes) } : {}),
+      id,
+      // Workflows saved before version history start counting from 1
+      version: (current.version || 0) + 1,
+      updatedAt: nextTimestamp(current.updatedAt)
+    };
+
+    await appendVersion(workspaceId, workflow, meta);
+    return store.put(id, workflow);
+  });
+}
+
+/**
+ * Delete a workflow
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} id - Workflow id
+ * @param {string} [expectedUpdatedAt] - When given, only delete this exact revision
+ * @returns {Promise<void>}
+ */
+function deleteWorkflow(workspaceId, id, expectedUpdatedAt) {
+  const store = workflowStores(workspaceId);
+
+  return store.withLock(id, async () => {
+    const current = await getWorkflow(workspaceId, id);
+
+    if (expectedUpdatedAt && current.updatedAt !== expectedUpdatedAt) {
+      throw httpError(409, 'Workflow was modified by someone else. Reload it before deleting.', { current });
+    }
+
+    await store.remove(id);
+    await versionStores(workspaceId).remove(id);
+  });
+}
+
+/**
+ * List the versions of a workflow, newest first
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} id - Workflow id
+ * @returns {Promise<Array>} - Version summaries
+ */
+async function listVersions(workspaceId, id) {
+  await getWorkflow(workspaceId, id);
+  const history = await versionStores(workspaceId).get(id);
+
+  return (history?.versions || []).map(toVersionSummary).reverse();
+}
+
+/**
+ * Get one version of a workflow
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} id - Workflow id
+ * @param {number} versionNumber - Version number
+ * @returns {Promise<Object>} - Version with its snapshot
+ */
+async function getVersion(workspaceId, id, versionNumber) {
+  await getWorkflow(workspaceId, id);
+  const history = await versionStores(workspaceId).get(id);
+  const version = history?.versions.find(entry => entry.version === versionNumber);
+
+  if (!version) {
+    throw httpError(404, `Version ${versionNumber} of workflow "${id}" not found`);
+  }
+  return version;
+}
+
+/**
+ * Compare two versions of a workflow
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} id - Workflow id
+ * @param {number} from - Older version number
+ * @param {number} to - Newer version number
+ * @returns {Promise<Object>} - Diff (see workflowDiff.js)
+ */
+async function diffVersions(workspaceId, id, from, to) {
+  const [before, after] = await Promise.all([
+    getVersion(workspaceId, id, from),
+    getVersion(workspaceId, id, to)
+  ]);
+  return { from, to, ...diffWorkflows(before, after) };
+}
+
+/**
+ * Restore an earlier version. History stays immutable: the restored
+ * snapshot is saved as a new version on top of the current one.
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} id - Workflow id
+ * @param {number} versionNumber - Version to restore
+ * @param {string} expectedUpdatedAt - updatedAt of the copy the client has
+ * @param {Object} [meta] - Version author and message
+ * @returns {Promise<Object>} - Updated workflow
+ */
+async function restoreVersion(workspaceId, id, versionNumber, expectedUpdatedAt, meta = {}) {
+  const { name, description, nodes, edges, tests } = await getVersion(workspaceId, id, versionNumber);
+
+  // Versions saved before workflows had tests leave the current tests alone
+  return updateWorkflow(workspaceId, id, { name, description, nodes, edges, ...(tests ? { tests } : {}) }, expectedUpdatedAt, {
+    ...meta,
+    message: meta.message || `Restored version ${versionNumber}`
+  });
+}
+
+module.exports = {
+  listWorkflows,
+  getWorkflow,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+  listVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion
+};
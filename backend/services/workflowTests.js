@@ -0,0 +1,90 @@
+// services/workflowTests.js - Run a saved workflow's test cases
+// Every LLM node runs with the mock provider, which echoes its prompt, unless
+// the test case recorded a response for it. Test runs never call a real
+// provider, so they are repeatable, free and not counted against quotas; they
+// are not recorded in the run history either.
+
+const logger = require('../utils/logger');
+const { httpError } = require('../utils/httpError');
+const { checkAssertion } = require('../utils/assertions');
+const { executeWorkflow, withProvider } = require('./executor');
+const { getWorkflow } = require('./workflowStore');
+const { buildRunRequest, nameOutputs } = require('./webhooks');
+
+/**
+ * Run one test case
+ * @param {Object} workflow - Saved workflow, with every LLM node on the mock provider
+ * @param {Object} testCase - { name, inputs, responses, assertions }
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @returns {Promise<Object>} - { name, status, durationMs, outputs, assertions, error }
+ */
+async function runCase(workflow, testCase, workspaceId) {
+  const startedAt = Date.now();
+  const { name, inputs = {}, responses = {} } = testCase;
+  const report = (status, fields) => ({
+    name,
+    status,
+    durationMs: Date.now() - startedAt,
+    outputs: {},
+    assertions: [],
+    error: null,
+    ...fields
+  });
+
+  try {
+    const llmNodeIds = workflow.nodes.filter(node => node.type === 'llm').map(node => node.id);
+    const unknown = Object.keys(responses).filter(id => !llmNodeIds.includes(id));
+    if (unknown.length > 0) {
+      throw httpError(400, `Recorded responses for nodes that are not LLM nodes: ${unknown.join(', ')}`);
+    }
+
+    const result = await executeWorkflow(buildRunRequest(workflow, inputs), { workspaceId, llmResponses: responses });
+    const outputs = nameOutputs(workflow.nodes, result.outputs);
+    const assertions = testCase.assertions.map(assertion => ({ ...assertion, ...checkAssertion(assertion, outputs) }));
+
+    return report(assertions.every(assertion => assertion.passed) ? 'passed' : 'failed', { outputs, assertions });
+  } catch (error) {
+    return report('error', { error: { message: error.message, nodeId: error.nodeId || null } });
+  }
+}
+
+/**
+ * Run test cases against a saved workflow, one after the other
+ * @param {string} workspaceId - Workspace the workflow belongs to
+ * @param {string} workflowId - Saved workflow id
+ * @param {Object} [options] - What to run
+ * @param {Array} [options.tests] - Test cases to run instead of the saved ones
+ * @param {Array<string>} [options.names] - Only run the cases with these names
+ * @returns {Promise<Object>} - Totals and a report per case
+ */
+async function runTests(workspaceId, workflowId, { tests, names } = {}) {
+  const workflow = await getWorkflow(workspaceId, workflowId);
+  const cases = (tests || workflow.tests || []).filter(testCase => !names || names.includes(testCase.name));
+
+  if (cases.length === 0) {
+    throw httpError(400, names ? `No test cases named ${names.join(', ')}` : 'Workflow has no test cases');
+  }
+
+  const startedAt = Date.now();
+  const mocked = withProvider(workflow, 'mock');
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await runCase(mocked, testCase, workspaceId));
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const summary = {
+    workflowId,
+    version: workflow.version,
+    total: results.length,
+    passed: count('passed'),
+    failed: count('failed'),
+    errors: count('error'),
+    durationMs: Date.now() - startedAt
+  };
+
+  logger.info('Workflow tests finished', summary);
+  return { ...summary, cases: results };
+}
+
+module.exports = { runTests };
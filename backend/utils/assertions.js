@@ -0,0 +1,96 @@
+// utils/assertions.js - Checks a workflow test case makes on its named outputs
+//   equals     - the output is exactly value
+//   contains   - the output includes value
+//   regex      - the output matches value (a pattern, or /pattern/flags)
+//   jsonSchema - the output is JSON that satisfies the schema in value
+//   length     - the output has between min and max characters
+
+const { validateJson } = require('./jsonSchema');
+const { compilePattern, testPattern } = require('./safeRegex');
+
+const ASSERTION_TYPES = ['equals', 'contains', 'regex', 'jsonSchema', 'length'];
+
+const PREVIEW_LENGTH = 80;
+
+/**
+ * Shorten a value for a failure message
+ * @param {string} text - Value
+ * @returns {string} - Quoted value, cut at PREVIEW_LENGTH characters
+ */
+function preview(text) {
+  return JSON.stringify(text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text);
+}
+
+/**
+ * Build a regular expression from "pattern" or "/pattern/flags"
+ * @param {string} pattern - Pattern as written in the assertion
+ * @returns {RegExp} - Regular expression
+ */
+function toRegExp(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+  return literal ? compilePattern(literal[1], literal[2]) : compilePattern(pattern);
+}
+
+/**
+ * Check one assertion against a run's outputs
+ * @param {Object} assertion - { output, type, value, min, max }
+ * @param {Object} outputs - Run outputs by output name
+ * @returns {Object} - { passed, message }
+ */
+function checkAssertion({ output, type, value, min, max }, outputs) {
+  if (outputs[output] === undefined) {
+    return { passed: false, message: `Output "${output}" was not produced` };
+  }
+
+  const actual = String(outputs[output]);
+  const result = (passed, failure, success) => ({ passed, message: passed ? success : failure });
+
+  switch (type) {
+    case 'equals':
+      return result(actual === value, `Expected ${preview(value)}, got ${preview(actual)}`, `Equals ${preview(value)}`);
+
+    case 'contains':
+      return result(actual.includes(value), `${preview(actual)} does not contain ${preview(value)}`, `Contains ${preview(value)}`);
+
+    case 'regex': {
+      let regex;
+      try {
+        regex = toRegExp(value);
+      } catch (error) {
+        // SyntaxError messages already read "Invalid regular expression: ..."
+        return { passed: false, message: error.message };
+      }
+      let matched;
+      try {
+        matched = testPattern(regex, actual);
+      } catch (error) {
+        return { passed: false, message: error.message };
+      }
+      return result(matched, `${preview(actual)} does not match ${regex}`, `Matches ${regex}`);
+    }
+
+    case 'jsonSchema': {
+      let parsed;
+      try {
+        parsed = JSON.parse(actual);
+      } catch (error) {
+        return { passed: false, message: `Output is not valid JSON: ${preview(actual)}` };
+      }
+      const errors = validateJson(parsed, value);
+      return result(errors.length === 0, errors.join('; '), 'Matches the JSON schema');
+    }
+
+    case 'length': {
+      const tooShort = min !== undefined && actual.length < min;
+      const tooLong = max !== undefined && actual.length > max;
+      const bounds = [min !== undefined && `at least ${min}`, max !== undefined && `at most ${max}`]
+        .filter(Boolean).join(' and ');
+      return result(!tooShort && !tooLong, `Length ${actual.length}, expected ${bounds}`, `Length ${actual.length}`);
+    }
+
+    default:
+      return { passed: false, message: `Unknown assertion type "${type}"` };
+  }
+}
+
+module.exports = { ASSERTION_TYPES, checkAssertion };
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkAssertion } = require('./assertions');
+const { MAX_PATTERN_LENGTH, MAX_INPUT_LENGTH } = require('./safeRegex');
+
+const check = (assertion, value) => checkAssertion({ output: 'answer', ...assertion }, { answer: value });
+
+test('a missing output fails', () => {
+  assert.deepEqual(checkAssertion({ output: 'other', type: 'equals', value: 'x' }, { answer: 'x' }), {
+    passed: false,
+    message: 'Output "other" was not produced'
+  });
+});
+
+test('equals and contains compare text', () => {
+  assert.equal(check({ type: 'equals', value: '42' }, 42).passed, true);
+  assert.deepEqual(check({ type: 'equals', value: 'yes' }, 'no'), { passed: false, message: 'Expected "yes", got "no"' });
+  assert.equal(check({ type: 'contains', value: 'whale' }, 'a blue whale').passed, true);
+  assert.equal(check({ type: 'contains', value: 'seal' }, 'a blue whale').passed, false);
+});
+
+test('failure messages cut long outputs short', () => {
+  const { message } = check({ type: 'contains', value: 'z' }, 'a'.repeat(200));
+  assert.equal(message, `"${'a'.repeat(80)}…" does not contain "z"`);
+});
+
+test('regex takes a pattern or /pattern/flags', () => {
+  assert.equal(check({ type: 'regex', value: '^\\d+$' }, '123').passed, true);
+  assert.equal(check({ type: 'regex', value: '/^WHALE$/i' }, 'whale').passed, true);
+  assert.deepEqual(check({ type: 'regex', value: '^\\d+$' }, 'abc'), { passed: false, message: '"abc" does not match /^\\d+$/' });
+});
+
+test('regex reports an invalid pattern as a failure', () => {
+  assert.match(check({ type: 'regex', value: '(' }, 'x').message, /^Invalid regular expression/);
+});
+
+test('regex reports oversized patterns and values as failures', () => {
+  assert.match(check({ type: 'regex', value: 'a'.repeat(MAX_PATTERN_LENGTH + 1) }, 'x').message, /Pattern is longer than/);
+  assert.match(check({ type: 'regex', value: 'a' }, 'a'.repeat(MAX_INPUT_LENGTH + 1)).message, /too many to match/);
+});
+
+test('regex stops a match that runs too long', () => {
+  const started = Date.now();
+  const result = check({ type: 'regex', value: '^(a+)+$' }, `${'a'.repeat(40)}!`);
+
+  assert.equal(result.passed, false);
+  assert.match(result.message, /took longer than 100ms/);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('jsonSchema needs JSON that satisfies the schema', () => {
+  const schema = { type: 'object', required: ['name'] };
+
+  assert.equal(check({ type: 'jsonSchema', value: schema }, '{"name":"Ada"}').passed, true);
+  assert.deepEqual(check({ type: 'jsonSchema', value: schema }, '{}'), { passed: false, message: '$.name is required' });
+  assert.match(check({ type: 'jsonSchema', value: schema }, 'not json').message, /^Output is not valid JSON/);
+});
+
+test('length checks the bounds that are set', () => {
+  assert.equal(check({ type: 'length', min: 2, max: 4 }, 'abc').passed, true);
+  assert.deepEqual(check({ type: 'length', min: 5 }, 'abc'), { passed: false, message: 'Length 3, expected at least 5' });
+  assert.deepEqual(check({ type: 'length', min: 1, max: 2 }, 'abc'), { passed: false, message: 'Length 3, expected at least 1 and at most 2' });
+});
+
+test('an unknown type fails', () => {
+  assert.deepEqual(check({ type: 'similar' }, 'x'), { passed: false, message: 'Unknown assertion type "similar"' });
+});
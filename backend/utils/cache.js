@@ -0,0 +1,34 @@
+// utils/cache.js - Simple in-memory cache for API responses
+
+const cache = new Map();
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+function getCacheKey(data) {
+  return JSON.stringify(data);
+}
+
+function getFromCache(key) {
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.data;
+  }
+  cache.delete(key);
+  return null;
+}
+
+function setCache(key, data) {
+  cache.set(key, { data, timestamp: Date.now() });
+  
+  // Clear old cache entries periodically
+  if (cache.size > 1000) {
+    const oldestKeys = Array.from(cache.keys()).slice(0, 500);
+    oldestKeys.forEach(k => cache.delete(k));
+  }
+}
+
+module.exports = {
+  CACHE_TTL,
+  getCacheKey,
+  getFromCache,
+  setCache
+};
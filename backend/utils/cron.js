@@ -0,0 +1,153 @@
+// utils/cron.js - Cron expressions for scheduled runs
+// Standard five fields (minute hour day-of-month month day-of-week), in UTC.
+// Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (*/10,
+// 0-30/5); months and weekdays also take names (JAN, MON). As in classic
+// cron, when both day fields are restricted a day matching either one runs;
+// when either starts with * (including steps such as */2) a day has to match both.
+
+const { httpError } = require('./httpError');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// Shorthands for common schedules
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for the next run after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one value of a field, allowing names for months and weekdays
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {number}
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw httpError(400, `Invalid ${field.name} "${value}" in cron expression (allowed: ${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw httpError(400, `Invalid step "${stepText}" in cron ${field.name}`);
+    }
+
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      to = end !== undefined ? parseValue(end, field) : (stepText === undefined ? from : field.max);
+      if (to < from) {
+        throw httpError(400, `Invalid range "${range}" in cron ${field.name}`);
+      }
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or a macro such as @daily
+ * @returns {Object} - Matching minutes, hours, days, months and weekdays
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw httpError(400, `Cron expression "${text}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.delete(7)) weekdays.add(0); // 7 is Sunday too
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Whether a schedule runs on a given UTC day
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+  const dayMatches = cron.days.has(date.getUTCDate());
+  const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay || cron.anyWeekday) return dayMatches && weekdayMatches;
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * The first time after a date that a schedule runs
+ * @param {Object|string} cron - Parsed expression, or the expression itself
+ * @param {Date} [after] - Start looking after this time (default now)
+ * @returns {Date|null} - Next run, or null if the expression never matches
+ */
+function nextRun(cron, after = new Date()) {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  // Skip whole months, days and hours that cannot match
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun } = require('./cron');
+
+const at = (iso) => new Date(iso);
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const cron = parseCron('0,30 9-17/4 * JAN-MAR MON,FRI');
+
+  assert.deepEqual([...cron.minutes], [0, 30]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.weekdays], [1, 5]);
+  assert.equal(cron.days.size, 31);
+});
+
+test('parseCron accepts macros and 7 for Sunday', () => {
+  assert.deepEqual([...parseCron('@daily').hours], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+});
+
+test('parseCron refuses invalid expressions with a 400', () => {
+  ['', '* * * *', '60 * * * *', '* * 0 * *', '*/0 * * * *', '5-1 * * * *', '* * * FOO *'].forEach(expression => {
+    assert.throws(() => parseCron(expression), error => error.status === 400, expression);
+  });
+});
+
+test('nextRun finds the next matching minute', () => {
+  assert.deepEqual(nextRun('*/15 * * * *', at('2024-01-01T10:07:30Z')), at('2024-01-01T10:15:00Z'));
+  assert.deepEqual(nextRun('0 0 1 1 *', at('2024-06-01T00:00:00Z')), at('2025-01-01T00:00:00Z'));
+  assert.deepEqual(nextRun('0 0 29 2 *', at('2024-03-01T00:00:00Z')), at('2028-02-29T00:00:00Z'));
+});
+
+test('nextRun returns null for a date that never comes', () => {
+  assert.equal(nextRun('0 0 30 2 *', at('2024-01-01T00:00:00Z')), null);
+});
+
+test('a day matching either restricted day field runs', () => {
+  // 2024-01-01 is a Monday
+  assert.deepEqual(nextRun('0 9 1 * MON', at('2024-01-01T10:00:00Z')), at('2024-01-08T09:00:00Z'));
+});
+
+test('a day field starting with * has to match together with the other', () => {
+  // Odd days that are Mondays: January 15 and 29, not every odd day or every Monday
+  assert.deepEqual(nextRun('0 0 */2 * MON', at('2024-01-01T00:00:00Z')), at('2024-01-15T00:00:00Z'));
+  assert.deepEqual(nextRun('0 0 */2 * MON', at('2024-01-15T00:00:00Z')), at('2024-01-29T00:00:00Z'));
+
+  // The 1st of the month on an even weekday: 2024-02-01 is a Thursday
+  assert.deepEqual(nextRun('0 0 1 * */2', at('2024-01-01T00:00:00Z')), at('2024-02-01T00:00:00Z'));
+});
@@ -0,0 +1,160 @@
+// utils/dataset.js - CSV and JSONL datasets for batch runs
+// A dataset is a list of rows keyed by column name. CSV files need a header
+// row and follow RFC 4180 (quoted fields may hold commas, quotes and line
+// breaks). JSONL files hold one JSON object per line; their columns are the
+// keys in the order they first appear.
+
+const { httpError } = require('./httpError');
+
+const FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Split CSV text into records of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Records, blank lines left out
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw httpError(400, 'CSV has a quoted field that is never closed');
+  }
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+}
+
+/**
+ * Parse a CSV dataset; the first record is the header
+ * @param {string} text - CSV text
+ * @returns {Object} - { columns, rows }
+ */
+function parseCsv(text) {
+  const [columns = [], ...records] = parseCsvRecords(text);
+
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+  if (duplicate !== undefined) {
+    throw httpError(400, `CSV header has the column "${duplicate}" twice`);
+  }
+
+  const rows = records.map((record, index) => {
+    if (record.length > columns.length) {
+      throw httpError(400, `CSV row ${index + 1} has ${record.length} fields but the header has ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((column, i) => [column, record[i] ?? '']));
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Parse a JSONL dataset
+ * @param {string} text - JSONL text
+ * @returns {Object} - { columns, rows }
+ */
+function parseJsonl(text) {
+  const columns = [];
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (error) {
+      throw httpError(400, `JSONL line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw httpError(400, `JSONL line ${index + 1} must be a JSON object`);
+    }
+
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+    rows.push(row);
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Parse a dataset file
+ * @param {string} format - "csv" or "jsonl"
+ * @param {string} text - File contents
+ * @returns {Object} - { columns, rows }
+ */
+function parseDataset(format, text) {
+  const content = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+  return format === 'csv' ? parseCsv(content) : parseJsonl(content);
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? ''
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows in a dataset format
+ * @param {string} format - "csv" or "jsonl"
+ * @param {Array<string>} columns - Columns, in order
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @returns {string} - File contents
+ */
+function formatDataset(format, columns, rows) {
+  if (format === 'csv') {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return `${lines.map(fields => fields.map(csvField).join(',')).join('\r\n')}\r\n`;
+  }
+
+  return rows
+    .map(row => JSON.stringify(Object.fromEntries(
+      columns.filter(column => row[column] !== undefined).map(column => [column, row[column]])
+    )))
+    .join('\n') + '\n';
+}
+
+module.exports = { FORMATS, parseDataset, formatDataset };
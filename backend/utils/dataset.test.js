@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDataset, formatDataset } = require('./dataset');
+
+test('CSV quoted fields keep commas, quotes and line breaks', () => {
+  const text = 'topic,notes\r\n"whales, blue","said ""hi""\nthen left"\r\nseals,\n';
+
+  assert.deepEqual(parseDataset('csv', text), {
+    columns: ['topic', 'notes'],
+    rows: [
+      { topic: 'whales, blue', notes: 'said "hi"\nthen left' },
+      { topic: 'seals', notes: '' }
+    ]
+  });
+});
+
+test('CSV skips blank lines and a BOM, and fills short rows', () => {
+  const { columns, rows } = parseDataset('csv', '\uFEFFa,b\n\n1\n\n');
+
+  assert.deepEqual(columns, ['a', 'b']);
+  assert.deepEqual(rows, [{ a: '1', b: '' }]);
+});
+
+test('CSV errors are 400s', () => {
+  [
+    ['a\n"open', /never closed/],
+    ['a,a\n1,2', /column "a" twice/],
+    ['a\n1,2', /row 1 has 2 fields/]
+  ].forEach(([text, message]) => {
+    assert.throws(() => parseDataset('csv', text), error => error.status === 400 && message.test(error.message));
+  });
+});
+
+test('JSONL columns follow the order keys first appear', () => {
+  const { columns, rows } = parseDataset('jsonl', '{"a":1}\r\n\n{"b":"x","a":2}\n');
+
+  assert.deepEqual(columns, ['a', 'b']);
+  assert.deepEqual(rows, [{ a: 1 }, { b: 'x', a: 2 }]);
+});
+
+test('JSONL lines must be JSON objects', () => {
+  assert.throws(() => parseDataset('jsonl', '{"a":1}\nnot json'), /line 2 is not valid JSON/);
+  assert.throws(() => parseDataset('jsonl', '[1]'), /line 1 must be a JSON object/);
+});
+
+test('formatted CSV parses back to the same rows', () => {
+  const columns = ['topic', 'output'];
+  const rows = [{ topic: 'a, "b"', output: 'line 1\nline 2' }, { topic: 'c', output: null }];
+  const csv = formatDataset('csv', columns, rows);
+
+  assert.equal(csv, 'topic,output\r\n"a, ""b""","line 1\nline 2"\r\nc,\r\n');
+  assert.deepEqual(parseDataset('csv', csv).rows, [rows[0], { topic: 'c', output: '' }]);
+});
+
+test('formatted JSONL leaves out missing columns', () => {
+  assert.equal(formatDataset('jsonl', ['a', 'b'], [{ a: 1 }, { a: 2, b: { c: 3 } }]), '{"a":1}\n{"a":2,"b":{"c":3}}\n');
+});
@@ -0,0 +1,172 @@
+// utils/fileStore.js - JSON file storage for server-side records
+// Each record is a file at DATA_DIR/<collection>/<id>.json. Writes go through
+// a temporary file and a rename so a crash never leaves a half-written record.
+// Collections owned by a workspace keep each workspace in its own
+// subdirectory: DATA_DIR/<collection>/<workspaceId>/<id>.json.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { httpError } = require('./httpError');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Create a store for one collection of records
+ * @param {string} collection - Collection name (subdirectory of DATA_DIR)
+ * @returns {Object} - Store with listIds, list, get, put, remove and withLock
+ */
+function createFileStore(collection) {
+  const dir = path.join(DATA_DIR, collection);
+  const locks = new Map();
+
+  const fileFor = (id) => {
+    // Ids end up in file paths, so never let one escape the collection directory
+    if (!ID_PATTERN.test(id)) {
+      throw httpError(400, `Invalid ${collection} id "${id}"`);
+    }
+    return path.join(dir, `${id}.json`);
+  };
+
+  /**
+   * List the ids of all records without reading them
+   * @returns {Promise<Array<string>>} - Record ids, sorted
+   */
+  async function listIds() {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .sort();
+  }
+
+  /**
+   * Read every record in the collection
+   * @returns {Promise<Array>} - Records, in no particular order
+   */
+  async function list() {
+    const records = await Promise.all((await listIds()).map(get));
+    return records.filter(Boolean);
+  }
+
+  /**
+   * Read one record
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} - Record, or null if it does not exist
+   */
+  async function get(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a record, replacing any existing one with the same id
+   * @param {string} id - Record id
+   * @param {Object} record - Record to store
+   * @returns {Promise<Object>} - The stored record
+   */
+  async function put(id, record) {
+    const file = fileFor(id);
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    await fs.mkdir(dir, { recursive: true });
+    // Records can hold encrypted keys and run inputs: readable by the server user only
+    await fs.writeFile(tempFile, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await fs.rename(tempFile, file);
+    return record;
+  }
+
+  /**
+   * Delete a record
+   * @param {string} id - Record id
+   * @returns {Promise<boolean>} - True if a record was deleted
+   */
+  async function remove(id) {
+    try {
+      await fs.unlink(fileFor(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Run a read-modify-write on one record without interleaving with other
+   * updates to the same id
+   * @param {string} id - Record id
+   * @param {Function} fn - Async function to run while holding the lock
+   * @returns {Promise<*>} - Whatever fn resolves to
+   */
+  function withLock(id, fn) {
+    const previous = locks.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    const tail = current.catch(() => {});
+
+    locks.set(id, tail);
+    tail.then(() => {
+      if (locks.get(id) === tail) locks.delete(id);
+    });
+
+    return current;
+  }
+
+  return { listIds, list, get, put, remove, withLock };
+}
+
+/**
+ * Create a collection whose records belong to workspaces. Each workspace
+ * gets its own store, so one workspace can never read another's records.
+ * @param {string} collection - Collection name (subdirectory of DATA_DIR)
+ * @returns {Function} - (workspaceId) => store for that workspace
+ */
+function createWorkspaceStore(collection) {
+  const stores = new Map();
+
+  return (workspaceId) => {
+    if (!ID_PATTERN.test(workspaceId || '')) {
+      throw httpError(400, `Invalid workspace id "${workspaceId}"`);
+    }
+    if (!stores.has(workspaceId)) {
+      stores.set(workspaceId, createFileStore(path.join(collection, workspaceId)));
+    }
+    return stores.get(workspaceId);
+  };
+}
+
+/**
+ * Move records saved before workspaces existed (files directly in the
+ * collection directory) into a workspace
+ * @param {string} collection - Collection name
+ * @param {string} workspaceId - Workspace that takes the records over
+ * @returns {Promise<number>} - Number of records moved
+ */
+async function adoptUnscopedRecords(collection, workspaceId) {
+  const legacy = createFileStore(collection);
+  const ids = await legacy.listIds();
+  const target = path.join(DATA_DIR, collection, workspaceId);
+
+  await fs.mkdir(target, { recursive: true });
+  for (const id of ids) {
+    await fs.rename(path.join(DATA_DIR, collection, `${id}.json`), path.join(target, `${id}.json`));
+  }
+  return ids.length;
+}
+
+module.exports = {
+  DATA_DIR,
+  createFileStore,
+  createWorkspaceStore,
+  adoptUnscopedRecords
+};
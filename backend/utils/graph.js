@@ -0,0 +1,156 @@
+// utils/graph.js - Workflow Graph Helpers
+
+/**
+ * Check if the workflow graph is a Directed Acyclic Graph (DAG)
+ * @param {Array} nodes - Array of workflow nodes
+ * @param {Array} edges - Array of workflow edges
+ * @returns {boolean} - True if graph is a DAG
+ */
+function checkIfDAG(nodes, edges) {
+  // Build adjacency list
+  const adj = {};
+  nodes.forEach(node => {
+    adj[node.id] = [];
+  });
+
+  edges.forEach(edge => {
+    if (adj[edge.source]) {
+      adj[edge.source].push(edge.target);
+    }
+  });
+
+  // DFS to detect cycles
+  const visited = new Set();
+  const recStack = new Set();
+
+  function hasCycle(nodeId) {
+    if (recStack.has(nodeId)) return true;
+    if (visited.has(nodeId)) return false;
+
+    visited.add(nodeId);
+    recStack.add(nodeId);
+
+    const neighbors = adj[nodeId] || [];
+    for (const neighbor of neighbors) {
+      if (hasCycle(neighbor)) return true;
+    }
+
+    recStack.delete(nodeId);
+    return false;
+  }
+
+  // Check for cycles starting from each node
+  for (const nodeId of Object.keys(adj)) {
+    if (hasCycle(nodeId)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find a cycle in the workflow graph
+ * @param {Array} nodes - Array of workflow nodes
+ * @param {Array} edges - Array of workflow edges
+ * @returns {Array<string>|null} - Node ids along the cycle, starting and ending
+ *   with the same node (e.g. ["a", "b", "a"]), or null if the graph is a DAG
+ */
+function findCycle(nodes, edges) {
+  const adj = {};
+  nodes.forEach(node => {
+    adj[node.id] = [];
+  });
+
+  edges.forEach(edge => {
+    if (adj[edge.source] && adj[edge.target]) {
+      adj[edge.source].push(edge.target);
+    }
+  });
+
+  const visited = new Set();
+  const path = [];
+
+  function visit(nodeId) {
+    const index = path.indexOf(nodeId);
+    if (index !== -1) return [...path.slice(index), nodeId];
+    if (visited.has(nodeId)) return null;
+
+    visited.add(nodeId);
+    path.push(nodeId);
+    for (const neighbor of adj[nodeId]) {
+      const cycle = visit(neighbor);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    return null;
+  }
+
+  for (const nodeId of Object.keys(adj)) {
+    const cycle = visit(nodeId);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/**
+ * Order workflow nodes so that every node comes after all of its sources
+ * (Kahn's algorithm). Ties keep the order nodes appear in the workflow.
+ * @param {Array} nodes - Array of workflow nodes
+ * @param {Array} edges - Array of workflow edges
+ * @returns {Array<string>} - Node ids in execution order
+ */
+function topologicalSort(nodes, edges) {
+  if (!checkIfDAG(nodes, edges)) {
+    throw new Error('Workflow contains a cycle and cannot be executed');
+  }
+
+  const inDegree = {};
+  const adj = {};
+  nodes.forEach(node => {
+    inDegree[node.id] = 0;
+    adj[node.id] = [];
+  });
+
+  edges.forEach(edge => {
+    if (adj[edge.source] && edge.target in inDegree) {
+      adj[edge.source].push(edge.target);
+      inDegree[edge.target]++;
+    }
+  });
+
+  const queue = nodes.filter(node => inDegree[node.id] === 0).map(node => node.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    order.push(nodeId);
+
+    adj[nodeId].forEach(target => {
+      inDegree[target]--;
+      if (inDegree[target] === 0) {
+        queue.push(target);
+      }
+    });
+  }
+
+  return order;
+}
+
+/**
+ * Strip the `${nodeId}-` prefix BaseNode puts on every handle id
+ * @param {string} nodeId - Id of the node that owns the handle
+ * @param {string|null} handleId - Full React Flow handle id
+ * @returns {string|null} - Handle name as declared by the node (e.g. "prompt")
+ */
+function getHandleName(nodeId, handleId) {
+  if (!handleId) return null;
+  const prefix = `${nodeId}-`;
+  return handleId.startsWith(prefix) ? handleId.slice(prefix.length) : handleId;
+}
+
+module.exports = {
+  checkIfDAG,
+  findCycle,
+  topologicalSort,
+  getHandleName
+};
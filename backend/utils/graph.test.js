@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findCycle, topologicalSort, getHandleName } = require('./graph');
+
+const nodes = (...ids) => ids.map(id => ({ id }));
+const edges = (...pairs) => pairs.map(([source, target]) => ({ source, target }));
+
+test('topologicalSort keeps workflow order for ties and refuses cycles', () => {
+  assert.deepEqual(topologicalSort(nodes('c', 'b', 'a'), edges(['a', 'b'])), ['c', 'a', 'b']);
+  assert.throws(() => topologicalSort(nodes('a', 'b'), edges(['a', 'b'], ['b', 'a'])), /cycle/);
+});
+
+test('getHandleName strips the node id prefix', () => {
+  assert.equal(getHandleName('llm-1', 'llm-1-prompt'), 'prompt');
+  assert.equal(getHandleName('llm-1', 'prompt'), 'prompt');
+  assert.equal(getHandleName('llm-1', null), null);
+});
+
+test('findCycle returns null for a DAG', () => {
+  assert.equal(findCycle(nodes('a', 'b', 'c'), edges(['a', 'b'], ['a', 'c'], ['b', 'c'])), null);
+  assert.equal(findCycle([], []), null);
+});
+
+test('findCycle returns the path around the cycle', () => {
+  assert.deepEqual(findCycle(nodes('a', 'b', 'c', 'd'), edges(['a', 'b'], ['b', 'c'], ['c', 'd'], ['d', 'b'])), ['b', 'c', 'd', 'b']);
+  assert.deepEqual(findCycle(nodes('a'), edges(['a', 'a'])), ['a', 'a']);
+});
+
+test('findCycle ignores edges to missing nodes', () => {
+  assert.equal(findCycle(nodes('a'), edges(['a', 'ghost'], ['ghost', 'a'])), null);
+});
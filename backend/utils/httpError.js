@@ -0,0 +1,34 @@
+// utils/httpError.js - Errors that carry the HTTP status to respond with
+
+/**
+ * Create an error for a route to turn into an HTTP response
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message sent to the client
+ * @param {Object} [details] - Extra fields copied onto the error
+ * @returns {Error} - Error with a status property
+ */
+function httpError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Determine the HTTP status code for a workflow execution error.
+ * A status set with httpError wins over guessing from the message.
+ * @param {Error} error - Execution error
+ * @returns {number} - HTTP status code
+ */
+function getErrorStatusCode(error) {
+  return error.status ? error.status :
+         error.cancelled ? 499 : // Client Closed Request
+         error.message.includes('budget exceeded') ? 402 :
+         error.message.includes('Validation') ? 400 :
+         error.message.includes('cycle') ? 400 :
+         error.message.includes('Gemini API') ? 502 :
+         error.message.includes('OpenAI API') ? 502 :
+         500;
+}
+
+module.exports = { httpError, getErrorStatusCode };
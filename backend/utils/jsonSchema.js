@@ -0,0 +1,113 @@
+// utils/jsonSchema.js - Minimal JSON Schema validation for workflow test assertions
+// Covers the keywords prompt outputs are usually checked with: type, enum,
+// const, properties, required, additionalProperties, items, min/maxItems,
+// min/maxLength, pattern and minimum/maximum. Other keywords are ignored.
+
+const { compilePattern, testPattern } = require('./safeRegex');
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value - Parsed JSON value
+ * @returns {string} - null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the given schema types (integers are numbers too)
+ * @param {*} value - Parsed JSON value
+ * @param {string|Array<string>} types - Schema type or types
+ * @returns {boolean} - True if the type matches
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema
+ * @param {string} [at] - Path of the value, for messages
+ * @returns {Array<string>} - Problems found, empty if the value is valid
+ */
+function validateJson(value, schema, at = '$') {
+  if (schema === false) return [`${at} is not allowed`];
+  if (schema === true || !schema) return [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${at} should be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  if (schema.enum && !schema.enum.some(option => same(option, value))) {
+    errors.push(`${at} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && !same(schema.const, value)) {
+    errors.push(`${at} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      try {
+        if (!testPattern(compilePattern(schema.pattern, 'u'), value)) {
+          errors.push(`${at} should match /${schema.pattern}/`);
+        }
+      } catch (error) {
+        errors.push(`${at}: ${error.message}`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at} should be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJson(item, schema.items, `${at}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(key => !(key in value))
+      .forEach(key => errors.push(`${at}.${key} is required`));
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (key in properties) {
+        errors.push(...validateJson(child, properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validateJson(child, schema.additionalProperties, `${at}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validateJson };
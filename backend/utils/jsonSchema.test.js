@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateJson } = require('./jsonSchema');
+
+test('type checks stop at the first mismatch, and integers are numbers', () => {
+  assert.deepEqual(validateJson('1', { type: 'number', minimum: 5 }), ['$ should be number, got string']);
+  assert.deepEqual(validateJson(3, { type: 'number' }), []);
+  assert.deepEqual(validateJson(1.5, { type: 'integer' }), ['$ should be integer, got number']);
+  assert.deepEqual(validateJson(null, { type: ['string', 'null'] }), []);
+});
+
+test('true, false and empty schemas', () => {
+  assert.deepEqual(validateJson({ any: 1 }, true), []);
+  assert.deepEqual(validateJson({ any: 1 }, {}), []);
+  assert.deepEqual(validateJson(1, false), ['$ is not allowed']);
+});
+
+test('enum and const compare JSON values', () => {
+  assert.deepEqual(validateJson({ a: 1 }, { enum: [{ a: 1 }, 'x'] }), []);
+  assert.deepEqual(validateJson('y', { enum: ['x', 2] }), ['$ should be one of "x", 2']);
+  assert.deepEqual(validateJson('y', { const: 'x' }), ['$ should be "x"']);
+});
+
+test('string, number and array bounds', () => {
+  assert.deepEqual(validateJson('ab', { minLength: 3, maxLength: 1 }), [
+    '$ should have at least 3 characters',
+    '$ should have at most 1 characters'
+  ]);
+  assert.deepEqual(validateJson(11, { minimum: 0, maximum: 10 }), ['$ should be at most 10']);
+  assert.deepEqual(validateJson([1, 'a'], { minItems: 3, items: { type: 'integer' } }), [
+    '$ should have at least 3 items',
+    '$[1] should be integer, got string'
+  ]);
+});
+
+test('objects check required keys, properties and additionalProperties', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'age'],
+    properties: { name: { type: 'string' } },
+    additionalProperties: false
+  };
+
+  assert.deepEqual(validateJson({ name: 1, extra: true }, schema), [
+    '$.age is required',
+    '$.name should be string, got integer',
+    '$.extra is not allowed'
+  ]);
+});
+
+test('pattern matches unicode strings', () => {
+  assert.deepEqual(validateJson('ÿ', { pattern: '^\\p{L}$' }), []);
+  assert.deepEqual(validateJson('1', { pattern: '^[a-z]+$' }), ['$ should match /^[a-z]+$/']);
+});
+
+test('pattern problems are reported, not thrown', () => {
+  assert.match(validateJson('x', { pattern: '(' })[0], /^\$: Invalid regular expression/);
+  assert.match(validateJson(`${'a'.repeat(40)}!`, { pattern: '^(a+)+$' })[0], /^\$: .* took longer than 100ms/);
+});
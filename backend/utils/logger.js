@@ -1,5 +1,7 @@
 // utils/logger.js - Structured Logging System
 
+const { MASK, redact } = require('./redact');
+
 const LOG_LEVELS = {
   ERROR: 'ERROR',
   WARN: 'WARN',
@@ -7,13 +9,35 @@ const LOG_LEVELS = {
   DEBUG: 'DEBUG'
 };
 
+// Most to least severe, for the level a logger is configured with
+const LEVEL_ORDER = [LOG_LEVELS.ERROR, LOG_LEVELS.WARN, LOG_LEVELS.INFO, LOG_LEVELS.DEBUG];
+
 class Logger {
   constructor() {
     this.isProduction = process.env.NODE_ENV === 'production';
+    this.level = LOG_LEVELS.DEBUG;
+    this.write = console.log;
+  }
+
+  /**
+   * Change how much is logged and where. The CLI keeps stdout for results,
+   * so it logs to stderr, and only when asked to.
+   * @param {Object} options - Logger options
+   * @param {string|null} [options.level] - Least severe level to log, or null to log nothing
+   * @param {Function} [options.write] - Writes a log line (console.log, console.error, ...)
+   */
+  configure({ level = this.level, write = this.write } = {}) {
+    this.level = level;
+    this.write = write;
   }
 
   _log(level, message, meta = {}) {
+    if (!this.level || LEVEL_ORDER.indexOf(level) > LEVEL_ORDER.indexOf(this.level)) return;
+
     const timestamp = new Date().toISOString();
+    // API keys must never reach the logs, whatever ends up in a message
+    message = redact(message);
+    meta = redact(meta);
     const logEntry = {
       timestamp,
       level,
@@ -23,7 +47,7 @@ class Logger {
 
     // In production, output JSON for log aggregation
     if (this.isProduction) {
-      console.log(JSON.stringify(logEntry));
+      this.write(JSON.stringify(logEntry));
     } else {
       // In development, pretty print
       const emoji = {
@@ -33,7 +57,7 @@ class Logger {
         DEBUG: '🔍'
       }[level] || '';
       
-      console.log(`${emoji} [${timestamp}] ${level}: ${message}`, meta);
+      this.write(`${emoji} [${timestamp}] ${level}: ${message}`, meta);
     }
   }
 
@@ -59,10 +83,11 @@ class Logger {
   logRequest(req, duration = 0) {
     this.info('HTTP Request', {
       method: req.method,
-      path: req.path,
+      path: req.path.replace(/wwh_[\w-]+/, MASK), // Webhook tokens are credentials
       origin: req.headers.origin,
       duration: `${duration}ms`,
-      ip: req.ip
+      ip: req.ip,
+      userId: req.user?.id
     });
   }
 
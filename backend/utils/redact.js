@@ -0,0 +1,56 @@
+// utils/redact.js - Keep API keys out of logs and stored records
+// Every key the server handles (from env, the secret store or a request) is
+// registered here, and redact() masks it wherever it shows up.
+
+const MASK = '[REDACTED]';
+const MIN_SECRET_LENGTH = 8;
+const MAX_TRACKED_SECRETS = 1000;
+
+const secrets = new Set();
+
+/**
+ * Remember a value that must never be written out
+ * @param {string} [value] - Secret value; short or empty values are ignored
+ */
+function registerSecret(value) {
+  if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH || secrets.has(value)) return;
+
+  // Forget the oldest key rather than grow without bound
+  if (secrets.size >= MAX_TRACKED_SECRETS) {
+    secrets.delete(secrets.values().next().value);
+  }
+  secrets.add(value);
+}
+
+/**
+ * Mask registered secrets in a string
+ * @param {string} text - Text to clean
+ * @returns {string} - Text with every registered secret replaced
+ */
+function redactString(text) {
+  let result = text;
+  secrets.forEach(secret => {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(MASK);
+    }
+  });
+  return result;
+}
+
+/**
+ * Mask registered secrets in a string, error or plain object (deeply)
+ * @param {*} value - Value to clean
+ * @returns {*} - Copy of the value with secrets masked
+ */
+function redact(value) {
+  if (secrets.size === 0 || value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return redactString(value.message);
+  if (Array.isArray(value)) return value.map(redact);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redact(entry)]));
+  }
+  return value;
+}
+
+module.exports = { MASK, registerSecret, redact };
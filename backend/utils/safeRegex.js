@@ -0,0 +1,58 @@
+// utils/safeRegex.js - Run user-supplied regular expressions within limits
+// Filter and Validation nodes, test assertions and JSON schemas carry patterns
+// written by users that run on the server against inputs and model output. One pattern with catastrophic
+// backtracking would block the event loop for every workspace, so patterns
+// and values are capped in length and every match is stopped after a time limit.
+
+const vm = require('vm');
+
+const MAX_PATTERN_LENGTH = 1000;
+const MAX_INPUT_LENGTH = 100000;
+const MATCH_TIMEOUT_MS = 100;
+
+// The match runs as a script so vm can interrupt it when it takes too long
+const context = vm.createContext({});
+const matchScript = new vm.Script('regex.test(input)');
+
+/**
+ * Compile a user-supplied pattern
+ * @param {string} source - Pattern
+ * @param {string} [flags] - Regular expression flags
+ * @returns {RegExp} - Regular expression
+ * @throws {Error} - When the pattern is too long or invalid
+ */
+function compilePattern(source, flags) {
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  return new RegExp(source, flags);
+}
+
+/**
+ * Test a value against a user-supplied regular expression
+ * @param {RegExp} regex - Regular expression from compilePattern
+ * @param {string} input - Value to match
+ * @returns {boolean} - True if the value matches
+ * @throws {Error} - When the value is too long or the match takes too long
+ */
+function testPattern(regex, input) {
+  if (input.length > MAX_INPUT_LENGTH) {
+    throw new Error(`Value has more than ${MAX_INPUT_LENGTH} characters, too many to match against a pattern`);
+  }
+
+  context.regex = regex;
+  context.input = input;
+  try {
+    return matchScript.runInContext(context, { timeout: MATCH_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`${regex} took longer than ${MATCH_TIMEOUT_MS}ms to match; simplify the pattern`);
+    }
+    throw error;
+  } finally {
+    context.regex = null;
+    context.input = null;
+  }
+}
+
+module.exports = { MAX_PATTERN_LENGTH, MAX_INPUT_LENGTH, compilePattern, testPattern };
@@ -1,10 +1,51 @@
 // utils/validateEnv.js - Environment Variable Validation
 const Joi = require('joi');
 
+const urlSchema = Joi.string().uri({ scheme: ['http', 'https'] });
+
 const envSchema = Joi.object({
   PORT: Joi.number().default(8000),
   NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
   GOOGLE_API_KEY: Joi.string().optional(),
+  OPENAI_API_KEY: Joi.string().allow('').optional(),
+  OPENAI_BASE_URL: urlSchema.allow('').optional(),
+  // Other base URLs LLM nodes may send requests to, comma-separated
+  OPENAI_ALLOWED_BASE_URLS: Joi.string().allow('').optional().custom((value, helpers) => {
+    const invalid = value.split(',').map(url => url.trim()).filter(Boolean)
+      .find(url => urlSchema.validate(url).error);
+    return invalid ? helpers.message(`OPENAI_ALLOWED_BASE_URLS has "${invalid}", which is not an http(s) URL`) : value;
+  }),
+  DEFAULT_LLM_PROVIDER: Joi.string().valid('gemini', 'openai', 'mock').default('gemini'),
+  // Record LLM calls to fixture files, or replay them without network access
+  LLM_FIXTURES_MODE: Joi.string().valid('off', 'record', 'replay').default('off'),
+  LLM_FIXTURES_DIR: Joi.string().allow('').optional(),
+  MODEL_PRICES_FILE: Joi.string().allow('').optional(),
+  RUN_MAX_TOKENS: Joi.number().integer().min(1).allow('').optional(),
+  RUN_MAX_COST_USD: Joi.number().positive().allow('').optional(),
+  DATA_DIR: Joi.string().allow('').optional(),
+  // 32 bytes as 64 hex characters or 44 base64 characters
+  SECRETS_MASTER_KEY: Joi.string()
+    .pattern(/^([0-9a-fA-F]{64}|[A-Za-z0-9+/]{43}=)$/)
+    .allow('')
+    .optional()
+    .messages({ 'string.pattern.base': 'SECRETS_MASTER_KEY must be 32 bytes, hex- or base64-encoded' }),
+  // Accounts: "false" allows only the first account to sign up
+  ALLOW_SIGNUP: Joi.string().valid('true', 'false').default('false'),
+  SESSION_TTL_MS: Joi.number().integer().min(60 * 1000).default(7 * 24 * 60 * 60 * 1000),
+  // Quotas: plan for new users, and a JSON file that adds or overrides plans
+  DEFAULT_PLAN: Joi.string().default('free'),
+  PLANS_FILE: Joi.string().allow('').optional(),
+  RUN_HISTORY_LIMIT: Joi.number().integer().min(1).default(1000),
+  JOB_CONCURRENCY: Joi.number().integer().min(1).default(2),
+  JOB_QUEUE_LIMIT: Joi.number().integer().min(1).default(100),
+  JOB_RETENTION_MS: Joi.number().integer().min(1000).default(60 * 60 * 1000),
+  JOB_DRAIN_TIMEOUT_MS: Joi.number().integer().min(0).default(25 * 1000),
+  // Batch runs: largest dataset, and most rows a batch may run at once
+  BATCH_MAX_ROWS: Joi.number().integer().min(1).default(10000),
+  BATCH_MAX_CONCURRENCY: Joi.number().integer().min(1).default(10),
+  // Scheduled runs: "false" turns the scheduler off, e.g. on all but one instance
+  SCHEDULER_ENABLED: Joi.string().valid('true', 'false').default('true'),
+  SCHEDULER_INTERVAL_MS: Joi.number().integer().min(1000).default(30 * 1000),
   RATE_LIMIT_WINDOW_MS: Joi.number().default(15 * 60 * 1000),
   RATE_LIMIT_MAX_REQUESTS: Joi.number().default(100),
 }).unknown();
@@ -16,6 +57,11 @@ function validateEnv() {
     throw new Error(`Environment validation error: ${error.message}`);
   }
   
+  if (!value.SECRETS_MASTER_KEY) {
+    console.warn('⚠️  Warning: SECRETS_MASTER_KEY not set. The secret store is disabled,');
+    console.warn('   so workflows cannot use secret:<name> API key references.');
+  }
+
   // Warn if API key is missing
   if (!value.GOOGLE_API_KEY) {
     console.warn('⚠️  Warning: GOOGLE_API_KEY not found in environment variables.');
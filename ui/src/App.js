@@ -5,6 +5,8 @@ import {SubmitButton} from "./utils/apiSubmit";
 import {Tutorial} from "./components/shared/Tutorial";
 import {ThemeToggle} from "./components/shared/ThemeToggles";
 import ErrorBoundary from "./components/shared/ErrorBoundary";
+import {SignIn} from "./components/SignIn";
+import {getSession, SIGNED_OUT_EVENT} from "./utils/apiClient";
 import {ToastContainer} from "react-toastify";
 import {useKeyboardShortcuts} from "./state/store";
 import "react-toastify/dist/ReactToastify.css";
@@ -13,6 +15,7 @@ import "./styles/tutorial.css";
 function App() {
   const [theme, setTheme] = useState("dark");
   const [isFirstVisit, setIsFirstVisit] = useState(true);
+  const [session, setSession] = useState(getSession);
   
   // Enable keyboard shortcuts (undo/redo)
   useKeyboardShortcuts();
@@ -24,6 +27,13 @@ function App() {
     }
   }, []);
 
+  // The backend rejected the session (expired or signed out elsewhere)
+  useEffect(() => {
+    const handleSignedOut = () => setSession(null);
+    window.addEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, handleSignedOut);
+  }, []);
+
   useEffect(() => {
     document.documentElement.setAttribute("data-theme", theme);
     document.body.className = theme;
@@ -48,11 +58,15 @@ function App() {
         <ThemeToggle theme={theme} onToggle={toggleTheme} />
         <PipelineToolbar />
         <PipelineUI />
-        <SubmitButton />
-        <Tutorial
-          isFirstVisit={isFirstVisit}
-          onComplete={handleTutorialComplete}
-        />
+        <SubmitButton user={session?.user} />
+        {session ? (
+          <Tutorial
+            isFirstVisit={isFirstVisit}
+            onComplete={handleTutorialComplete}
+          />
+        ) : (
+          <SignIn onSignedIn={setSession} />
+        )}
         <ToastContainer
           position="top-right"
           autoClose={3000}
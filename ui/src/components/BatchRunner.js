@@ -0,0 +1,310 @@
+// src/components/BatchRunner.js
+// Batch runs - run the workflow on the canvas once per row of a CSV or JSONL
+// file, follow its progress, download the results and retry failed rows
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { useStore } from '../state/store';
+import {
+  startBatch,
+  listBatches,
+  getBatch,
+  retryBatch,
+  cancelBatch,
+  downloadResults
+} from '../utils/batchApi';
+
+const POLL_INTERVAL_MS = 2000;
+const DEFAULT_CONCURRENCY = 4;
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+const formatCell = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+const STATUS_ICONS = {
+  pending: '⏳',
+  running: '🔄',
+  completed: '✅',
+  failed: '❌',
+  cancelled: '⏹️',
+  interrupted: '⏸️'
+};
+
+const formatOf = (fileName) => (/\.(jsonl|ndjson)$/i.test(fileName) ? 'jsonl' : 'csv');
+const unfinishedRows = (counts) => counts.failed + counts.cancelled + counts.pending;
+
+export const BatchRunner = ({ isOpen, onClose }) => {
+  const { nodes, edges, savedWorkflow } = useStore();
+  const [file, setFile] = useState(null);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [isStarting, setIsStarting] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const inputNames = nodes
+    .filter(node => node.type === 'customInput')
+    .map(node => node.data?.inputName || node.id.replace('customInput-', 'input_'));
+
+  // Keyed by id, so reloading the selected batch does not trigger another refresh
+  const selectedId = selected?.id;
+  const refresh = useCallback(async () => {
+    try {
+      setBatches(await listBatches());
+      if (selectedId) setSelected(await getBatch(selectedId));
+    } catch (err) {
+      toast.error(`Could not load batches: ${err.message}`);
+    }
+  }, [selectedId]);
+
+  // When the dialog opens or another batch is picked; polling keeps it fresh afterwards
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  // Follow running batches
+  const anyRunning = batches.some(batch => batch.status === 'running');
+  useEffect(() => {
+    if (!isOpen || !anyRunning) return undefined;
+    const timer = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isOpen, anyRunning, refresh]);
+
+  const handleStart = async () => {
+    if (!file) {
+      toast.warning('Please choose a CSV or JSONL file');
+      return;
+    }
+    if (inputNames.length === 0) {
+      toast.warning('Please add at least one Input node to your workflow!');
+      return;
+    }
+
+    setIsStarting(true);
+    try {
+      const batch = await startBatch({
+        nodes,
+        edges,
+        workflowId: savedWorkflow?.id || null,
+        format: formatOf(file.name),
+        data: await file.text(),
+        fileName: file.name,
+        concurrency: Number(concurrency) || DEFAULT_CONCURRENCY
+      });
+      toast.success(`Started a batch of ${batch.counts.total} rows`);
+      setFile(null);
+      fileInputRef.current.value = '';
+      setSelected(null);
+      refresh();
+    } catch (err) {
+      toast.error(`Could not start the batch: ${err.message}`);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleSelect = async (batch) => {
+    if (selected?.id === batch.id) {
+      setSelected(null);
+      return;
+    }
+    try {
+      setSelected(await getBatch(batch.id));
+    } catch (err) {
+      toast.error(`Could not load the batch: ${err.message}`);
+    }
+  };
+
+  const handleRetry = async (batch, rows) => {
+    try {
+      const retried = await retryBatch(batch.id, rows);
+      toast.info(`Retrying ${rows ? rows.length : unfinishedRows(batch.counts)} row(s) of ${retried.fileName}`);
+      refresh();
+    } catch (err) {
+      toast.error(`Could not retry: ${err.message}`);
+    }
+  };
+
+  const handleCancel = async (batch) => {
+    try {
+      await cancelBatch(batch.id);
+      refresh();
+    } catch (err) {
+      toast.error(`Could not cancel: ${err.message}`);
+    }
+  };
+
+  const handleDownload = async (batch) => {
+    try {
+      await downloadResults(batch);
+    } catch (err) {
+      toast.error(`Could not download results: ${err.message}`);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = 'bg-slate-700 text-white rounded-lg p-2 text-sm border border-slate-600';
+  const buttonClass = 'px-3 py-1 rounded-lg text-sm text-white disabled:opacity-40';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 p-8"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0, y: 50 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.8, opacity: 0, y: 50 }}
+        transition={{ type: "spring", duration: 0.6 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 rounded-3xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden border-2 border-purple-500/30"
+      >
+        {/* Header */}
+        <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 px-8 py-6 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <div className="text-3xl">📊</div>
+            <div>
+              <h2 className="text-2xl font-bold text-white">Batch Runs</h2>
+              <p className="text-white/70 text-sm mt-1">Run the workflow once for every row of a file</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-white hover:bg-white/20 rounded-lg p-2 transition-all transform hover:scale-110 hover:rotate-90"
+          >
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)]">
+          {/* Start a batch */}
+          <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-6 space-y-3">
+            <div className="text-white font-semibold">📁 New batch from the current canvas</div>
+            <div className="text-white/60 text-sm">
+              Upload a CSV file with a header row, or a JSONL file with one object per line.
+              {inputNames.length > 0
+                ? <> It needs a column for each input: <span className="font-mono">{inputNames.join(', ')}</span>.</>
+                : ' Add an Input node first.'}
+            </div>
+            <div className="flex items-center gap-3">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.jsonl,.ndjson,text/csv"
+                className="text-white/80 text-sm"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+              />
+              <label className="text-white/70 text-sm flex items-center gap-2 ml-auto">
+                Rows at once
+                <input
+                  type="number"
+                  min="1"
+                  max="50"
+                  className={inputClass}
+                  style={{ width: '5rem' }}
+                  value={concurrency}
+                  onChange={(e) => setConcurrency(e.target.value)}
+                />
+              </label>
+              <button
+                onClick={handleStart}
+                disabled={isStarting}
+                className="px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+              >
+                {isStarting ? 'Starting...' : 'Start batch'}
+              </button>
+            </div>
+          </div>
+
+          {/* Batches */}
+          {batches.length === 0 && <div className="text-white/60 text-sm">No batches yet.</div>}
+          <div className="space-y-2">
+            {batches.map(batch => {
+              const { counts } = batch;
+              const done = counts.completed + counts.failed + counts.cancelled;
+              return (
+                <div key={batch.id} className="rounded-lg p-3 border border-slate-700 bg-slate-800/50">
+                  <div className="flex items-center justify-between gap-3">
+                    <div className="cursor-pointer" onClick={() => handleSelect(batch)}>
+                      <div className="text-white font-semibold">
+                        {STATUS_ICONS[batch.status]} {batch.fileName}
+                        <span className="text-white/40 text-xs ml-2">{batch.status}</span>
+                      </div>
+                      <div className="text-white/60 text-sm">
+                        {counts.completed} done · {counts.failed} failed
+                        {counts.cancelled > 0 && ` · ${counts.cancelled} cancelled`}
+                        {' '}of {counts.total} rows · {batch.usage.totalTokens} tokens · ${batch.usage.costUsd.toFixed(4)}
+                      </div>
+                      <div className="text-white/40 text-xs">{batch.createdBy} · {formatDate(batch.createdAt)}</div>
+                    </div>
+                    <div className="flex gap-2">
+                      {batch.status === 'running' ? (
+                        <button onClick={() => handleCancel(batch)} className={`${buttonClass} bg-red-600/80 hover:bg-red-700`}>
+                          Cancel
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleRetry(batch)}
+                          disabled={unfinishedRows(counts) === 0}
+                          className={`${buttonClass} bg-slate-600 hover:bg-slate-500`}
+                        >
+                          Retry failed
+                        </button>
+                      )}
+                      <button onClick={() => handleDownload(batch)} className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}>
+                        ⬇️ Results
+                      </button>
+                    </div>
+                  </div>
+                  <div className="mt-2 rounded-full bg-slate-700 overflow-hidden" style={{ height: '6px' }}>
+                    <div
+                      className="bg-gradient-to-r from-blue-500 to-purple-500"
+                      style={{ height: '100%', width: `${(done / counts.total) * 100}%`, transition: 'width 0.3s ease' }}
+                    />
+                  </div>
+
+                  {/* Rows of the selected batch */}
+                  {selected?.id === batch.id && (
+                    <div className="mt-3 space-y-1 max-h-80 overflow-y-auto">
+                      {selected.rows.map(row => (
+                        <div key={row.index} className="flex items-start justify-between gap-3 bg-slate-900/60 rounded-lg p-2 text-xs">
+                          <div className="font-mono min-w-0">
+                            <div className="text-white/80">
+                              {STATUS_ICONS[row.status]} #{row.index + 1}{' '}
+                              {selected.columns.map(column => `${column}=${formatCell(row.values[column] ?? '')}`).join(' ').slice(0, 200)}
+                            </div>
+                            {row.outputs && (
+                              <div className="text-green-300 whitespace-pre-wrap">
+                                {Object.entries(row.outputs).map(([name, value]) => `${name}: ${formatCell(value)}`).join('\n').slice(0, 500)}
+                              </div>
+                            )}
+                            {row.error && <div className="text-red-400">{row.error}</div>}
+                          </div>
+                          {(row.status === 'failed' || row.status === 'cancelled') && selected.status !== 'running' && (
+                            <button
+                              onClick={() => handleRetry(selected, [row.index])}
+                              className={`${buttonClass} bg-slate-600 hover:bg-slate-500 shrink-0`}
+                            >
+                              Retry
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
@@ -3,121 +3,145 @@
 
 import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { buildNodeStates } from '../utils/runState';
 
-export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionData }) => {
-  const [currentStage, setCurrentStage] = useState(0);
-  const [isExecuting, setIsExecuting] = useState(false);
-  const [completedNodes, setCompletedNodes] = useState([]);
+const REPLAY_STEP_MS = 700;
+const FINISHED_STATUSES = ['completed', 'skipped', 'failed', 'cancelled'];
 
-  // Organize nodes into execution stages
-  const executionStages = useMemo(() => {
-    const stages = [];
-    const visited = new Set();
-    const nodeMap = new Map(nodes.map(n => [n.id, n]));
-    
-    // Find input nodes (Stage 0)
-    const inputNodes = nodes.filter(n => n.type === 'customInput');
-    if (inputNodes.length > 0) {
-      stages.push({
-        name: 'Data Input',
-        nodes: inputNodes,
-        color: 'green',
-        icon: '📥'
-      });
-      inputNodes.forEach(n => visited.add(n.id));
-    }
+const STAGE_STYLES = {
+  input: { name: 'Data Input', color: 'green', icon: '📥' },
+  llm: { name: 'LLM Processing', color: 'purple', icon: '🤖' },
+  transform: { name: 'Data Transformation', color: 'blue', icon: '⚙️' },
+  output: { name: 'Output Generation', color: 'red', icon: '📤' }
+};
 
-    // Find nodes connected to inputs
-    const getNextStage = (sourceIds) => {
-      const nextNodes = [];
-      edges.forEach(edge => {
-        if (sourceIds.includes(edge.source) && !visited.has(edge.target)) {
-          const targetNode = nodeMap.get(edge.target);
-          if (targetNode && !nextNodes.find(n => n.id === targetNode.id)) {
-            nextNodes.push(targetNode);
-            visited.add(edge.target);
-          }
-        }
-      });
-      return nextNodes;
-    };
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+const formatCost = (usd) => (usd === null ? 'n/a' : `$${usd < 0.01 && usd > 0 ? usd.toFixed(4) : usd.toFixed(2)}`);
 
-    let currentSources = inputNodes.map(n => n.id);
-    let stageNum = 1;
+export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionData }) => {
+  // null shows the run as recorded (live while it is running);
+  // a number shows the run as it was after that many replay steps
+  const [replayStep, setReplayStep] = useState(null);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [expandedNode, setExpandedNode] = useState(null);
 
-    while (currentSources.length > 0 && stageNum < 10) {
-      const nextStageNodes = getNextStage(currentSources);
-      if (nextStageNodes.length === 0) break;
+  const events = useMemo(() => executionData?.events || [], [executionData]);
 
-      const llmNodes = nextStageNodes.filter(n => n.type === 'llm');
-      const transformNodes = nextStageNodes.filter(n => ['text', 'transform', 'filter', 'merge', 'template', 'validation'].includes(n.type));
-      const outputNodes = nextStageNodes.filter(n => n.type === 'customOutput');
+  // A replay step ends at every event except streamed tokens, which are
+  // folded into the step of the node:output that follows them
+  const stepEnds = useMemo(() => events.reduce((ends, { event }, index) => {
+    if (event !== 'node:token') ends.push(index + 1);
+    return ends;
+  }, []), [events]);
 
-      if (llmNodes.length > 0) {
-        stages.push({
-          name: 'LLM Processing',
-          nodes: llmNodes,
-          color: 'purple',
-          icon: '🤖'
-        });
-      }
+  const visibleEvents = useMemo(() => (
+    replayStep === null ? events : events.slice(0, replayStep === 0 ? 0 : stepEnds[replayStep - 1])
+  ), [events, stepEnds, replayStep]);
 
-      if (transformNodes.length > 0) {
-        stages.push({
-          name: 'Data Transformation',
-          nodes: transformNodes,
-          color: 'blue',
-          icon: '⚙️'
-        });
-      }
+  const nodeStates = useMemo(() => buildNodeStates(visibleEvents), [visibleEvents]);
+
+  const isLive = replayStep === null || replayStep >= stepEnds.length;
+  const runStatus = !executionData
+    ? 'idle'
+    : isLive ? executionData.status : 'running';
 
-      if (outputNodes.length > 0) {
-        stages.push({
-          name: 'Output Generation',
-          nodes: outputNodes,
-          color: 'red',
-          icon: '📤'
-        });
+  // Group nodes into stages by their depth in the graph
+  const executionStages = useMemo(() => {
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+    const inDegree = new Map(nodes.map(n => [n.id, 0]));
+    const depth = new Map(nodes.map(n => [n.id, 0]));
+
+    edges.forEach(edge => {
+      if (nodeMap.has(edge.source) && inDegree.has(edge.target)) {
+        inDegree.set(edge.target, inDegree.get(edge.target) + 1);
       }
+    });
 
-      currentSources = nextStageNodes.map(n => n.id);
-      stageNum++;
+    const queue = nodes.filter(n => inDegree.get(n.id) === 0).map(n => n.id);
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      edges.forEach(edge => {
+        if (edge.source !== nodeId || !inDegree.has(edge.target)) return;
+        depth.set(edge.target, Math.max(depth.get(edge.target), depth.get(nodeId) + 1));
+        inDegree.set(edge.target, inDegree.get(edge.target) - 1);
+        if (inDegree.get(edge.target) === 0) queue.push(edge.target);
+      });
     }
 
-    return stages;
+    const levels = [];
+    nodes.forEach(node => {
+      const level = depth.get(node.id);
+      levels[level] = [...(levels[level] || []), node];
+    });
+
+    return levels.filter(Boolean).map(stageNodes => {
+      const types = stageNodes.map(n => n.type);
+      const kind = types.every(t => t === 'customInput') ? 'input'
+        : types.every(t => t === 'customOutput') ? 'output'
+        : types.includes('llm') ? 'llm'
+        : 'transform';
+      return { ...STAGE_STYLES[kind], nodes: stageNodes };
+    });
   }, [nodes, edges]);
 
-  // Simulate execution flow
+  // Step through the recorded run
   useEffect(() => {
-    if (isExecuting && currentStage < executionStages.length) {
-      const timer = setTimeout(() => {
-        const stage = executionStages[currentStage];
-        setCompletedNodes(prev => [...prev, ...stage.nodes.map(n => n.id)]);
-        
-        setCurrentStage(prev => prev + 1);
-      }, 2000);
-
-      return () => clearTimeout(timer);
-    } else if (isExecuting && currentStage >= executionStages.length) {
-      setTimeout(() => {
-        setIsExecuting(false);
-      }, 1000);
+    if (!isReplaying) return;
+
+    if (replayStep === null || replayStep >= stepEnds.length) {
+      setIsReplaying(false);
+      return;
     }
-  }, [isExecuting, currentStage, executionStages]);
 
-  const startExecution = () => {
-    setIsExecuting(true);
-    setCurrentStage(0);
-    setCompletedNodes([]);
+    const timer = setTimeout(() => setReplayStep(step => step + 1), REPLAY_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [isReplaying, replayStep, stepEnds]);
+
+  // A new run always starts in live view
+  useEffect(() => {
+    setReplayStep(null);
+    setIsReplaying(false);
+  }, [executionData?.startedAt]);
+
+  const startReplay = () => {
+    setReplayStep(0);
+    setIsReplaying(true);
+  };
+
+  const stepReplay = (delta) => {
+    setIsReplaying(false);
+    setReplayStep(step => {
+      const current = step === null ? stepEnds.length : step;
+      return Math.min(Math.max(current + delta, 0), stepEnds.length);
+    });
   };
 
-  const resetExecution = () => {
-    setIsExecuting(false);
-    setCurrentStage(0);
-    setCompletedNodes([]);
+  const showFinalState = () => {
+    setIsReplaying(false);
+    setReplayStep(null);
   };
 
-  const StageCard = ({ stage, index, isActive, isCompleted }) => {
+  const getStageStatus = (stage) => {
+    const statuses = stage.nodes.map(n => nodeStates[n.id]?.status);
+    return {
+      isActive: statuses.includes('running'),
+      isFailed: statuses.includes('failed'),
+      isCompleted: statuses.every(status => FINISHED_STATUSES.includes(status)) && !statuses.includes('failed')
+    };
+  };
+
+  const finishedNodes = Object.values(nodeStates).filter(state => FINISHED_STATUSES.includes(state.status));
+  const completedCount = Object.values(nodeStates).filter(state => state.status === 'completed').length;
+  const failedCount = Object.values(nodeStates).filter(state => state.status === 'failed').length;
+  const progress = nodes.length > 0 ? finishedNodes.length / nodes.length : 0;
+  const nodeUsages = Object.values(nodeStates).map(state => state.usage).filter(Boolean);
+  const totalTokens = nodeUsages.reduce((sum, usage) => sum + usage.totalTokens, 0);
+  const totalCost = nodeUsages.reduce((sum, usage) => sum + (usage.costUsd || 0), 0);
+  const elapsedMs = executionData?.finishedAt && isLive
+    ? executionData.finishedAt - executionData.startedAt
+    : visibleEvents.length > 0 ? visibleEvents[visibleEvents.length - 1].at - executionData.startedAt : 0;
+
+  const StageCard = ({ stage, index, isActive, isCompleted, isFailed }) => {
     const colorMap = {
       green: {
         bg: 'from-green-600 to-green-700',
@@ -163,7 +187,7 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
           }}
           transition={{ duration: 1.5, repeat: isActive ? Infinity : 0 }}
           className={`bg-gradient-to-br ${colors.bg} rounded-2xl p-6 border-2 ${
-            isActive ? colors.border : 'border-white/20'
+            isFailed ? 'border-red-400' : isActive ? colors.border : 'border-white/20'
           } ${isActive ? `shadow-2xl ${colors.glow}` : 'shadow-lg'} min-w-[220px] relative overflow-hidden`}
         >
           {/* Animated background */}
@@ -218,7 +242,11 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
 
             {/* Status Badge */}
             <div className="mt-4 flex justify-center">
-              {isCompleted ? (
+              {isFailed ? (
+                <div className="bg-red-500 text-white text-xs px-3 py-1 rounded-full font-semibold">
+                  Failed
+                </div>
+              ) : isCompleted ? (
                 <motion.div
                   initial={{ scale: 0 }}
                   animate={{ scale: 1 }}
@@ -252,21 +280,77 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
             {/* Node Details */}
             <div className="mt-4 space-y-1">
               {stage.nodes.map((node, idx) => {
-                const nodeCompleted = completedNodes.includes(node.id);
+                const state = nodeStates[node.id] || {};
+                const isExpanded = expandedNode === node.id;
+                const statusClass = {
+                  completed: 'bg-green-500/30 text-green-200',
+                  running: 'bg-yellow-500/30 text-yellow-100',
+                  failed: 'bg-red-500/40 text-red-100',
+                  skipped: 'bg-slate-500/30 text-white/50 line-through',
+                  cancelled: 'bg-orange-500/30 text-orange-100'
+                }[state.status] || 'bg-white/10 text-white/60';
+
                 return (
                   <motion.div
                     key={node.id}
                     initial={{ opacity: 0, x: -10 }}
                     animate={{ opacity: 1, x: 0 }}
                     transition={{ delay: index * 0.15 + idx * 0.1 }}
-                    className={`text-xs px-2 py-1 rounded ${
-                      nodeCompleted 
-                        ? 'bg-green-500/30 text-green-200' 
-                        : 'bg-white/10 text-white/60'
-                    }`}
+                    className={`text-xs px-2 py-1 rounded cursor-pointer ${statusClass}`}
+                    onClick={() => setExpandedNode(isExpanded ? null : node.id)}
                   >
-                    {node.data?.inputName || node.data?.outputName || node.id}
-                    {nodeCompleted && ' ✓'}
+                    <div className="flex justify-between gap-2">
+                      <span>
+                        {node.data?.inputName || node.data?.outputName || node.id}
+                        {state.status === 'completed' && ' ✓'}
+                        {state.status === 'failed' && ' ✗'}
+                      </span>
+                      {state.durationMs !== undefined && (
+                        <span className="text-white/60">
+                          {state.usage && `${state.usage.totalTokens} tok · `}
+                          {formatDuration(state.durationMs)}
+                        </span>
+                      )}
+                    </div>
+
+                    {isExpanded && (
+                      <div className="mt-2 space-y-2 text-left cursor-text" onClick={(e) => e.stopPropagation()}>
+                        {state.inputs && Object.keys(state.inputs).length > 0 && (
+                          <div>
+                            <div className="text-white/50 uppercase text-[10px]">Inputs</div>
+                            <pre className="whitespace-pre-wrap max-h-32 overflow-y-auto">
+                              {JSON.stringify(state.inputs, null, 2)}
+                            </pre>
+                          </div>
+                        )}
+                        {state.outputs && (
+                          <div>
+                            <div className="text-white/50 uppercase text-[10px]">Outputs</div>
+                            <pre className="whitespace-pre-wrap max-h-32 overflow-y-auto">
+                              {JSON.stringify(state.outputs, null, 2)}
+                            </pre>
+                          </div>
+                        )}
+                        {state.usage && (
+                          <div>
+                            <div className="text-white/50 uppercase text-[10px]">Usage</div>
+                            <div>
+                              {state.usage.promptTokens} prompt + {state.usage.completionTokens} completion
+                              {' '}= {state.usage.totalTokens} tokens · {formatCost(state.usage.costUsd)}
+                              {state.usage.estimated && ' (estimated)'}
+                              {state.usage.cached && ' (cached)'}
+                            </div>
+                          </div>
+                        )}
+                        {state.status === 'running' && state.text && (
+                          <pre className="whitespace-pre-wrap max-h-32 overflow-y-auto">{state.text}</pre>
+                        )}
+                        {state.error && (
+                          <div className="text-red-200">{state.error}</div>
+                        )}
+                        {!state.status && <div className="text-white/50">Not run</div>}
+                      </div>
+                    )}
                   </motion.div>
                 );
               })}
@@ -361,13 +445,28 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
                 </div>
                 <div className="w-px h-12 bg-white/20"></div>
                 <div className="text-center">
-                  <div className="text-3xl font-bold text-blue-400">{currentStage}</div>
-                  <div className="text-white/60 text-sm">Current</div>
+                  <div className="text-3xl font-bold text-purple-400">{completedCount}</div>
+                  <div className="text-white/60 text-sm">Completed</div>
                 </div>
                 <div className="w-px h-12 bg-white/20"></div>
                 <div className="text-center">
-                  <div className="text-3xl font-bold text-purple-400">{completedNodes.length}</div>
-                  <div className="text-white/60 text-sm">Completed</div>
+                  <div className="text-3xl font-bold text-red-400">{failedCount}</div>
+                  <div className="text-white/60 text-sm">Failed</div>
+                </div>
+                <div className="w-px h-12 bg-white/20"></div>
+                <div className="text-center">
+                  <div className="text-3xl font-bold text-blue-400">{formatDuration(Math.max(elapsedMs, 0))}</div>
+                  <div className="text-white/60 text-sm">Elapsed</div>
+                </div>
+                <div className="w-px h-12 bg-white/20"></div>
+                <div className="text-center">
+                  <div className="text-3xl font-bold text-yellow-400">{totalTokens.toLocaleString()}</div>
+                  <div className="text-white/60 text-sm">Tokens</div>
+                </div>
+                <div className="w-px h-12 bg-white/20"></div>
+                <div className="text-center">
+                  <div className="text-3xl font-bold text-green-400">{formatCost(totalCost)}</div>
+                  <div className="text-white/60 text-sm">Cost</div>
                 </div>
               </div>
 
@@ -375,43 +474,72 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  onClick={startExecution}
-                  disabled={isExecuting}
+                  onClick={startReplay}
+                  disabled={isReplaying || !executionData || executionData.status === 'running'}
                   className="bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white px-6 py-3 rounded-lg font-semibold flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
                 >
                   <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
                     <path d="M8 5v14l11-7z"/>
                   </svg>
-                  {isExecuting ? 'Running...' : 'Start Execution'}
+                  {isReplaying ? 'Replaying...' : 'Replay Run'}
+                </motion.button>
+
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => stepReplay(-1)}
+                  disabled={!executionData || executionData.status === 'running' || replayStep === 0}
+                  className="bg-slate-700 hover:bg-slate-600 text-white px-4 py-3 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
+                  title="Step back"
+                >
+                  ⏮
                 </motion.button>
 
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  onClick={resetExecution}
-                  className="bg-gradient-to-r from-orange-600 to-orange-700 hover:from-orange-700 hover:to-orange-800 text-white px-6 py-3 rounded-lg font-semibold flex items-center gap-2 shadow-lg"
+                  onClick={() => stepReplay(1)}
+                  disabled={!executionData || executionData.status === 'running' || isLive}
+                  className="bg-slate-700 hover:bg-slate-600 text-white px-4 py-3 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
+                  title="Step forward"
+                >
+                  ⏭
+                </motion.button>
+
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={showFinalState}
+                  disabled={replayStep === null}
+                  className="bg-gradient-to-r from-orange-600 to-orange-700 hover:from-orange-700 hover:to-orange-800 text-white px-6 py-3 rounded-lg font-semibold flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
                 >
                   <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
                     <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
                   </svg>
-                  Reset
+                  Final State
                 </motion.button>
               </div>
             </div>
 
+            {replayStep !== null && (
+              <div className="mt-4 text-white/60 text-sm">
+                Replay step {Math.min(replayStep, stepEnds.length)} of {stepEnds.length}
+              </div>
+            )}
+
             {/* Progress Bar */}
             <div className="mt-6">
               <div className="flex items-center justify-between mb-2">
                 <span className="text-white/70 text-sm font-medium">Overall Progress</span>
                 <span className="text-white/70 text-sm font-medium">
-                  {executionStages.length > 0 ? Math.round((currentStage / executionStages.length) * 100) : 0}%
+                  {Math.round(progress * 100)}%
                 </span>
               </div>
               <div className="h-3 bg-slate-700 rounded-full overflow-hidden">
                 <motion.div
                   initial={{ width: 0 }}
                   animate={{ 
-                    width: executionStages.length > 0 ? `${(currentStage / executionStages.length) * 100}%` : '0%'
+                    width: `${progress * 100}%`
                   }}
                   transition={{ duration: 0.5 }}
                   className="h-full bg-gradient-to-r from-cyan-500 via-blue-500 to-purple-500 rounded-full"
@@ -420,6 +548,13 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
             </div>
           </motion.div>
 
+          {!executionData && (
+            <div className="mb-8 bg-slate-800/50 border border-slate-700 rounded-xl p-6 text-center text-white/70">
+              No run yet. Use <span className="font-semibold text-white">Run Workflow</span> to execute the
+              pipeline; its progress will appear here and can be replayed step by step.
+            </div>
+          )}
+
           {/* Execution Stages */}
           <div className="space-y-20">
             {executionStages.map((stage, index) => (
@@ -427,15 +562,40 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
                 key={index}
                 stage={stage}
                 index={index}
-                isActive={currentStage === index && isExecuting}
-                isCompleted={currentStage > index}
+                {...getStageStatus(stage)}
               />
             ))}
           </div>
 
           {/* Completion Message */}
           <AnimatePresence>
-            {isExecuting && currentStage >= executionStages.length && (
+            {runStatus === 'failed' && (
+              <motion.div
+                initial={{ scale: 0, opacity: 0, y: 50 }}
+                animate={{ scale: 1, opacity: 1, y: 0 }}
+                exit={{ scale: 0, opacity: 0 }}
+                transition={{ type: "spring", duration: 0.8 }}
+                className="mt-12 bg-gradient-to-r from-red-500/20 to-rose-500/20 border-2 border-red-400/50 rounded-2xl p-8 text-center"
+              >
+                <div className="text-8xl mb-4">❌</div>
+                <h3 className="text-3xl font-bold text-red-400 mb-2">Workflow Failed</h3>
+                <p className="text-white/70 text-lg">{executionData.error}</p>
+              </motion.div>
+            )}
+            {runStatus === 'cancelled' && (
+              <motion.div
+                initial={{ scale: 0, opacity: 0, y: 50 }}
+                animate={{ scale: 1, opacity: 1, y: 0 }}
+                exit={{ scale: 0, opacity: 0 }}
+                transition={{ type: "spring", duration: 0.8 }}
+                className="mt-12 bg-gradient-to-r from-orange-500/20 to-amber-500/20 border-2 border-orange-400/50 rounded-2xl p-8 text-center"
+              >
+                <div className="text-8xl mb-4">⏹️</div>
+                <h3 className="text-3xl font-bold text-orange-400 mb-2">Workflow Cancelled</h3>
+                <p className="text-white/70 text-lg">Nodes that had not finished were stopped or skipped.</p>
+              </motion.div>
+            )}
+            {runStatus === 'completed' && (
               <motion.div
                 initial={{ scale: 0, opacity: 0, y: 50 }}
                 animate={{ scale: 1, opacity: 1, y: 0 }}
@@ -451,7 +611,9 @@ export const ExecutionVisualizer = ({ isOpen, onClose, nodes, edges, executionDa
                   ✅
                 </motion.div>
                 <h3 className="text-3xl font-bold text-green-400 mb-2">Workflow Completed!</h3>
-                <p className="text-white/70 text-lg">All stages have been executed successfully</p>
+                <p className="text-white/70 text-lg">
+                  {completedCount} {completedCount === 1 ? 'node' : 'nodes'} executed in {formatDuration(Math.max(elapsedMs, 0))}
+                </p>
               </motion.div>
             )}
           </AnimatePresence>
@@ -0,0 +1,330 @@
+// src/components/RunHistory.js
+// Run history - inspect recorded runs, re-run one with the same inputs on the
+// current canvas, and diff the outputs of two runs
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { useStore } from '../state/store';
+import { listRuns, getRun } from '../utils/runApi';
+import { diffLines } from '../utils/textDiff';
+import { streamWorkflowAPI } from './WorkflowPopup';
+
+const PAGE_SIZE = 10;
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+const formatUsage = (usage) => (usage
+  ? `${usage.totalTokens} tokens · $${usage.costUsd.toFixed(4)}`
+  : 'no usage');
+
+const STATUS_ICONS = { completed: '✅', failed: '❌', cancelled: '⏹️' };
+
+const LINE_STYLES = {
+  same: 'text-white/60',
+  added: 'text-green-300 bg-green-500/10',
+  removed: 'text-red-300 bg-red-500/10'
+};
+const LINE_PREFIX = { same: '  ', added: '+ ', removed: '− ' };
+
+// Output-by-output comparison of two runs
+const OutputDiff = ({ before, after }) => {
+  const outputIds = [...new Set([...Object.keys(before.outputs), ...Object.keys(after.outputs)])].sort();
+
+  if (outputIds.length === 0) {
+    return <div className="text-white/60 text-sm">Neither run produced outputs.</div>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {outputIds.map(outputId => {
+        const same = before.outputs[outputId] === after.outputs[outputId];
+        return (
+          <div key={outputId}>
+            <div className="text-white font-semibold text-sm">
+              {outputId} {same ? <span className="text-green-400 text-xs">identical</span> : <span className="text-yellow-300 text-xs">changed</span>}
+            </div>
+            {!same && (
+              <pre className="text-xs font-mono max-h-64 overflow-y-auto bg-slate-900/60 rounded-lg p-2">
+                {diffLines(before.outputs[outputId], after.outputs[outputId]).map((line, index) => (
+                  <div key={index} className={LINE_STYLES[line.type]}>{LINE_PREFIX[line.type]}{line.text}</div>
+                ))}
+              </pre>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export const RunHistory = ({ isOpen, onClose }) => {
+  const { nodes, edges, savedWorkflow, startRun, recordRunEvent, finishRun } = useStore();
+  const [runs, setRuns] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [onlyThisWorkflow, setOnlyThisWorkflow] = useState(true);
+  const [status, setStatus] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [details, setDetails] = useState({});
+  const [compare, setCompare] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [rerunningId, setRerunningId] = useState(null);
+
+  const workflowId = onlyThisWorkflow && savedWorkflow ? savedWorkflow.id : '';
+
+  const refresh = useCallback(async () => {
+    try {
+      const result = await listRuns({ page, pageSize: PAGE_SIZE, workflowId, status });
+      setRuns(result.runs);
+      setPagination(result.pagination);
+    } catch (err) {
+      toast.error(`Could not load run history: ${err.message}`);
+    }
+  }, [page, workflowId, status]);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  // Full records are fetched on demand and kept for the session
+  const loadDetails = async (id) => {
+    if (details[id]) return details[id];
+    const run = await getRun(id);
+    setDetails(prev => ({ ...prev, [id]: run }));
+    return run;
+  };
+
+  const toggleExpanded = async (id) => {
+    if (expanded === id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      await loadDetails(id);
+      setExpanded(id);
+    } catch (err) {
+      toast.error(`Could not load run: ${err.message}`);
+    }
+  };
+
+  const toggleCompare = (id) => {
+    setComparison(null);
+    setCompare(selected => (
+      selected.includes(id) ? selected.filter(runId => runId !== id) : [...selected, id].slice(-2)
+    ));
+  };
+
+  const handleCompare = async () => {
+    try {
+      // Older run first, so additions are what the newer run produced
+      const [before, after] = (await Promise.all(compare.map(loadDetails)))
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+      setComparison({ before, after });
+    } catch (err) {
+      toast.error(`Could not compare runs: ${err.message}`);
+    }
+  };
+
+  // Re-run the current canvas with the inputs of a recorded run
+  const handleRerun = async (id) => {
+    if (nodes.length === 0) {
+      toast.warning('Please add some nodes to your pipeline first!');
+      return;
+    }
+
+    setRerunningId(id);
+    startRun();
+    try {
+      const run = await loadDetails(id);
+      await streamWorkflowAPI(
+        { nodes, edges, inputs: run.inputs, workflowId: savedWorkflow?.id || null },
+        recordRunEvent
+      );
+      finishRun('completed');
+      toast.success('Re-run completed');
+    } catch (err) {
+      finishRun('failed', err.message);
+      toast.error(`Re-run failed: ${err.message}`);
+    } finally {
+      setRerunningId(null);
+      setPage(1);
+      refresh();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 p-8"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0, y: 50 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.8, opacity: 0, y: 50 }}
+        transition={{ type: "spring", duration: 0.6 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 rounded-3xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-hidden border-2 border-purple-500/30"
+      >
+        {/* Header */}
+        <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 px-8 py-6 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <div className="text-3xl">🕘</div>
+            <div>
+              <h2 className="text-2xl font-bold text-white">Run History</h2>
+              <p className="text-white/70 text-sm mt-1">Inspect, re-run and compare past runs</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-white hover:bg-white/20 rounded-lg p-2 transition-all transform hover:scale-110 hover:rotate-90"
+          >
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)]">
+          <div className="flex items-center justify-between flex-wrap gap-3 mb-4">
+            <div className="flex items-center gap-4 text-white/80 text-sm">
+              {savedWorkflow && (
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={onlyThisWorkflow}
+                    onChange={(e) => {
+                      setOnlyThisWorkflow(e.target.checked);
+                      setPage(1);
+                    }}
+                  />
+                  Only "{savedWorkflow.name}"
+                </label>
+              )}
+              <select
+                className="bg-slate-700 text-white/80 text-sm rounded-lg px-2 py-1 border border-slate-600"
+                value={status}
+                onChange={(e) => {
+                  setStatus(e.target.value);
+                  setPage(1);
+                }}
+              >
+                <option value="">All runs</option>
+                <option value="completed">Completed</option>
+                <option value="failed">Failed</option>
+                <option value="cancelled">Cancelled</option>
+              </select>
+            </div>
+            <button
+              onClick={handleCompare}
+              disabled={compare.length !== 2}
+              className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-purple-600 hover:bg-purple-700 disabled:opacity-40"
+            >
+              Compare outputs
+            </button>
+          </div>
+
+          {comparison && (
+            <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-4">
+              <div className="text-white font-semibold mb-2">
+                Outputs: {formatDate(comparison.before.startedAt)} → {formatDate(comparison.after.startedAt)}
+              </div>
+              <OutputDiff before={comparison.before} after={comparison.after} />
+            </div>
+          )}
+
+          {runs.length === 0 && <div className="text-white/60 text-sm">No runs recorded yet.</div>}
+
+          <div className="space-y-2">
+            {runs.map(run => {
+              const record = details[run.id];
+              return (
+                <div key={run.id} className="rounded-lg p-3 border border-slate-700 bg-slate-800/50">
+                  <div className="flex items-center justify-between gap-3">
+                    <label className="flex items-start gap-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={compare.includes(run.id)}
+                        onChange={() => toggleCompare(run.id)}
+                      />
+                      <div>
+                        <div className="text-white font-semibold text-sm">
+                          {STATUS_ICONS[run.status]} {formatDate(run.startedAt)}
+                          <span className="text-white/40 text-xs ml-2">{run.source}</span>
+                        </div>
+                        <div className="text-white/50 text-xs">
+                          {formatDuration(run.durationMs)} · {run.models.join(', ') || 'no LLM calls'} · {formatUsage(run.usage)}
+                        </div>
+                        {run.error && <div className="text-red-300 text-xs mt-1">{run.error.message}</div>}
+                      </div>
+                    </label>
+                    <div className="flex gap-2 shrink-0">
+                      <button
+                        onClick={() => toggleExpanded(run.id)}
+                        className="px-3 py-1 rounded-lg text-sm text-white bg-slate-600 hover:bg-slate-500"
+                      >
+                        {expanded === run.id ? 'Hide' : 'Details'}
+                      </button>
+                      <button
+                        onClick={() => handleRerun(run.id)}
+                        disabled={rerunningId !== null}
+                        title="Run the current canvas with this run's inputs"
+                        className="px-3 py-1 rounded-lg text-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-40"
+                      >
+                        {rerunningId === run.id ? 'Running...' : 'Re-run'}
+                      </button>
+                    </div>
+                  </div>
+
+                  {expanded === run.id && record && (
+                    <div className="mt-3 space-y-3 text-xs">
+                      <div>
+                        <div className="text-white/50 uppercase text-[10px]">Inputs</div>
+                        <pre className="text-white/80 whitespace-pre-wrap max-h-32 overflow-y-auto">
+                          {JSON.stringify(record.inputs, null, 2)}
+                        </pre>
+                      </div>
+                      <div>
+                        <div className="text-white/50 uppercase text-[10px]">Outputs</div>
+                        <pre className="text-blue-300 whitespace-pre-wrap max-h-48 overflow-y-auto">
+                          {JSON.stringify(record.outputs, null, 2)}
+                        </pre>
+                      </div>
+                      <div>
+                        <div className="text-white/50 uppercase text-[10px]">Nodes</div>
+                        {Object.entries(record.nodeResults).map(([nodeId, result]) => (
+                          <div key={nodeId} className="flex justify-between text-white/70 font-mono">
+                            <span>{nodeId} · {result.status}</span>
+                            <span>
+                              {result.usage && `${result.usage.totalTokens} tok · `}
+                              {result.durationMs !== undefined && formatDuration(result.durationMs)}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-4 mt-4 text-white/70 text-sm">
+              <button disabled={page <= 1} onClick={() => setPage(p => p - 1)} className="disabled:opacity-40">◀ Previous</button>
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <button disabled={page >= pagination.totalPages} onClick={() => setPage(p => p + 1)} className="disabled:opacity-40">Next ▶</button>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
@@ -0,0 +1,94 @@
+// src/components/SignIn.js
+// Sign-in screen shown until the user has a session. New users can create
+// an account here; their workflows, runs and keys go to their own workspace.
+
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { login, register } from '../utils/authApi';
+
+export const SignIn = ({ onSignedIn }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      const session = isRegister
+        ? await register(username.trim(), password)
+        : await login(username.trim(), password);
+      onSignedIn(session);
+    } catch (err) {
+      const details = err.data?.details?.map(detail => detail.message).join(' ');
+      setError(details || err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = 'w-full bg-slate-700 text-white rounded-lg p-2 text-sm border border-slate-600';
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 p-8">
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0, y: 50 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        transition={{ type: "spring", duration: 0.6 }}
+        className="bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 rounded-3xl shadow-2xl max-w-md w-full overflow-hidden border-2 border-purple-500/30"
+      >
+        {/* Header */}
+        <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 px-8 py-6 flex items-center gap-4">
+          <div className="text-3xl">🐋</div>
+          <div>
+            <h2 className="text-2xl font-bold text-white">{isRegister ? 'Create an account' : 'Sign in'}</h2>
+            <p className="text-white/70 text-sm mt-1">Your workflows, runs and API keys stay in your workspace</p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-8 space-y-4">
+          <input
+            className={inputClass}
+            placeholder="Username"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          <input
+            className={inputClass}
+            type="password"
+            placeholder={isRegister ? 'Password (at least 8 characters)' : 'Password'}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+
+          {error && (
+            <div className="bg-red-500/20 border border-red-500 rounded-lg p-3 text-red-300 text-sm">{error}</div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSubmitting || !username.trim() || !password}
+            className="w-full px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+          >
+            {isSubmitting ? 'Please wait…' : isRegister ? 'Create account' : 'Sign in'}
+          </button>
+
+          <button
+            type="button"
+            onClick={() => { setMode(isRegister ? 'login' : 'register'); setError(null); }}
+            className="w-full text-sm text-white/60 hover:text-white"
+          >
+            {isRegister ? 'Already have an account? Sign in' : 'New here? Create an account'}
+          </button>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
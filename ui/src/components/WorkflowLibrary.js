@@ -0,0 +1,681 @@
+// src/components/WorkflowLibrary.js
+// Shared workflow library - save the canvas to the backend, load
+// workspace workflows, browse, compare and restore their version history,
+// schedule runs, edit and run test cases, and export or import workflow files
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { toast } from 'react-toastify';
+import { useStore } from '../state/store';
+import {
+  listWorkflows,
+  getWorkflow,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+  listVersions,
+  diffVersions,
+  restoreVersion,
+  listSchedules,
+  createSchedule,
+  deleteSchedule
+} from '../utils/workflowApi';
+import { listSecrets } from '../utils/secretApi';
+import { WorkflowTests } from './WorkflowTests';
+import { exportWorkflow, importWorkflow } from '../utils/workflowPersistence';
+import { serializeNodes, findCredentials, fillPlaceholders } from '../utils/workflowSerializer';
+
+const PAGE_SIZE = 10;
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+const formatValue = (value) => (value === undefined ? '(unset)' : JSON.stringify(value));
+const describeEdge = (edge) => `${edge.sourceHandle || edge.source} → ${edge.targetHandle || edge.target}`;
+const inputNames = (workflow) => workflow.nodes
+  .filter(node => node.type === 'customInput')
+  .map(node => node.data?.inputName || node.id.replace('customInput-', 'input_'));
+
+// Renders the result of GET /workflows/:id/diff
+const VersionDiff = ({ diff }) => {
+  if (!diff.hasChanges) {
+    return <div className="text-white/60 text-sm">No differences between v{diff.from} and v{diff.to}.</div>;
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      {diff.name && (
+        <div className="text-yellow-300">Name: "{diff.name.before}" → "{diff.name.after}"</div>
+      )}
+      {diff.description && (
+        <div className="text-yellow-300">Description changed</div>
+      )}
+      {diff.nodes.added.map(node => (
+        <div key={`added-${node.id}`} className="text-green-400">+ Node {node.id} ({node.type})</div>
+      ))}
+      {diff.nodes.removed.map(node => (
+        <div key={`removed-${node.id}`} className="text-red-400">− Node {node.id} ({node.type})</div>
+      ))}
+      {diff.nodes.changed.map(node => (
+        <div key={`changed-${node.id}`} className="bg-slate-800/60 rounded-lg p-3">
+          <div className="text-yellow-300 font-semibold">~ Node {node.id}</div>
+          {node.fields.map(change => (
+            <div key={change.field} className="mt-1 font-mono text-xs">
+              <span className="text-white/70">{change.field}:</span>
+              <div className="text-red-300 whitespace-pre-wrap">− {formatValue(change.before)}</div>
+              <div className="text-green-300 whitespace-pre-wrap">+ {formatValue(change.after)}</div>
+            </div>
+          ))}
+        </div>
+      ))}
+      {diff.edges.added.map(edge => (
+        <div key={`edge-added-${describeEdge(edge)}`} className="text-green-400">+ Edge {describeEdge(edge)}</div>
+      ))}
+      {diff.edges.removed.map(edge => (
+        <div key={`edge-removed-${describeEdge(edge)}`} className="text-red-400">− Edge {describeEdge(edge)}</div>
+      ))}
+      {diff.edges.rewired.map(change => (
+        <div key={`rewired-${describeEdge(change.after)}`} className="text-yellow-300">
+          ⇄ {change.after.targetHandle || change.after.target} now fed by {change.after.sourceHandle || change.after.source}
+          {' '}(was {change.before.sourceHandle || change.before.source})
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const WorkflowLibrary = ({ isOpen, onClose }) => {
+  const { nodes, edges, loadWorkflow, savedWorkflow, setSavedWorkflow } = useStore();
+  const [tab, setTab] = useState('workflows');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [workflows, setWorkflows] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [message, setMessage] = useState('');
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [secrets, setSecrets] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [scheduleForm, setScheduleForm] = useState({ cron: '', description: '', inputs: {} });
+  const importInputRef = useRef(null);
+
+  const refreshList = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await listWorkflows({ page, pageSize: PAGE_SIZE, search });
+      setWorkflows(result.workflows);
+      setPagination(result.pagination);
+    } catch (err) {
+      toast.error(`Could not load workflows: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, search]);
+
+  const refreshVersions = useCallback(async () => {
+    if (!savedWorkflow) return;
+    try {
+      setVersions(await listVersions(savedWorkflow.id));
+    } catch (err) {
+      toast.error(`Could not load history: ${err.message}`);
+    }
+  }, [savedWorkflow]);
+
+  useEffect(() => {
+    if (isOpen && tab === 'workflows') refreshList();
+  }, [isOpen, tab, refreshList]);
+
+  useEffect(() => {
+    if (isOpen && tab === 'history') refreshVersions();
+  }, [isOpen, tab, refreshVersions]);
+
+  const refreshSchedules = useCallback(async () => {
+    if (!savedWorkflow) return;
+    try {
+      setSchedules(await listSchedules(savedWorkflow.id));
+    } catch (err) {
+      toast.error(`Could not load schedules: ${err.message}`);
+    }
+  }, [savedWorkflow]);
+
+  useEffect(() => {
+    if (isOpen && tab === 'schedules') refreshSchedules();
+  }, [isOpen, tab, refreshSchedules]);
+
+  // Pre-fill the save form from the workflow on the canvas
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(savedWorkflow?.name || '');
+    setDescription(savedWorkflow?.description || '');
+    setMessage('');
+    setCompare([]);
+    setDiff(null);
+  }, [isOpen, savedWorkflow]);
+
+  const handleConflict = (err) => {
+    if (err.status === 409) {
+      toast.error('Someone else saved this workflow in the meantime. Load it again before saving.');
+    } else {
+      toast.error(err.message);
+    }
+  };
+
+  const handleSave = async (asNew) => {
+    if (!name.trim()) {
+      toast.warning('Please give the workflow a name');
+      return;
+    }
+    if (nodes.length === 0) {
+      toast.warning('Please add some nodes to your pipeline first!');
+      return;
+    }
+
+    // Saved workflows are shared with everyone in the workspace
+    const sharedNodes = serializeNodes(nodes);
+    const credentials = findCredentials(sharedNodes);
+    if (credentials.length > 0 && !window.confirm(
+      `These fields look like they contain a credential: ${credentials.map(({ nodeId, field }) => `${nodeId}.${field}`).join(', ')}.\n\nEveryone in your workspace can see saved workflows. Save anyway?`
+    )) return;
+
+    const fields = { name, description, nodes: sharedNodes, edges, message };
+
+    try {
+      // A copy keeps the test cases of the workflow it was made from
+      const workflow = savedWorkflow && !asNew
+        ? await updateWorkflow(savedWorkflow.id, { ...fields, updatedAt: savedWorkflow.updatedAt })
+        : await createWorkflow({ ...fields, tests: savedWorkflow?.tests || [] });
+      setSavedWorkflow(workflow);
+      setMessage('');
+      toast.success(`Saved "${workflow.name}" (v${workflow.version})`);
+      refreshList();
+    } catch (err) {
+      handleConflict(err);
+    }
+  };
+
+  const handleLoad = async (id) => {
+    try {
+      const workflow = await getWorkflow(id);
+      loadWorkflow(workflow.nodes, workflow.edges);
+      setSavedWorkflow(workflow);
+      toast.success(`Loaded "${workflow.name}"`);
+      onClose();
+    } catch (err) {
+      toast.error(`Could not load workflow: ${err.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    if (nodes.length === 0) {
+      toast.warning('Please add some nodes to your pipeline first!');
+      return;
+    }
+    if (exportWorkflow(name.trim() || 'workflow', nodes, edges)) {
+      toast.success('Workflow exported. API keys were left out.');
+    }
+  };
+
+  const finishImport = (workflow, importedNodes) => {
+    loadWorkflow(importedNodes, workflow.edges);
+    setSavedWorkflow(null);
+    setPendingImport(null);
+    toast.success(`Imported "${workflow.name || 'workflow'}"`);
+    onClose();
+  };
+
+  // Exported files have placeholders instead of API keys; ask for them first
+  const handleImportFile = async (file) => {
+    if (!file) return;
+    try {
+      const workflow = await importWorkflow(file);
+      if (workflow.placeholders.length === 0) {
+        finishImport(workflow, workflow.nodes);
+        return;
+      }
+      setPendingImport({ workflow, values: {} });
+      listSecrets().then(setSecrets).catch(() => setSecrets([]));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      importInputRef.current.value = '';
+    }
+  };
+
+  const handleDelete = async (workflow) => {
+    if (!window.confirm(`Delete "${workflow.name}" and its version history?`)) return;
+    try {
+      await deleteWorkflow(workflow.id, workflow.updatedAt);
+      if (savedWorkflow?.id === workflow.id) setSavedWorkflow(null);
+      toast.success(`Deleted "${workflow.name}"`);
+      refreshList();
+    } catch (err) {
+      handleConflict(err);
+    }
+  };
+
+  const toggleCompare = (version) => {
+    setDiff(null);
+    setCompare(selected => (
+      selected.includes(version)
+        ? selected.filter(v => v !== version)
+        : [...selected, version].slice(-2)
+    ));
+  };
+
+  const handleCompare = async () => {
+    const [from, to] = [...compare].sort((a, b) => a - b);
+    try {
+      setDiff(await diffVersions(savedWorkflow.id, from, to));
+    } catch (err) {
+      toast.error(`Could not compare versions: ${err.message}`);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? It will be saved as a new version and loaded on the canvas.`)) return;
+    try {
+      const workflow = await restoreVersion(savedWorkflow.id, version, {
+        updatedAt: savedWorkflow.updatedAt
+      });
+      loadWorkflow(workflow.nodes, workflow.edges);
+      setSavedWorkflow(workflow);
+      toast.success(`Restored version ${version} as v${workflow.version}`);
+      refreshVersions();
+    } catch (err) {
+      handleConflict(err);
+    }
+  };
+
+  const handleAddSchedule = async () => {
+    if (!scheduleForm.cron.trim()) {
+      toast.warning('Please enter a cron expression');
+      return;
+    }
+    const inputs = Object.fromEntries(
+      inputNames(savedWorkflow).map(inputName => [inputName, scheduleForm.inputs[inputName] || ''])
+    );
+    try {
+      const schedule = await createSchedule(savedWorkflow.id, { ...scheduleForm, inputs });
+      setScheduleForm({ cron: '', description: '', inputs: {} });
+      toast.success(`Scheduled. Next run ${formatDate(schedule.nextRunAt)}`);
+      refreshSchedules();
+    } catch (err) {
+      toast.error(`Could not add schedule: ${err.message}`);
+    }
+  };
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (!window.confirm(`Remove the schedule "${schedule.description || schedule.cron}"?`)) return;
+    try {
+      await deleteSchedule(savedWorkflow.id, schedule.id);
+      refreshSchedules();
+    } catch (err) {
+      toast.error(`Could not remove schedule: ${err.message}`);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = 'w-full bg-slate-700 text-white rounded-lg p-2 text-sm border border-slate-600';
+  const tabClass = (active) => `px-4 py-2 rounded-lg text-sm font-semibold ${
+    active ? 'bg-purple-600 text-white' : 'bg-slate-700 text-white/70 hover:bg-slate-600'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-50 p-8"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.8, opacity: 0, y: 50 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.8, opacity: 0, y: 50 }}
+        transition={{ type: "spring", duration: 0.6 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 rounded-3xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-hidden border-2 border-purple-500/30"
+      >
+        {/* Header */}
+        <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 px-8 py-6 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <div className="text-3xl">📚</div>
+            <div>
+              <h2 className="text-2xl font-bold text-white">Workflow Library</h2>
+              <p className="text-white/70 text-sm mt-1">
+                {savedWorkflow ? `Editing "${savedWorkflow.name}" (v${savedWorkflow.version})` : 'Share workflows with your team'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-white hover:bg-white/20 rounded-lg p-2 transition-all transform hover:scale-110 hover:rotate-90"
+          >
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)]">
+          <div className="flex gap-2 mb-6">
+            <button className={tabClass(tab === 'workflows')} onClick={() => setTab('workflows')}>
+              Workflows
+            </button>
+            <button
+              className={`${tabClass(tab === 'history')} disabled:opacity-50`}
+              onClick={() => setTab('history')}
+              disabled={!savedWorkflow}
+              title={savedWorkflow ? '' : 'Save or load a workflow to see its history'}
+            >
+              Version History
+            </button>
+            <button
+              className={`${tabClass(tab === 'schedules')} disabled:opacity-50`}
+              onClick={() => setTab('schedules')}
+              disabled={!savedWorkflow}
+              title={savedWorkflow ? '' : 'Save or load a workflow to schedule it'}
+            >
+              Schedules
+            </button>
+            <button
+              className={`${tabClass(tab === 'tests')} disabled:opacity-50`}
+              onClick={() => setTab('tests')}
+              disabled={!savedWorkflow}
+              title={savedWorkflow ? '' : 'Save or load a workflow to test it'}
+            >
+              Tests
+            </button>
+          </div>
+
+          {tab === 'workflows' && pendingImport && (
+            <div className="bg-slate-800/50 border border-yellow-500/40 rounded-lg p-4 mb-6 space-y-3">
+              <div className="text-white font-semibold">🔑 "{pendingImport.workflow.name || 'Imported workflow'}" needs credentials</div>
+              <div className="text-white/60 text-sm">
+                API keys are not included in exported files. Choose a stored key for each field, or leave it empty to use the server's key.
+              </div>
+              {pendingImport.workflow.placeholders.map(({ nodeId, field }) => {
+                const key = `${nodeId}.${field}`;
+                return (
+                  <div key={key} className="flex items-center justify-between gap-3">
+                    <span className="text-white/80 text-sm font-mono">{key}</span>
+                    <select
+                      className="bg-slate-700 text-white/80 text-sm rounded-lg px-2 py-1 border border-slate-600"
+                      value={pendingImport.values[key] || ''}
+                      onChange={(e) => setPendingImport(current => ({
+                        ...current,
+                        values: { ...current.values, [key]: e.target.value }
+                      }))}
+                    >
+                      <option value="">Leave empty</option>
+                      {secrets.map(secret => (
+                        <option key={secret.name} value={secret.reference}>{secret.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                );
+              })}
+              <div className="flex gap-2">
+                <button
+                  onClick={() => finishImport(
+                    pendingImport.workflow,
+                    fillPlaceholders(pendingImport.workflow.nodes, pendingImport.values)
+                  )}
+                  className="px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                >
+                  Import
+                </button>
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="px-4 py-2 rounded-lg font-semibold text-white bg-slate-600 hover:bg-slate-500"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {tab === 'workflows' && (
+            <>
+              {/* Save the canvas */}
+              <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-6 space-y-3">
+                <div className="text-white font-semibold">💾 Save current canvas</div>
+                <input className={inputClass} placeholder="Name" value={name} onChange={(e) => setName(e.target.value)} />
+                <input className={inputClass} placeholder="Description" value={description} onChange={(e) => setDescription(e.target.value)} />
+                <input className={inputClass} placeholder="What changed?" value={message} onChange={(e) => setMessage(e.target.value)} />
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleSave(false)}
+                    className="px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                  >
+                    {savedWorkflow ? `Save as v${savedWorkflow.version + 1}` : 'Save'}
+                  </button>
+                  {savedWorkflow && (
+                    <button
+                      onClick={() => handleSave(true)}
+                      className="px-4 py-2 rounded-lg font-semibold text-white bg-slate-600 hover:bg-slate-500"
+                    >
+                      Save as new workflow
+                    </button>
+                  )}
+                  <button
+                    onClick={handleExport}
+                    className="ml-auto px-4 py-2 rounded-lg font-semibold text-white bg-slate-600 hover:bg-slate-500"
+                  >
+                    ⬇️ Export
+                  </button>
+                  <button
+                    onClick={() => importInputRef.current.click()}
+                    className="px-4 py-2 rounded-lg font-semibold text-white bg-slate-600 hover:bg-slate-500"
+                  >
+                    ⬆️ Import
+                  </button>
+                  <input
+                    ref={importInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    style={{ display: 'none' }}
+                    onChange={(e) => handleImportFile(e.target.files[0])}
+                  />
+                </div>
+              </div>
+
+              {/* Saved workflows */}
+              <input
+                className={`${inputClass} mb-4`}
+                placeholder="🔍 Search by name or description"
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setPage(1);
+                }}
+              />
+              {isLoading && <div className="text-white/60 text-sm mb-2">Loading...</div>}
+              {!isLoading && workflows.length === 0 && (
+                <div className="text-white/60 text-sm">No saved workflows yet.</div>
+              )}
+              <div className="space-y-2">
+                {workflows.map(workflow => (
+                  <div
+                    key={workflow.id}
+                    className={`flex items-center justify-between rounded-lg p-3 border ${
+                      savedWorkflow?.id === workflow.id ? 'border-purple-400 bg-purple-500/10' : 'border-slate-700 bg-slate-800/50'
+                    }`}
+                  >
+                    <div>
+                      <div className="text-white font-semibold">{workflow.name} <span className="text-white/40 text-xs">v{workflow.version || 1}</span></div>
+                      {workflow.description && <div className="text-white/60 text-sm">{workflow.description}</div>}
+                      <div className="text-white/40 text-xs">
+                        {workflow.nodeCount} nodes · updated {formatDate(workflow.updatedAt)}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button onClick={() => handleLoad(workflow.id)} className="px-3 py-1 rounded-lg text-sm text-white bg-blue-600 hover:bg-blue-700">
+                        Load
+                      </button>
+                      <button onClick={() => handleDelete(workflow)} className="px-3 py-1 rounded-lg text-sm text-white bg-red-600/80 hover:bg-red-700">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {pagination && pagination.totalPages > 1 && (
+                <div className="flex items-center justify-center gap-4 mt-4 text-white/70 text-sm">
+                  <button disabled={page <= 1} onClick={() => setPage(p => p - 1)} className="disabled:opacity-40">◀ Previous</button>
+                  <span>Page {pagination.page} of {pagination.totalPages}</span>
+                  <button disabled={page >= pagination.totalPages} onClick={() => setPage(p => p + 1)} className="disabled:opacity-40">Next ▶</button>
+                </div>
+              )}
+            </>
+          )}
+
+          {tab === 'history' && savedWorkflow && (
+            <>
+              <div className="flex items-center justify-between mb-4">
+                <div className="text-white/70 text-sm">Select two versions to compare them.</div>
+                <button
+                  onClick={handleCompare}
+                  disabled={compare.length !== 2}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-purple-600 hover:bg-purple-700 disabled:opacity-40"
+                >
+                  Compare{compare.length === 2 ? ` v${Math.min(...compare)} ↔ v${Math.max(...compare)}` : ''}
+                </button>
+              </div>
+
+              {diff && (
+                <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-4">
+                  <div className="text-white font-semibold mb-2">Changes from v{diff.from} to v{diff.to}</div>
+                  <VersionDiff diff={diff} />
+                </div>
+              )}
+
+              <div className="space-y-2">
+                {versions.map(version => (
+                  <div key={version.version} className="flex items-center justify-between rounded-lg p-3 border border-slate-700 bg-slate-800/50">
+                    <label className="flex items-start gap-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={compare.includes(version.version)}
+                        onChange={() => toggleCompare(version.version)}
+                      />
+                      <div>
+                        <div className="text-white font-semibold">
+                          v{version.version}
+                          {version.version === savedWorkflow.version && <span className="text-green-400 text-xs ml-2">current</span>}
+                        </div>
+                        <div className="text-white/70 text-sm">{version.message || 'No message'}</div>
+                        <div className="text-white/40 text-xs">{version.author} · {formatDate(version.createdAt)}</div>
+                      </div>
+                    </label>
+                    {version.version !== savedWorkflow.version && (
+                      <button
+                        onClick={() => handleRestore(version.version)}
+                        className="px-3 py-1 rounded-lg text-sm text-white bg-slate-600 hover:bg-slate-500"
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {tab === 'schedules' && savedWorkflow && (
+            <>
+              {/* Add a schedule */}
+              <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-6 space-y-3">
+                <div className="text-white font-semibold">⏰ Run "{savedWorkflow.name}" on a schedule</div>
+                <div className="text-white/60 text-sm">
+                  Runs the saved version (v{savedWorkflow.version}) with the inputs below. Times are in UTC,
+                  e.g. <span className="font-mono">0 8 * * 1-5</span> for 08:00 on weekdays or <span className="font-mono">@daily</span>.
+                </div>
+                <input
+                  className={`${inputClass} font-mono`}
+                  placeholder="Cron expression (minute hour day month weekday)"
+                  value={scheduleForm.cron}
+                  onChange={(e) => setScheduleForm(form => ({ ...form, cron: e.target.value }))}
+                />
+                <input
+                  className={inputClass}
+                  placeholder="Description"
+                  value={scheduleForm.description}
+                  onChange={(e) => setScheduleForm(form => ({ ...form, description: e.target.value }))}
+                />
+                {inputNames(savedWorkflow).map(inputName => (
+                  <input
+                    key={inputName}
+                    className={inputClass}
+                    placeholder={`Value for ${inputName}`}
+                    value={scheduleForm.inputs[inputName] || ''}
+                    onChange={(e) => setScheduleForm(form => ({
+                      ...form,
+                      inputs: { ...form.inputs, [inputName]: e.target.value }
+                    }))}
+                  />
+                ))}
+                <button
+                  onClick={handleAddSchedule}
+                  className="px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+                >
+                  Add schedule
+                </button>
+              </div>
+
+              {schedules.length === 0 && (
+                <div className="text-white/60 text-sm">This workflow has no schedules.</div>
+              )}
+              <div className="space-y-2">
+                {schedules.map(schedule => (
+                  <div key={schedule.id} className="flex items-center justify-between rounded-lg p-3 border border-slate-700 bg-slate-800/50">
+                    <div>
+                      <div className="text-white font-semibold">
+                        <span className="font-mono">{schedule.cron}</span>
+                        {schedule.description && <span className="text-white/70 font-normal ml-2">{schedule.description}</span>}
+                      </div>
+                      {Object.keys(schedule.inputs).length > 0 && (
+                        <div className="text-white/60 text-sm font-mono">
+                          {Object.entries(schedule.inputs).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(' ')}
+                        </div>
+                      )}
+                      <div className="text-white/40 text-xs">
+                        Next run {formatDate(schedule.nextRunAt)}
+                        {schedule.lastRunAt && ` · last run ${formatDate(schedule.lastRunAt)}`}
+                        {` · by ${schedule.createdBy}`}
+                      </div>
+                      {schedule.lastError && (
+                        <div className="text-red-400 text-xs">Last run skipped: {schedule.lastError}</div>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => handleDeleteSchedule(schedule)}
+                      className="px-3 py-1 rounded-lg text-sm text-white bg-red-600/80 hover:bg-red-700"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {tab === 'tests' && savedWorkflow && (
+            <WorkflowTests
+              key={savedWorkflow.id}
+              workflow={savedWorkflow}
+              onSaved={setSavedWorkflow}
+              onConflict={handleConflict}
+            />
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
@@ -1,111 +1,246 @@
 // src/components/WorkflowPopup.js
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import { getInputsKey, getRecentInputs, saveRecentInputs } from '../utils/workflowPersistence';
+import { getApiBaseUrl, readEventStream, authHeaders, handleUnauthorized } from '../utils/apiClient';
+import { buildNodeStates } from '../utils/runState';
+import { cancelRun } from '../utils/runApi';
+import { analyzePipeline } from '../utils/pipelineApi';
+import { useStore } from '../state/store';
 
-// Enhanced API call with retry logic for Render backend
-const callWorkflowAPI = async (workflowData, maxRetries = 3) => {
-  // Use environment variable with fallback for different environments
-  const baseUrl = process.env.REACT_APP_API_URL || 
-                  (process.env.NODE_ENV === 'production' 
-                    ? 'https://whitewhaleai-backend-1.onrender.com' 
-                    : 'http://localhost:8000');
-  const apiUrl = `${baseUrl}/run-workflow`;
-  
-  console.log('Using API base URL:', baseUrl);
-  console.log('Environment:', process.env.NODE_ENV);
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`Attempt ${attempt}/${maxRetries}: Calling ${apiUrl}`);
-      
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(workflowData),
-        // Add timeout
-        signal: AbortSignal.timeout(30000) // 30 seconds
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Server error (${response.status}): ${errorText}`);
-      }
+// Streaming API call - reports node progress and LLM tokens through onEvent.
+// Aborting signal closes the stream, which also stops the run on the server.
+const streamWorkflowAPI = async (workflowData, onEvent, signal) => {
+  const response = await fetch(`${getApiBaseUrl()}/run-workflow/stream`, {
+    method: 'POST',
+    headers: authHeaders({
+      'Content-Type': 'application/json',
+    }),
+    body: JSON.stringify(workflowData),
+    signal
+  });
+  handleUnauthorized(response);
 
-      const result = await response.json();
-      
-      if (result.error) {
-        throw new Error(result.error);
-      }
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Server error (${response.status}): ${errorText}`);
+  }
 
-      return result;
-      
-    } catch (err) {
-      console.error(`Attempt ${attempt} failed:`, err);
-      
-      // If it's the last attempt, throw the error
-      if (attempt === maxRetries) {
-        throw err;
-      }
-      
-      // Wait before retrying (exponential backoff)
-      const waitTime = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-      console.log(`Retrying in ${waitTime}ms...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  let result = null;
+  let runError = null;
+
+  await readEventStream(response, (event, data) => {
+    if (event === 'run:complete') {
+      result = data;
+    } else if (event === 'run:error') {
+      runError = data;
     }
+    onEvent(event, data);
+  });
+
+  if (runError) {
+    const error = new Error(runError.error);
+    error.cancelled = !!runError.cancelled;
+    throw error;
+  }
+  if (!result) {
+    throw new Error('Workflow stream ended before the run finished');
   }
+
+  return result;
 };
 
 export const WorkflowPopup = ({ isOpen, onClose, nodes, edges }) => {
   const [isRunning, setIsRunning] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [cancelled, setCancelled] = useState(false);
+  const runControllerRef = useRef(null);
+  const runIdRef = useRef(null);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [outputs, setOutputs] = useState({});
-  const [inputs] = useState({});
+  const [inputs, setInputs] = useState({});
+  const [fileNames, setFileNames] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [diagnostics, setDiagnostics] = useState([]);
+  const currentRun = useStore((state) => state.currentRun);
+  const startRun = useStore((state) => state.startRun);
+  const recordRunEvent = useStore((state) => state.recordRunEvent);
+  const finishRun = useStore((state) => state.finishRun);
+  const savedWorkflow = useStore((state) => state.savedWorkflow);
+  const nodeProgress = useMemo(
+    () => buildNodeStates(currentRun?.events || []),
+    [currentRun]
+  );
+
+  // One form field per Input node, named and typed as on the canvas
+  const inputFields = useMemo(() => nodes
+    .filter(node => node.type === 'customInput')
+    .map(node => ({
+      id: node.id,
+      name: node.data?.inputName || node.id.replace('customInput-', 'input_'),
+      type: node.data?.inputType || 'Text',
+      required: node.data?.required !== false
+    })), [nodes]);
+
+  const workflowKey = useMemo(() => getInputsKey(nodes), [nodes]);
+  const [recentInputs, setRecentInputs] = useState([]);
+
+  // Read through a ref so that editing the canvas (which rebuilds the fields)
+  // does not count as a new workflow and wipe what has been typed
+  const inputFieldsRef = useRef(inputFields);
+  inputFieldsRef.current = inputFields;
+
+  // Recent values are stored by input name, the form is keyed by node id
+  const valuesFromRecent = useCallback((recent) => {
+    const values = {};
+    inputFieldsRef.current.forEach(field => {
+      if (field.type === 'Text' && recent[field.name] !== undefined) {
+        values[field.id] = recent[field.name];
+      }
+    });
+    return values;
+  }, []);
+
+  // Pre-fill the form with the last values used for this workflow, only when
+  // the popup opens or the workflow's inputs change
+  useEffect(() => {
+    if (!isOpen) return;
+    const recent = getRecentInputs(workflowKey);
+    setRecentInputs(recent);
+    setFieldErrors({});
+    setFileNames({});
+    setInputs(recent.length > 0 ? valuesFromRecent(recent[0]) : {});
+  }, [isOpen, workflowKey, valuesFromRecent]);
+
+  // Check the graph before a run is spent on it; the run itself still
+  // reports errors if the check is unavailable
+  useEffect(() => {
+    if (!isOpen) return;
+    let active = true;
+    setDiagnostics([]);
+    analyzePipeline(nodes, edges)
+      .then(result => active && setDiagnostics(result.diagnostics || []))
+      .catch(err => console.warn('Could not check the workflow:', err));
+    return () => { active = false; };
+  }, [isOpen, nodes, edges]);
+
+  const handleInputChange = (fieldId, value) => {
+    setInputs(prev => ({ ...prev, [fieldId]: value }));
+    setFieldErrors(prev => ({ ...prev, [fieldId]: null }));
+  };
+
+  const handleFileChange = (fieldId, file) => {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      handleInputChange(fieldId, e.target.result);
+      setFileNames(prev => ({ ...prev, [fieldId]: file.name }));
+    };
+    reader.onerror = () => {
+      setFieldErrors(prev => ({ ...prev, [fieldId]: 'Failed to read file' }));
+    };
+    reader.readAsText(file);
+  };
+
+  const validateInputs = () => {
+    const errors = {};
+    inputFields.forEach(field => {
+      const value = inputs[field.id];
+      if (field.required && (value === undefined || String(value).trim() === '')) {
+        errors[field.id] = field.type === 'File' ? 'Please choose a file' : 'This field is required';
+      }
+    });
+    setFieldErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
 
   const handleRun = async () => {
+    if (!validateInputs()) {
+      setError('Please fill in all required inputs.');
+      return;
+    }
+
+    // Remember text values (files are too large to keep around)
+    const recentValues = {};
+    inputFields.forEach(field => {
+      if (field.type === 'Text' && inputs[field.id] !== undefined) {
+        recentValues[field.name] = inputs[field.id];
+      }
+    });
+    saveRecentInputs(workflowKey, recentValues);
+    setRecentInputs(getRecentInputs(workflowKey));
+
+    const controller = new AbortController();
+    runControllerRef.current = controller;
+    runIdRef.current = null;
+
     setIsRunning(true);
+    setCancelled(false);
     setError(null);
     setSuccess(false);
     setOutputs({});
+    startRun();
 
     try {
-      const llmNodes = nodes.filter(node => node.type === 'llm');
+      // Each LLM node carries its own model, prompts and key in node.data
       const workflowData = {
         nodes: nodes,
         edges: edges,
         inputs: inputs,
-        llmConfig: llmNodes.length > 0 ? {
-          model: llmNodes[0].data?.model || 'gemini-2.0-flash-exp',
-          system: llmNodes[0].data?.system || '',
-          prompt: llmNodes[0].data?.prompt || '',
-          apiKey: llmNodes[0].data?.apiKey || ''
-        } : null
+        workflowId: savedWorkflow?.id || null
       };
 
-      const result = await callWorkflowAPI(workflowData);
+      // Events go to the store so the Execution Visualizer can show the run
+      const result = await streamWorkflowAPI(workflowData, (event, data) => {
+        if (event === 'run:start') runIdRef.current = data.runId;
+        recordRunEvent(event, data);
+      }, controller.signal);
       
       setOutputs(result.outputs || {});
       setSuccess(true);
+      finishRun('completed');
 
     } catch (err) {
+      if (err.cancelled || controller.signal.aborted) {
+        recordRunEvent('run:cancelled', {});
+        finishRun('cancelled');
+        setCancelled(true);
+        return;
+      }
+
       console.error('Workflow execution error:', err);
       
       let errorMessage = 'Failed to run workflow';
       
       if (err.name === 'TypeError' && err.message.includes('fetch')) {
         errorMessage = 'Cannot connect to backend server. The server may be starting up (this can take 30-60 seconds on Render free tier). Please try again in a moment.';
-      } else if (err.name === 'AbortError') {
-        errorMessage = 'Request timed out. The server may be slow to respond.';
       } else if (err.message) {
         errorMessage = err.message;
       }
       
       setError(errorMessage);
+      finishRun('failed', errorMessage);
     } finally {
+      runControllerRef.current = null;
       setIsRunning(false);
+      setIsCancelling(false);
+    }
+  };
+
+  // Tell the backend to stop (so the LLM call in flight is aborted even if a
+  // proxy keeps the stream open), then drop the stream
+  const handleCancel = async () => {
+    setIsCancelling(true);
+    if (runIdRef.current) {
+      try {
+        await cancelRun(runIdRef.current);
+      } catch (err) {
+        console.warn('Could not cancel run on the server:', err);
+      }
     }
+    runControllerRef.current?.abort();
   };
 
   if (!isOpen) return null;
@@ -146,7 +281,86 @@ export const WorkflowPopup = ({ isOpen, onClose, nodes, edges }) => {
         </div>
 
         {/* Content */}
-        <div className="p-8">
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)]">
+          {/* Static checks */}
+          {diagnostics.length > 0 && (
+            <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-4 mb-6 space-y-1">
+              <div className="text-yellow-300 font-semibold">🩺 Checks</div>
+              {diagnostics.map((diagnostic, index) => (
+                <div
+                  key={index}
+                  className={`text-sm ${diagnostic.severity === 'error' ? 'text-red-300' : 'text-yellow-200/80'}`}
+                >
+                  {diagnostic.severity === 'error' ? '❌' : '⚠️'} {diagnostic.message}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Inputs */}
+          {inputFields.length > 0 && (
+            <div className="mb-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <div className="text-white font-semibold">📥 Inputs</div>
+                {recentInputs.length > 0 && (
+                  <select
+                    className="bg-slate-700 text-white/80 text-sm rounded-lg px-2 py-1 border border-slate-600"
+                    value=""
+                    onChange={(e) => {
+                      const recent = recentInputs[Number(e.target.value)];
+                      if (recent) {
+                        setInputs(prev => ({ ...prev, ...valuesFromRecent(recent) }));
+                        setFieldErrors({});
+                      }
+                    }}
+                  >
+                    <option value="">🕘 Recent values...</option>
+                    {recentInputs.map((recent, index) => (
+                      <option key={index} value={index}>
+                        {Object.values(recent).join(' · ').slice(0, 60) || '(empty)'}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              {inputFields.map(field => (
+                <div key={field.id}>
+                  <label className="block text-white/80 text-sm mb-1">
+                    {field.name}
+                    {field.required && <span className="text-red-400"> *</span>}
+                    <span className="text-white/40 text-xs ml-2">{field.type}</span>
+                  </label>
+                  {field.type === 'File' ? (
+                    <div>
+                      <input
+                        type="file"
+                        onChange={(e) => handleFileChange(field.id, e.target.files[0])}
+                        className="text-white/80 text-sm"
+                      />
+                      {fileNames[field.id] && (
+                        <div className="text-white/50 text-xs mt-1">{fileNames[field.id]}</div>
+                      )}
+                    </div>
+                  ) : (
+                    <textarea
+                      value={inputs[field.id] || ''}
+                      onChange={(e) => handleInputChange(field.id, e.target.value)}
+                      placeholder={`Enter ${field.name}...`}
+                      rows={2}
+                      className={`w-full bg-slate-700 text-white rounded-lg p-2 text-sm border ${
+                        fieldErrors[field.id] ? 'border-red-500' : 'border-slate-600'
+                      }`}
+                    />
+                  )}
+                  {fieldErrors[field.id] && (
+                    <div className="text-red-400 text-xs mt-1">{fieldErrors[field.id]}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className="text-center mb-6">
             <button
               onClick={handleRun}
@@ -159,6 +373,15 @@ export const WorkflowPopup = ({ isOpen, onClose, nodes, edges }) => {
             >
               {isRunning ? '🔄 Running...' : '▶️ Run Workflow'}
             </button>
+            {isRunning && (
+              <button
+                onClick={handleCancel}
+                disabled={isCancelling}
+                className="ml-3 px-8 py-3 rounded-lg font-semibold text-white transition-all bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isCancelling ? 'Cancelling...' : '⏹️ Cancel'}
+              </button>
+            )}
           </div>
 
           {error && (
@@ -168,6 +391,44 @@ export const WorkflowPopup = ({ isOpen, onClose, nodes, edges }) => {
             </div>
           )}
 
+          {Object.keys(nodeProgress).length > 0 && (
+            <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-4 space-y-2">
+              <div className="text-white font-semibold">⚡ Progress</div>
+              {Object.entries(nodeProgress).map(([nodeId, progress]) => (
+                <div key={nodeId} className="text-sm">
+                  <div className="flex items-center justify-between text-white/80">
+                    <span className="font-mono">{nodeId}</span>
+                    <span>
+                      {{
+                        running: '🔄 Running',
+                        completed: '✅ Done',
+                        failed: '❌ Failed',
+                        skipped: '⏭️ Skipped',
+                        cancelled: '⏹️ Cancelled'
+                      }[progress.status]}
+                      {progress.durationMs !== undefined && ` · ${progress.durationMs}ms`}
+                    </span>
+                  </div>
+                  {progress.text && progress.status === 'running' && (
+                    <pre className="text-white/60 text-xs whitespace-pre-wrap mt-1 max-h-32 overflow-y-auto">
+                      {progress.text}
+                    </pre>
+                  )}
+                  {progress.error && (
+                    <div className="text-red-300 text-xs mt-1">{progress.error}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {cancelled && (
+            <div className="bg-orange-500/10 border border-orange-500/20 rounded-lg p-4 mb-4">
+              <div className="text-orange-400 font-semibold">⏹️ Cancelled</div>
+              <div className="text-orange-300 text-sm mt-1">The run was stopped. Nodes that had not finished were skipped.</div>
+            </div>
+          )}
+
           {success && (
             <div className="bg-green-500/10 border border-green-500/20 rounded-lg p-4 mb-4">
               <div className="text-green-400 font-semibold">✅ Success</div>
@@ -189,5 +450,5 @@ export const WorkflowPopup = ({ isOpen, onClose, nodes, edges }) => {
   );
 };
 
-// Export the API function for use in other components
-export { callWorkflowAPI };
+// Export the API functions for use in other components
+export { streamWorkflowAPI };
@@ -0,0 +1,330 @@
+// src/components/WorkflowTests.js
+// Test cases of a saved workflow - input values, recorded LLM responses and
+// assertions on named outputs. Cases are saved with the workflow (each change
+// is a new version) and run on the server with the mock provider.
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { updateWorkflow, runWorkflowTests } from '../utils/workflowApi';
+
+const ASSERTION_TYPES = [
+  { value: 'contains', label: 'contains' },
+  { value: 'equals', label: 'equals exactly' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'jsonSchema', label: 'matches JSON schema' },
+  { value: 'length', label: 'length between' }
+];
+
+const STATUS_ICONS = { passed: '✅', failed: '❌', error: '⚠️' };
+
+const inputNames = (workflow) => workflow.nodes
+  .filter(node => node.type === 'customInput')
+  .map(node => node.data?.inputName || node.id.replace('customInput-', 'input_'));
+const outputNames = (workflow) => workflow.nodes
+  .filter(node => node.type === 'customOutput')
+  .map(node => node.data?.outputName || node.id.replace('customOutput-', 'output_'));
+const llmNodeIds = (workflow) => workflow.nodes.filter(node => node.type === 'llm').map(node => node.id);
+
+const emptyAssertion = (workflow) => ({ output: outputNames(workflow)[0] || '', type: 'contains', value: '', min: '', max: '' });
+const emptyCase = (workflow) => ({ name: '', inputs: {}, responses: {}, assertions: [emptyAssertion(workflow)] });
+
+// Form fields (all strings) to the assertion the API expects
+function toAssertion({ output, type, value, min, max }) {
+  if (type === 'length') {
+    return {
+      output,
+      type,
+      ...(min !== '' ? { min: Number(min) } : {}),
+      ...(max !== '' ? { max: Number(max) } : {})
+    };
+  }
+  if (type === 'jsonSchema') {
+    try {
+      return { output, type, value: JSON.parse(value) };
+    } catch (err) {
+      throw new Error(`The JSON schema for "${output}" is not valid JSON`);
+    }
+  }
+  return { output, type, value };
+}
+
+// Saved assertion back to form fields
+function toForm({ output, type, value, min, max }) {
+  return {
+    output,
+    type,
+    value: type === 'jsonSchema' ? JSON.stringify(value, null, 2) : (value ?? ''),
+    min: min ?? '',
+    max: max ?? ''
+  };
+}
+
+export const WorkflowTests = ({ workflow, onSaved, onConflict }) => {
+  const [form, setForm] = useState(() => emptyCase(workflow));
+  const [editing, setEditing] = useState(null);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const tests = workflow.tests || [];
+
+  const inputClass = 'w-full bg-slate-700 text-white rounded-lg p-2 text-sm border border-slate-600';
+  const buttonClass = 'px-3 py-1 rounded-lg text-sm text-white';
+
+  const saveTests = async (nextTests, message) => {
+    try {
+      const saved = await updateWorkflow(workflow.id, { tests: nextTests, updatedAt: workflow.updatedAt, message });
+      onSaved(saved);
+      return true;
+    } catch (err) {
+      onConflict(err);
+      return false;
+    }
+  };
+
+  const updateAssertion = (index, changes) => setForm(current => ({
+    ...current,
+    assertions: current.assertions.map((assertion, i) => (i === index ? { ...assertion, ...changes } : assertion))
+  }));
+
+  const handleSaveCase = async () => {
+    const name = form.name.trim();
+    if (!name) {
+      toast.warning('Please give the test case a name');
+      return;
+    }
+    if (tests.some(test => test.name === name && test.name !== editing)) {
+      toast.warning(`There is already a test case named "${name}"`);
+      return;
+    }
+
+    let testCase;
+    try {
+      testCase = {
+        name,
+        inputs: Object.fromEntries(inputNames(workflow).map(inputName => [inputName, form.inputs[inputName] || ''])),
+        responses: Object.fromEntries(Object.entries(form.responses).filter(([, response]) => response !== '')),
+        assertions: form.assertions.map(toAssertion)
+      };
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    }
+
+    const nextTests = editing
+      ? tests.map(test => (test.name === editing ? testCase : test))
+      : [...tests, testCase];
+    if (await saveTests(nextTests, `${editing ? 'Updated' : 'Added'} test "${name}"`)) {
+      setForm(emptyCase(workflow));
+      setEditing(null);
+      toast.success(`Saved test "${name}"`);
+    }
+  };
+
+  const handleEdit = (test) => {
+    setEditing(test.name);
+    setForm({
+      name: test.name,
+      inputs: Object.fromEntries(Object.entries(test.inputs || {}).map(([key, value]) => [key, String(value)])),
+      responses: { ...test.responses },
+      assertions: test.assertions.map(toForm)
+    });
+  };
+
+  const handleDelete = async (test) => {
+    if (!window.confirm(`Delete the test case "${test.name}"?`)) return;
+    if (await saveTests(tests.filter(other => other.name !== test.name), `Removed test "${test.name}"`)) {
+      if (editing === test.name) {
+        setEditing(null);
+        setForm(emptyCase(workflow));
+      }
+    }
+  };
+
+  const handleRun = async (names) => {
+    setIsRunning(true);
+    try {
+      const result = await runWorkflowTests(workflow.id, { names });
+      setReport(result);
+      const summary = `${result.passed}/${result.total} passed`;
+      if (result.passed === result.total) toast.success(summary); else toast.error(summary);
+    } catch (err) {
+      toast.error(`Could not run tests: ${err.message}`);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const resultFor = (name) => report?.cases.find(result => result.name === name);
+
+  return (
+    <>
+      {/* Add or edit a test case */}
+      <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 mb-6 space-y-3">
+        <div className="text-white font-semibold">
+          🧪 {editing ? `Edit test "${editing}"` : `New test case for "${workflow.name}"`}
+        </div>
+        <div className="text-white/60 text-sm">
+          Tests run the saved version with the mock provider, which answers with the prompt it receives.
+          Record a response for an LLM node to test what follows it.
+        </div>
+        <input
+          className={inputClass}
+          placeholder="Test name"
+          value={form.name}
+          onChange={(e) => setForm(current => ({ ...current, name: e.target.value }))}
+        />
+        {inputNames(workflow).map(inputName => (
+          <input
+            key={inputName}
+            className={inputClass}
+            placeholder={`Value for ${inputName}`}
+            value={form.inputs[inputName] || ''}
+            onChange={(e) => setForm(current => ({ ...current, inputs: { ...current.inputs, [inputName]: e.target.value } }))}
+          />
+        ))}
+        {llmNodeIds(workflow).map(nodeId => (
+          <textarea
+            key={nodeId}
+            rows={2}
+            className={`${inputClass} font-mono`}
+            placeholder={`Recorded response for ${nodeId} (empty: mock provider)`}
+            value={form.responses[nodeId] || ''}
+            onChange={(e) => setForm(current => ({ ...current, responses: { ...current.responses, [nodeId]: e.target.value } }))}
+          />
+        ))}
+
+        <div className="text-white/80 text-sm font-semibold">Assertions</div>
+        {form.assertions.map((assertion, index) => (
+          <div key={index} className="flex items-start gap-2">
+            <select
+              className="bg-slate-700 text-white/80 text-sm rounded-lg px-2 py-2 border border-slate-600"
+              value={assertion.output}
+              onChange={(e) => updateAssertion(index, { output: e.target.value })}
+            >
+              {outputNames(workflow).map(outputName => <option key={outputName} value={outputName}>{outputName}</option>)}
+            </select>
+            <select
+              className="bg-slate-700 text-white/80 text-sm rounded-lg px-2 py-2 border border-slate-600"
+              value={assertion.type}
+              onChange={(e) => updateAssertion(index, { type: e.target.value })}
+            >
+              {ASSERTION_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+            {assertion.type === 'length' ? (
+              <>
+                <input type="number" min="0" className={inputClass} placeholder="Min" value={assertion.min}
+                  onChange={(e) => updateAssertion(index, { min: e.target.value })} />
+                <input type="number" min="0" className={inputClass} placeholder="Max" value={assertion.max}
+                  onChange={(e) => updateAssertion(index, { max: e.target.value })} />
+              </>
+            ) : assertion.type === 'jsonSchema' ? (
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono`}
+                placeholder='{"type": "object", "required": ["title"]}'
+                value={assertion.value}
+                onChange={(e) => updateAssertion(index, { value: e.target.value })}
+              />
+            ) : (
+              <input
+                className={`${inputClass} ${assertion.type === 'regex' ? 'font-mono' : ''}`}
+                placeholder={assertion.type === 'regex' ? '/pattern/flags' : 'Expected text'}
+                value={assertion.value}
+                onChange={(e) => updateAssertion(index, { value: e.target.value })}
+              />
+            )}
+            <button
+              onClick={() => setForm(current => ({ ...current, assertions: current.assertions.filter((_, i) => i !== index) }))}
+              disabled={form.assertions.length === 1}
+              className={`${buttonClass} bg-slate-600 hover:bg-slate-500 disabled:opacity-40`}
+              title="Remove assertion"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <button
+            onClick={() => setForm(current => ({ ...current, assertions: [...current.assertions, emptyAssertion(workflow)] }))}
+            className="px-4 py-2 rounded-lg font-semibold text-white bg-slate-600 hover:bg-slate-500"
+          >
+            + Assertion
+          </button>
+          <button
+            onClick={handleSaveCase}
+            className="px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+          >
+            {editing ? 'Save changes' : 'Add test case'}
+          </button>
+          {editing && (
+            <button
+              onClick={() => { setEditing(null); setForm(emptyCase(workflow)); }}
+              className="px-4 py-2 rounded-lg font-semibold text-white bg-slate-600 hover:bg-slate-500"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Saved test cases and their last results */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-white/70 text-sm">
+          {tests.length} test case{tests.length === 1 ? '' : 's'}
+          {report && ` · last run on v${report.version}: ${report.passed} passed, ${report.failed} failed, ${report.errors} errors`}
+        </div>
+        <button
+          onClick={() => handleRun()}
+          disabled={isRunning || tests.length === 0}
+          className="px-4 py-2 rounded-lg font-semibold text-white bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 disabled:opacity-50"
+        >
+          {isRunning ? 'Running...' : '▶ Run all'}
+        </button>
+      </div>
+      <div className="space-y-2">
+        {tests.map(test => {
+          const result = resultFor(test.name);
+          return (
+            <div key={test.name} className="rounded-lg p-3 border border-slate-700 bg-slate-800/50">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-white font-semibold">
+                    {result && `${STATUS_ICONS[result.status]} `}{test.name}
+                  </div>
+                  <div className="text-white/60 text-sm font-mono">
+                    {Object.entries(test.inputs || {}).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(' ')}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => handleRun([test.name])} disabled={isRunning} className={`${buttonClass} bg-green-600/80 hover:bg-green-700`}>
+                    Run
+                  </button>
+                  <button onClick={() => handleEdit(test)} className={`${buttonClass} bg-slate-600 hover:bg-slate-500`}>
+                    Edit
+                  </button>
+                  <button onClick={() => handleDelete(test)} className={`${buttonClass} bg-red-600/80 hover:bg-red-700`}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+              {result && (
+                <div className="mt-2 space-y-1 text-xs">
+                  {result.error && <div className="text-red-400">{result.error.message}</div>}
+                  {result.assertions.map((assertion, index) => (
+                    <div key={index} className={assertion.passed ? 'text-green-300' : 'text-red-300'}>
+                      {assertion.passed ? '✓' : '✗'} {assertion.output}: {assertion.message}
+                    </div>
+                  ))}
+                  {Object.entries(result.outputs).map(([outputName, value]) => (
+                    <div key={outputName} className="text-white/50 font-mono whitespace-pre-wrap">
+                      {outputName} = {String(value).slice(0, 500)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+};
@@ -1,5 +1,6 @@
 import {Handle, Position} from "reactflow";
 import {motion} from "framer-motion";
+import {useStore} from "../../state/store";
 
 export const BaseNode = ({
   id,
@@ -10,15 +11,17 @@ export const BaseNode = ({
   outputs = [],
   type,
 }) => {
+  const removeNode = useStore((state) => state.removeNode);
+
+  // Nodes restored from storage have no onRemove callback (it is not serializable)
   const handleRemove = (e) => {
     e.stopPropagation();
     e.preventDefault();
-    console.log("Remove clicked for node:", id, "data:", data);
 
     if (data && typeof data.onRemove === "function") {
       data.onRemove(id);
     } else {
-      console.error("onRemove is not available", {id, data});
+      removeNode(id);
     }
   };
 
@@ -1,8 +1,9 @@
 import {BaseNode} from "./BaseNode";
-import {useState} from "react";
+import {useStore} from "../../state/store";
 
 export const FilterNode = ({id, data}) => {
-  const [condition, setCondition] = useState(data?.condition || "");
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const condition = data?.condition || "";
 
   return (
     <BaseNode
@@ -16,7 +17,7 @@ export const FilterNode = ({id, data}) => {
         className="node-input"
         type="text"
         value={condition}
-        onChange={(e) => setCondition(e.target.value)}
+        onChange={(e) => updateNodeField(id, "condition", e.target.value)}
         placeholder="Enter filter condition"
       />
     </BaseNode>
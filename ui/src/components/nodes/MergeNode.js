@@ -1,8 +1,9 @@
 import {BaseNode} from "./BaseNode";
-import {useState} from "react";
+import {useStore} from "../../state/store";
 
 export const MergeNode = ({id, data}) => {
-  const [mergeType, setMergeType] = useState(data?.mergeType || "concat");
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const mergeType = data?.mergeType || "concat";
 
   return (
     <BaseNode
@@ -16,7 +17,7 @@ export const MergeNode = ({id, data}) => {
       <select
         className="node-select"
         value={mergeType}
-        onChange={(e) => setMergeType(e.target.value)}
+        onChange={(e) => updateNodeField(id, "mergeType", e.target.value)}
       >
         <option value="concat">Concatenate</option>
         <option value="join">Join</option>
@@ -1,14 +1,15 @@
 import {BaseNode} from "./BaseNode";
-import {useState, useEffect} from "react";
+import {useMemo} from "react";
+import {useStore} from "../../state/store";
 
 export const TemplateNode = ({id, data}) => {
-  const [template, setTemplate] = useState(data?.template || "");
-  const [variables, setVariables] = useState([]);
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const template = data?.template || "";
 
-  useEffect(() => {
+  const variables = useMemo(() => {
     const matches = template.match(/\{\{([^}]+)\}\}/g) || [];
     const vars = matches.map((match) => match.slice(2, -2).trim());
-    setVariables([...new Set(vars)]);
+    return [...new Set(vars)];
   }, [template]);
 
   return (
@@ -23,7 +24,7 @@ export const TemplateNode = ({id, data}) => {
       <textarea
         className="node-input"
         value={template}
-        onChange={(e) => setTemplate(e.target.value)}
+        onChange={(e) => updateNodeField(id, "template", e.target.value)}
         placeholder="Enter template with {{variables}}"
         style={{
           minHeight: "80px",
@@ -1,8 +1,9 @@
 import {BaseNode} from "./BaseNode";
-import {useState} from "react";
+import {useStore} from "../../state/store";
 
 export const TransformNode = ({id, data}) => {
-  const [transform, setTransform] = useState(data?.transform || "");
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const transform = data?.transform || "";
 
   return (
     <BaseNode
@@ -16,7 +17,7 @@ export const TransformNode = ({id, data}) => {
       <select
         className="node-select"
         value={transform}
-        onChange={(e) => setTransform(e.target.value)}
+        onChange={(e) => updateNodeField(id, "transform", e.target.value)}
       >
         <option value="">Select transform...</option>
         <option value="uppercase">To Uppercase</option>
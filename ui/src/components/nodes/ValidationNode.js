@@ -1,13 +1,16 @@
 import {BaseNode} from "./BaseNode";
 import {useState} from "react";
+import {useStore} from "../../state/store";
 
 export const ValidationNode = ({id, data}) => {
-  const [rules, setRules] = useState(data?.rules || []);
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const rules = data?.rules || [];
+  // The rule being typed is a draft; only added rules belong to the node
   const [newRule, setNewRule] = useState("");
 
   const addRule = () => {
     if (newRule.trim()) {
-      setRules([...rules, newRule.trim()]);
+      updateNodeField(id, "rules", [...rules, newRule.trim()]);
       setNewRule("");
     }
   };
@@ -1,13 +1,13 @@
 // inputNode.js
 
 import {BaseNode} from "./BaseNode";
-import {useState} from "react";
+import {useStore} from "../../state/store";
 
 export const InputNode = ({id, data}) => {
-  const [currName, setCurrName] = useState(
-    data?.inputName || id.replace("customInput-", "input_")
-  );
-  const [inputType, setInputType] = useState(data?.inputType || "Text");
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const currName = data?.inputName ?? id.replace("customInput-", "input_");
+  const inputType = data?.inputType || "Text";
+  const required = data?.required !== false;
 
   return (
     <BaseNode
@@ -22,17 +22,25 @@ export const InputNode = ({id, data}) => {
           className="node-input"
           type="text"
           value={currName}
-          onChange={(e) => setCurrName(e.target.value)}
+          onChange={(e) => updateNodeField(id, "inputName", e.target.value)}
           placeholder="Input name"
         />
         <select
           className="node-select"
           value={inputType}
-          onChange={(e) => setInputType(e.target.value)}
+          onChange={(e) => updateNodeField(id, "inputType", e.target.value)}
         >
           <option value="Text">Text</option>
           <option value="File">File</option>
         </select>
+        <label style={{display: "flex", alignItems: "center", gap: "6px", fontSize: "12px", color: "#ecf0f1", marginTop: "6px"}}>
+          <input
+            type="checkbox"
+            checked={required}
+            onChange={(e) => updateNodeField(id, "required", e.target.checked)}
+          />
+          Required
+        </label>
       </div>
     </BaseNode>
   );
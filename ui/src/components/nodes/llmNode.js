@@ -1,27 +1,215 @@
 // llmNode.js
 
 import {BaseNode} from "./BaseNode";
-import {useState} from "react";
+import {useState, useEffect} from "react";
+import {useStore} from "../../state/store";
+import {SECRET_PREFIX, isSecretReference, listSecrets, saveSecret} from "../../utils/secretApi";
+import {REDACTED_PLACEHOLDER} from "../../utils/workflowSerializer";
+
+// Providers supported by the backend (services/providers)
+const PROVIDERS = {
+  gemini: {
+    label: "Google",
+    defaultModel: "gemini-2.0-flash-exp",
+    models: ["gemini-2.0-flash-exp", "gemini-2.0-flash-thinking-exp", "gemini-1.5-pro", "gemini-1.5-flash"],
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    defaultModel: "gpt-4o-mini",
+    models: ["gpt-4o-mini", "gpt-4o", "llama3", "mistral"],
+  },
+  mock: {
+    label: "Mock (offline)",
+    defaultModel: "echo",
+    models: ["echo"],
+  },
+};
+
+// Gemini safety categories and thresholds accepted by the backend
+const SAFETY_CATEGORIES = [
+  {id: "HARM_CATEGORY_HARASSMENT", label: "Harassment"},
+  {id: "HARM_CATEGORY_HATE_SPEECH", label: "Hate speech"},
+  {id: "HARM_CATEGORY_SEXUALLY_EXPLICIT", label: "Sexually explicit"},
+  {id: "HARM_CATEGORY_DANGEROUS_CONTENT", label: "Dangerous content"},
+];
+const SAFETY_THRESHOLDS = ["BLOCK_NONE", "BLOCK_ONLY_HIGH", "BLOCK_MEDIUM_AND_ABOVE", "BLOCK_LOW_AND_ABOVE"];
+
+const labelStyle = {display: "block", marginBottom: "4px", fontSize: "13px", color: "#ecf0f1", fontWeight: "500"};
+const linkButtonStyle = {background: "none", border: "none", padding: 0, cursor: "pointer", fontSize: "12px", color: "#8ab4f8"};
+const hintStyle = {fontSize: "11px", marginTop: "4px", fontStyle: "italic"};
+
+// Picks a key from the backend secret store. The node only ever holds the
+// "secret:<name>" reference; a new key's value goes straight to the backend.
+const ApiKeyField = ({value, onChange}) => {
+  const [secrets, setSecrets] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const isRedacted = value === REDACTED_PLACEHOLDER;
+  const isPlainKey = Boolean(value) && !isSecretReference(value) && !isRedacted;
+
+  useEffect(() => {
+    listSecrets()
+      .then((list) => {
+        setSecrets(list);
+        setLoadError(null);
+      })
+      .catch((err) => setLoadError(err.message));
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const secret = await saveSecret(draft.name.trim(), {value: draft.value});
+      setSecrets((list) => [...list.filter((entry) => entry.name !== secret.name), secret]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      onChange(secret.reference);
+      setDraft(null);
+    } catch (err) {
+      setDraft((current) => ({...current, error: err.message}));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (draft) {
+    return (
+      <div style={{display: "flex", flexDirection: "column", gap: "6px"}}>
+        <input
+          className="node-input"
+          value={draft.name}
+          onChange={(e) => setDraft({...draft, name: e.target.value, error: null})}
+          placeholder="Name, e.g. team-gemini"
+        />
+        <input
+          className="node-input"
+          type="password"
+          value={draft.value}
+          onChange={(e) => setDraft({...draft, value: e.target.value, error: null})}
+          placeholder="API key"
+        />
+        {draft.error && <div style={{...hintStyle, color: "#e74c3c"}}>{draft.error}</div>}
+        <div style={{display: "flex", gap: "12px"}}>
+          <button
+            type="button"
+            style={linkButtonStyle}
+            disabled={saving || !/^[A-Za-z0-9_-]+$/.test(draft.name.trim()) || !draft.value.trim()}
+            onClick={handleSave}
+          >
+            {saving ? "Saving..." : "Save to secret store"}
+          </button>
+          <button type="button" style={linkButtonStyle} onClick={() => setDraft(null)}>Cancel</button>
+        </div>
+        <div style={{...hintStyle, color: "rgba(255, 255, 255, 0.6)"}}>
+          The key is encrypted on the server and never saved with the workflow.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <select
+        className="node-select"
+        value={isSecretReference(value) ? value : ""}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">Choose a stored key...</option>
+        {secrets.map((secret) => (
+          <option key={secret.name} value={secret.reference}>{secret.name}</option>
+        ))}
+        {isSecretReference(value) && !secrets.some((secret) => secret.reference === value) && (
+          <option value={value}>{value.slice(SECRET_PREFIX.length)} (not found)</option>
+        )}
+      </select>
+      <button
+        type="button"
+        style={{...linkButtonStyle, marginTop: "4px"}}
+        onClick={() => setDraft({name: "", value: isPlainKey ? value : "", error: null})}
+      >
+        {isPlainKey ? "Move this node's key to the secret store" : "+ Add a key"}
+      </button>
+      {isRedacted && (
+        <div style={{...hintStyle, color: "#f39c12"}}>
+          The key was removed when this workflow was saved. Choose a stored key.
+        </div>
+      )}
+      {isPlainKey && (
+        <div style={{...hintStyle, color: "#e74c3c"}}>
+          ⚠️ This node holds a plain-text key, which is saved with the workflow.
+        </div>
+      )}
+      {loadError && <div style={{...hintStyle, color: "#e74c3c"}}>{loadError}</div>}
+    </div>
+  );
+};
+
+const ProviderIcon = ({provider}) => {
+  if (provider === "gemini") {
+    return (
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+        <path d="M12 2L2 7L12 12L22 7L12 2Z" fill="#4285F4"/>
+        <path d="M2 17L12 22L22 17V12L12 17L2 12V17Z" fill="#34A853"/>
+        <path d="M2 12L12 17L22 12V7L12 12L2 7V12Z" fill="#FBBC04"/>
+        <path d="M12 12L22 7V12L12 17V12Z" fill="#EA4335"/>
+      </svg>
+    );
+  }
+  return <span style={{fontSize: "18px"}}>{provider === "mock" ? "🧪" : "🤖"}</span>;
+};
 
 export const LLMNode = ({id, data}) => {
-  const [system, setSystem] = useState(data?.system || "");
-  const [prompt, setPrompt] = useState(data?.prompt || "");
-  const [model, setModel] = useState(data?.model || "gemini-2.0-flash-exp");
-  const [usePersonalKey, setUsePersonalKey] = useState(data?.usePersonalKey || false);
-  const [apiKey, setApiKey] = useState(data?.apiKey || "");
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const provider = PROVIDERS[data?.provider] ? data.provider : "gemini";
+  const providerInfo = PROVIDERS[provider];
+  const system = data?.system || "";
+  const prompt = data?.prompt || "";
+  const model = data?.model || providerInfo.defaultModel;
+  const baseUrl = data?.baseUrl || "";
+  const usePersonalKey = data?.usePersonalKey || false;
+  const apiKey = data?.apiKey || "";
+  const generationConfig = data?.generationConfig || {};
+  const safetySettings = data?.safetySettings || [];
+  // Panel visibility is view state, not node configuration
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  // Stop sequences are edited as text and committed on blur, so commas can be typed
+  const [stopDraft, setStopDraft] = useState(null);
+
+  // Empty fields fall back to the backend defaults
+  const updateGenerationField = (field, value) => {
+    const next = {...generationConfig};
+    if (value === "" || value === null || (Array.isArray(value) && value.length === 0)) {
+      delete next[field];
+    } else {
+      next[field] = value;
+    }
+    updateNodeField(id, "generationConfig", next);
+  };
+
+  const updateNumberField = (field, rawValue) => {
+    updateGenerationField(field, rawValue === "" ? "" : Number(rawValue));
+  };
+
+  const updateSafetySetting = (category, threshold) => {
+    const next = safetySettings.filter((setting) => setting.category !== category);
+    if (threshold) {
+      next.push({category, threshold});
+    }
+    updateNodeField(id, "safetySettings", next);
+  };
+
+  const handleProviderChange = (newProvider) => {
+    updateNodeField(id, "provider", newProvider);
+    updateNodeField(id, "model", PROVIDERS[newProvider].defaultModel);
+  };
 
   return (
     <BaseNode
       id={id}
       title={
         <div style={{display: "flex", alignItems: "center", gap: "8px"}}>
-          <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
-            <path d="M12 2L2 7L12 12L22 7L12 2Z" fill="#4285F4"/>
-            <path d="M2 17L12 22L22 17V12L12 17L2 12V17Z" fill="#34A853"/>
-            <path d="M2 12L12 17L22 12V7L12 12L2 7V12Z" fill="#FBBC04"/>
-            <path d="M12 12L22 7V12L12 17V12Z" fill="#EA4335"/>
-          </svg>
-          <span>Google</span>
+          <ProviderIcon provider={provider} />
+          <span>{providerInfo.label}</span>
         </div>
       }
       inputs={[{id: "system"}, {id: "prompt"}]}
@@ -38,7 +226,7 @@ export const LLMNode = ({id, data}) => {
           <textarea
             className="node-input"
             value={system}
-            onChange={(e) => setSystem(e.target.value)}
+            onChange={(e) => updateNodeField(id, "system", e.target.value)}
             placeholder="Enter system instructions..."
             style={{minHeight: "60px", resize: "vertical"}}
           />
@@ -52,29 +240,203 @@ export const LLMNode = ({id, data}) => {
           <textarea
             className="node-input"
             value={prompt}
-            onChange={(e) => setPrompt(e.target.value)}
+            onChange={(e) => updateNodeField(id, "prompt", e.target.value)}
             placeholder="Enter your prompt..."
             style={{minHeight: "60px", resize: "vertical"}}
           />
         </div>
 
-        {/* Model Selector */}
+        {/* Provider Selector */}
         <div>
-          <label style={{display: "block", marginBottom: "4px", fontSize: "13px", color: "#ecf0f1", fontWeight: "500"}}>
-            Model
+          <label style={labelStyle}>
+            Provider
           </label>
           <select
             className="node-select"
-            value={model}
-            onChange={(e) => setModel(e.target.value)}
+            value={provider}
+            onChange={(e) => handleProviderChange(e.target.value)}
           >
-            <option value="gemini-2.0-flash-exp">gemini-2.0-flash-exp</option>
-            <option value="gemini-2.0-flash-thinking-exp">gemini-2.0-flash-thinking-exp</option>
-            <option value="gemini-1.5-pro">gemini-1.5-pro</option>
-            <option value="gemini-1.5-flash">gemini-1.5-flash</option>
+            <option value="gemini">Google Gemini</option>
+            <option value="openai">OpenAI-compatible (OpenAI, llama.cpp, Ollama)</option>
+            <option value="mock">Mock (offline echo)</option>
           </select>
         </div>
 
+        {/* Model Selector */}
+        <div>
+          <label style={labelStyle}>
+            Model
+          </label>
+          {provider === "openai" ? (
+            <>
+              <input
+                className="node-input"
+                type="text"
+                list={`${id}-models`}
+                value={model}
+                onChange={(e) => updateNodeField(id, "model", e.target.value)}
+                placeholder="Model name"
+              />
+              <datalist id={`${id}-models`}>
+                {providerInfo.models.map((m) => (
+                  <option key={m} value={m} />
+                ))}
+              </datalist>
+            </>
+          ) : (
+            <select
+              className="node-select"
+              value={model}
+              onChange={(e) => updateNodeField(id, "model", e.target.value)}
+            >
+              {providerInfo.models.map((m) => (
+                <option key={m} value={m}>{m}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {/* Base URL (OpenAI-compatible servers) */}
+        {provider === "openai" && (
+          <div>
+            <label style={labelStyle}>
+              Base URL
+            </label>
+            <input
+              className="node-input"
+              type="text"
+              value={baseUrl}
+              onChange={(e) => updateNodeField(id, "baseUrl", e.target.value)}
+              placeholder="Server default, or a URL the server allows"
+            />
+          </div>
+        )}
+
+        {/* Generation Parameters */}
+        <div>
+          <button
+            type="button"
+            onClick={() => setShowAdvanced(!showAdvanced)}
+            style={{background: "none", border: "none", padding: 0, cursor: "pointer", fontSize: "13px", color: "#ecf0f1", fontWeight: "500"}}
+          >
+            {showAdvanced ? "▾" : "▸"} Generation Parameters
+          </button>
+
+          {showAdvanced && (
+            <div style={{display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px", marginTop: "8px"}}>
+              <div>
+                <label style={labelStyle}>Temperature</label>
+                <input
+                  className="node-input"
+                  type="number"
+                  min="0"
+                  max="2"
+                  step="0.1"
+                  value={generationConfig.temperature ?? ""}
+                  onChange={(e) => updateNumberField("temperature", e.target.value)}
+                  placeholder="0.7"
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Max Tokens</label>
+                <input
+                  className="node-input"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={generationConfig.maxOutputTokens ?? ""}
+                  onChange={(e) => updateNumberField("maxOutputTokens", e.target.value)}
+                  placeholder="2048"
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Top K</label>
+                <input
+                  className="node-input"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={generationConfig.topK ?? ""}
+                  onChange={(e) => updateNumberField("topK", e.target.value)}
+                  placeholder="40"
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Top P</label>
+                <input
+                  className="node-input"
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={generationConfig.topP ?? ""}
+                  onChange={(e) => updateNumberField("topP", e.target.value)}
+                  placeholder="0.95"
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Candidates</label>
+                <input
+                  className="node-input"
+                  type="number"
+                  min="1"
+                  max="8"
+                  step="1"
+                  value={generationConfig.candidateCount ?? ""}
+                  onChange={(e) => updateNumberField("candidateCount", e.target.value)}
+                  placeholder="1"
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Response Type</label>
+                <select
+                  className="node-select"
+                  value={generationConfig.responseMimeType || ""}
+                  onChange={(e) => updateGenerationField("responseMimeType", e.target.value)}
+                >
+                  <option value="">Default</option>
+                  <option value="text/plain">text/plain</option>
+                  <option value="application/json">application/json</option>
+                </select>
+              </div>
+              <div style={{gridColumn: "1 / -1"}}>
+                <label style={labelStyle}>Stop Sequences (comma separated)</label>
+                <input
+                  className="node-input"
+                  type="text"
+                  value={stopDraft ?? (generationConfig.stopSequences || []).join(", ")}
+                  onChange={(e) => setStopDraft(e.target.value)}
+                  onBlur={() => {
+                    if (stopDraft === null) return;
+                    updateGenerationField(
+                      "stopSequences",
+                      stopDraft.split(",").map((stop) => stop.trim()).filter(Boolean)
+                    );
+                    setStopDraft(null);
+                  }}
+                  placeholder="e.g. END, ###"
+                />
+              </div>
+
+              {provider === "gemini" && SAFETY_CATEGORIES.map((category) => (
+                <div key={category.id}>
+                  <label style={labelStyle}>{category.label}</label>
+                  <select
+                    className="node-select"
+                    value={safetySettings.find((setting) => setting.category === category.id)?.threshold || ""}
+                    onChange={(e) => updateSafetySetting(category.id, e.target.value)}
+                  >
+                    <option value="">Default</option>
+                    {SAFETY_THRESHOLDS.map((threshold) => (
+                      <option key={threshold} value={threshold}>{threshold}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
         {/* Use Personal API Key Toggle */}
         <div style={{display: "flex", alignItems: "center", justifyContent: "space-between", padding: "8px 0"}}>
           <label style={{fontSize: "13px", color: "#ecf0f1", fontWeight: "500"}}>
@@ -84,7 +446,7 @@ export const LLMNode = ({id, data}) => {
             <input
               type="checkbox"
               checked={usePersonalKey}
-              onChange={(e) => setUsePersonalKey(e.target.checked)}
+              onChange={(e) => updateNodeField(id, "usePersonalKey", e.target.checked)}
               style={{opacity: 0, width: 0, height: 0}}
             />
             <span style={{
@@ -119,22 +481,13 @@ export const LLMNode = ({id, data}) => {
             <label style={{display: "block", marginBottom: "4px", fontSize: "13px", color: "#ecf0f1", fontWeight: "500"}}>
               API Key
             </label>
-            <input
-              className="node-input"
-              type="password"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              placeholder="Enter your API key..."
-            />
-            <div style={{fontSize: "11px", color: "#e74c3c", marginTop: "4px", fontStyle: "italic"}}>
-              ⚠️ Do not share API Key with anyone you do not trust!
-            </div>
+            <ApiKeyField value={apiKey} onChange={(reference) => updateNodeField(id, "apiKey", reference)} />
           </div>
         )}
 
         {/* Internal ID Display */}
         <div style={{fontSize: "11px", color: "rgba(255, 255, 255, 0.5)", marginTop: "4px", fontFamily: "monospace"}}>
-          ID: google_0
+          ID: {id}
         </div>
       </div>
     </BaseNode>
@@ -1,13 +1,12 @@
 // outputNode.js
 
 import {BaseNode} from "./BaseNode";
-import {useState} from "react";
+import {useStore} from "../../state/store";
 
 export const OutputNode = ({id, data}) => {
-  const [currName, setCurrName] = useState(
-    data?.outputName || id.replace("customOutput-", "output_")
-  );
-  const [outputType, setOutputType] = useState(data?.outputType || "Text");
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const currName = data?.outputName ?? id.replace("customOutput-", "output_");
+  const outputType = data?.outputType || "Text";
 
   return (
     <BaseNode
@@ -22,13 +21,13 @@ export const OutputNode = ({id, data}) => {
           className="node-input"
           type="text"
           value={currName}
-          onChange={(e) => setCurrName(e.target.value)}
+          onChange={(e) => updateNodeField(id, "outputName", e.target.value)}
           placeholder="Output name"
         />
         <select
           className="node-select"
           value={outputType}
-          onChange={(e) => setOutputType(e.target.value)}
+          onChange={(e) => updateNodeField(id, "outputType", e.target.value)}
         >
           <option value="Text">Text</option>
           <option value="File">Image</option>
@@ -1,17 +1,18 @@
 // textNode.js
 
 import {BaseNode} from "./BaseNode";
-import {useState, useEffect, useRef} from "react";
+import {useMemo, useRef} from "react";
+import {useStore} from "../../state/store";
 
 export const TextNode = ({id, data}) => {
-  const [currText, setCurrText] = useState(data?.text || "{{input}}");
-  const [variables, setVariables] = useState([]);
+  const updateNodeField = useStore((state) => state.updateNodeField);
+  const currText = data?.text ?? "{{input}}";
   const textareaRef = useRef(null);
 
-  useEffect(() => {
+  const variables = useMemo(() => {
     const matches = currText.match(/\{\{([^}]+)\}\}/g) || [];
     const vars = matches.map((match) => match.slice(2, -2).trim());
-    setVariables([...new Set(vars)]);
+    return [...new Set(vars)];
   }, [currText]);
 
   return (
@@ -27,7 +28,7 @@ export const TextNode = ({id, data}) => {
         ref={textareaRef}
         className="node-input"
         value={currText}
-        onChange={(e) => setCurrText(e.target.value)}
+        onChange={(e) => updateNodeField(id, "text", e.target.value)}
         placeholder="Enter text with {{variables}}"
         style={{
           minHeight: "80px",
@@ -13,6 +13,17 @@ import { useEffect } from "react";
 // History management for undo/redo
 const MAX_HISTORY = 50;
 
+// Next-id counters for a loaded graph, so new nodes do not reuse loaded ids
+function getNodeIDs(nodes) {
+  return nodes.reduce((ids, node) => {
+    const match = node.id.match(/^(.*)-(\d+)$/);
+    if (match) {
+      ids[match[1]] = Math.max(ids[match[1]] || 0, Number(match[2]));
+    }
+    return ids;
+  }, {});
+}
+
 function createHistory() {
   return {
     past: [],
@@ -154,6 +165,7 @@ const createNodeSlice = (set, get) => ({
       return {
         nodes,
         edges,
+        nodeIDs: getNodeIDs(nodes),
         ...updateHistory(state, nodes, edges)
       };
     });
@@ -220,6 +232,64 @@ const createEdgeSlice = (set, get) => ({
   },
 });
 
+// Separate slice for the current workflow run (not part of undo/redo or auto-save)
+const createRunSlice = (set) => ({
+  currentRun: null,
+  startRun: () => {
+    set({
+      currentRun: {
+        status: 'running',
+        events: [],
+        startedAt: Date.now(),
+        finishedAt: null,
+        error: null
+      }
+    });
+  },
+  recordRunEvent: (event, data) => {
+    set((state) => {
+      if (!state.currentRun) return {};
+      return {
+        currentRun: {
+          ...state.currentRun,
+          events: [...state.currentRun.events, { event, data, at: Date.now() }]
+        }
+      };
+    });
+  },
+  finishRun: (status, error = null) => {
+    set((state) => {
+      if (!state.currentRun) return {};
+      return {
+        currentRun: {
+          ...state.currentRun,
+          status,
+          error,
+          finishedAt: Date.now()
+        }
+      };
+    });
+  },
+});
+
+// Separate slice for the server-side workflow the canvas was loaded from or saved to
+const createLibrarySlice = (set) => ({
+  savedWorkflow: null,
+  setSavedWorkflow: (workflow) => {
+    set({
+      savedWorkflow: workflow
+        ? {
+            id: workflow.id,
+            name: workflow.name,
+            description: workflow.description,
+            version: workflow.version,
+            updatedAt: workflow.updatedAt
+          }
+        : null
+    });
+  },
+});
+
 // Debounce helper
 const debounce = (fn, delay) => {
   let timeoutId;
@@ -263,6 +333,8 @@ function updateHistory(state, newNodes, newEdges) {
 const useStore = create((set, get) => ({
   ...createNodeSlice(set, get),
   ...createEdgeSlice(set, get),
+  ...createRunSlice(set, get),
+  ...createLibrarySlice(set, get),
 }));
 
 // Initialize store with auto-saved data
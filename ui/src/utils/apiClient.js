@@ -0,0 +1,124 @@
+// utils/apiClient.js - Backend API helpers
+// The login session is kept in localStorage and sent as a bearer token with
+// every request. A 401 clears it and fires SIGNED_OUT_EVENT so the app can
+// ask the user to sign in again.
+
+const SESSION_KEY = 'whitewhale_session';
+export const SIGNED_OUT_EVENT = 'whitewhale:signed-out';
+
+/**
+ * The stored login session ({ token, expiresAt, user }), or null
+ */
+export function getSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function setSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Request headers with the session token added
+ */
+export function authHeaders(headers = {}) {
+  const session = getSession();
+  return session ? { ...headers, Authorization: `Bearer ${session.token}` } : headers;
+}
+
+/**
+ * Forget the session after the backend rejected it
+ */
+export function handleUnauthorized(response) {
+  if (response.status === 401 && getSession()) {
+    clearSession();
+    window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+  }
+}
+
+/**
+ * Get the backend base URL for the current environment
+ */
+export function getApiBaseUrl() {
+  // Use environment variable with fallback for different environments
+  return process.env.REACT_APP_API_URL ||
+         (process.env.NODE_ENV === 'production'
+           ? 'https://whitewhaleai-backend-1.onrender.com'
+           : 'http://localhost:8000');
+}
+
+/**
+ * Read a server-sent event stream from a fetch response.
+ * Calls onEvent(event, data) for every complete event.
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+
+    if (dataLines.length > 0) {
+      onEvent(event, JSON.parse(dataLines.join('\n')));
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
+
+/**
+ * Call a JSON endpoint of the backend.
+ * Throws an Error carrying the HTTP status and the parsed response body
+ * when the request fails.
+ */
+export async function requestJson(path, { method = 'GET', body, query } = {}) {
+  const params = query
+    ? `?${new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined && value !== ''))}`
+    : '';
+  const response = await fetch(`${getApiBaseUrl()}${path}${params}`, {
+    method,
+    headers: authHeaders(body ? { 'Content-Type': 'application/json' } : {}),
+    body: body ? JSON.stringify(body) : undefined
+  });
+  handleUnauthorized(response);
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    const error = new Error(data.error || `Server error (${response.status})`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+}
@@ -4,13 +4,20 @@ import { toast } from "react-toastify";
 import { WorkflowPopup } from "../components/WorkflowPopup";
 import { FlowDiagram } from "../components/FlowDiagram";
 import { ExecutionVisualizer } from "../components/ExecutionVisualizer";
+import { WorkflowLibrary } from "../components/WorkflowLibrary";
+import { RunHistory } from "../components/RunHistory";
+import { BatchRunner } from "../components/BatchRunner";
+import { logout } from "./authApi";
 import "../styles/submit-button.css";
 
-export const SubmitButton = () => {
-  const { nodes, edges } = useStore();
+export const SubmitButton = ({ user }) => {
+  const { nodes, edges, currentRun } = useStore();
   const [showPopup, setShowPopup] = useState(false);
   const [showDiagram, setShowDiagram] = useState(false);
   const [showVisualizer, setShowVisualizer] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showRunHistory, setShowRunHistory] = useState(false);
+  const [showBatchRunner, setShowBatchRunner] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
 
   const handleSubmit = () => {
@@ -63,6 +70,26 @@ export const SubmitButton = () => {
     setShowMenu(false);
   };
 
+  const handleViewLibrary = () => {
+    setShowLibrary(true);
+    setShowMenu(false);
+  };
+
+  const handleViewRunHistory = () => {
+    setShowRunHistory(true);
+    setShowMenu(false);
+  };
+
+  const handleViewBatchRunner = () => {
+    setShowBatchRunner(true);
+    setShowMenu(false);
+  };
+
+  const handleSignOut = () => {
+    setShowMenu(false);
+    logout().catch(() => toast.info("Signed out on this device"));
+  };
+
   return (
     <>
       {/* Main Action Buttons */}
@@ -90,6 +117,48 @@ export const SubmitButton = () => {
               </svg>
               Execution Visualizer
             </button>
+
+            <button
+              onClick={handleViewLibrary}
+              className="submit-menu-button submit-menu-button-library animate-slideIn animation-delay-200"
+            >
+              <svg className="submit-icon-small" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M4 4h4v16H4zM10 4h4v16h-4zM16.5 4.5l3.9 1 -3.9 15-3.9-1z"/>
+              </svg>
+              Workflow Library
+            </button>
+
+            <button
+              onClick={handleViewRunHistory}
+              className="submit-menu-button submit-menu-button-history animate-slideIn animation-delay-300"
+            >
+              <svg className="submit-icon-small" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M13 3a9 9 0 0 0-9 9H1l4 4 4-4H6a7 7 0 1 1 2.05 4.95l-1.41 1.41A9 9 0 1 0 13 3zm-1 5v5l4.25 2.52.77-1.28-3.52-2.09V8z"/>
+              </svg>
+              Run History
+            </button>
+
+            <button
+              onClick={handleViewBatchRunner}
+              className="submit-menu-button submit-menu-button-batch animate-slideIn animation-delay-300"
+            >
+              <svg className="submit-icon-small" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M3 3h18v4H3zM3 10h18v4H3zM3 17h18v4H3z"/>
+              </svg>
+              Batch Run
+            </button>
+
+            {user && (
+              <button
+                onClick={handleSignOut}
+                className="submit-menu-button submit-menu-button-signout animate-slideIn animation-delay-300"
+              >
+                <svg className="submit-icon-small" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M10 17l1.41-1.41L8.83 13H20v-2H8.83l2.58-2.59L10 7l-5 5zM4 5h8V3H4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h8v-2H4z"/>
+                </svg>
+                Sign out ({user.username})
+              </button>
+            )}
           </>
         )}
 
@@ -136,6 +205,22 @@ export const SubmitButton = () => {
         onClose={() => setShowVisualizer(false)}
         nodes={nodes}
         edges={edges}
+        executionData={currentRun}
+      />
+
+      <WorkflowLibrary
+        isOpen={showLibrary}
+        onClose={() => setShowLibrary(false)}
+      />
+
+      <RunHistory
+        isOpen={showRunHistory}
+        onClose={() => setShowRunHistory(false)}
+      />
+
+      <BatchRunner
+        isOpen={showBatchRunner}
+        onClose={() => setShowBatchRunner(false)}
       />
     </>
   );
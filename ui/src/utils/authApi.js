@@ -0,0 +1,44 @@
+// utils/authApi.js - Accounts and login sessions on the backend
+// Everything the app saves or runs lives in the signed-in user's workspace.
+
+import { requestJson, getSession, setSession, clearSession, SIGNED_OUT_EVENT } from './apiClient';
+
+const startSession = ({ user, token, expiresAt }) => {
+  const session = { user, token, expiresAt };
+  setSession(session);
+  return session;
+};
+
+/**
+ * Create an account and sign in with it
+ */
+export async function register(username, password) {
+  return startSession(await requestJson('/auth/register', {
+    method: 'POST',
+    body: { username, password }
+  }));
+}
+
+/**
+ * Sign in with a username and password
+ */
+export async function login(username, password) {
+  return startSession(await requestJson('/auth/login', {
+    method: 'POST',
+    body: { username, password }
+  }));
+}
+
+/**
+ * End the session on the backend and forget it locally
+ */
+export async function logout() {
+  try {
+    if (getSession()) {
+      await requestJson('/auth/logout', { method: 'POST' });
+    }
+  } finally {
+    clearSession();
+    window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+  }
+}
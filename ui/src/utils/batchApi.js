@@ -0,0 +1,63 @@
+// utils/batchApi.js - Batch runs of a workflow over a CSV or JSONL file
+
+import { requestJson, getApiBaseUrl, authHeaders, handleUnauthorized } from './apiClient';
+
+const encode = encodeURIComponent;
+
+/**
+ * Start a batch: the workflow runs once per row of the file
+ */
+export async function startBatch(fields) {
+  return (await requestJson('/batches', { method: 'POST', body: fields })).batch;
+}
+
+/**
+ * Batches of the workspace, newest first, with row counts
+ */
+export async function listBatches() {
+  return (await requestJson('/batches')).batches;
+}
+
+/**
+ * A batch with every row's inputs, status, outputs and error
+ */
+export async function getBatch(id) {
+  return (await requestJson(`/batches/${encode(id)}`)).batch;
+}
+
+/**
+ * Run failed, cancelled and unfinished rows again, or only the given row indexes
+ */
+export async function retryBatch(id, rows) {
+  return (await requestJson(`/batches/${encode(id)}/retry`, { method: 'POST', body: rows ? { rows } : {} })).batch;
+}
+
+/**
+ * Cancel a running batch
+ */
+export async function cancelBatch(id) {
+  return (await requestJson(`/batches/${encode(id)}`, { method: 'DELETE' })).batch;
+}
+
+/**
+ * Download the dataset with the output columns appended
+ */
+export async function downloadResults(batch) {
+  const response = await fetch(`${getApiBaseUrl()}/batches/${encode(batch.id)}/results`, {
+    headers: authHeaders()
+  });
+  handleUnauthorized(response);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Server error (${response.status})`);
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = batch.fileName.replace(/(\.[^.]*)?$/, `-results.${batch.format}`);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
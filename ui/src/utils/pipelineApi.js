@@ -0,0 +1,15 @@
+// utils/pipelineApi.js - Static checks on the canvas before it runs
+
+import { requestJson } from './apiClient';
+
+/**
+ * Check a workflow graph without running it. Resolves to
+ * { is_dag, cycle, execution_order, diagnostics }; each diagnostic has a
+ * severity (error or warning), a code, a message and the node or edge it is about.
+ */
+export function analyzePipeline(nodes, edges) {
+  return requestJson('/pipelines/parse', {
+    method: 'POST',
+    body: { pipeline: JSON.stringify({ nodes, edges }) }
+  });
+}
@@ -0,0 +1,24 @@
+// utils/runApi.js - Run history recorded by the backend
+
+import { requestJson } from './apiClient';
+
+/**
+ * List recorded runs, newest first
+ */
+export function listRuns({ page = 1, pageSize = 20, workflowId = '', status = '' } = {}) {
+  return requestJson('/runs', { query: { page, pageSize, workflowId, status } });
+}
+
+/**
+ * Ask the backend to stop a run in progress
+ */
+export function cancelRun(id) {
+  return requestJson(`/runs/${encodeURIComponent(id)}/cancel`, { method: 'POST' });
+}
+
+/**
+ * Get a run with its inputs, workflow snapshot and per-node results
+ */
+export async function getRun(id) {
+  return (await requestJson(`/runs/${encodeURIComponent(id)}`)).run;
+}
@@ -0,0 +1,77 @@
+// utils/runState.js - Fold execution events into per-node run state
+
+/**
+ * Build the state of every node from a list of recorded execution events.
+ * Events are { event, data, at } as recorded by the store's run slice;
+ * pass a prefix of the list to get the state at that point of a replay.
+ */
+export function buildNodeStates(events) {
+  const states = {};
+
+  events.forEach(({ event, data, at }) => {
+    // Recorded by the client when the user cancels; it stops listening to
+    // the run then, so nodes still running are marked here
+    if (event === 'run:cancelled') {
+      Object.keys(states).forEach(nodeId => {
+        if (states[nodeId].status === 'running') {
+          states[nodeId] = { ...states[nodeId], status: 'cancelled', finishedAt: at };
+        }
+      });
+      return;
+    }
+
+    if (!data || !data.nodeId) return;
+
+    const current = states[data.nodeId] || { type: data.type, text: '' };
+
+    switch (event) {
+      case 'node:start':
+        states[data.nodeId] = { ...current, status: 'running', startedAt: at, inputs: data.inputs };
+        break;
+      case 'node:token':
+        states[data.nodeId] = { ...current, text: current.text + data.token };
+        break;
+      case 'node:output':
+        states[data.nodeId] = {
+          ...current,
+          status: 'completed',
+          finishedAt: at,
+          durationMs: data.durationMs,
+          outputs: data.outputs,
+          usage: data.usage
+        };
+        break;
+      case 'node:error':
+        states[data.nodeId] = {
+          ...current,
+          status: 'failed',
+          finishedAt: at,
+          durationMs: data.durationMs,
+          error: data.error
+        };
+        break;
+      case 'node:cancelled':
+        states[data.nodeId] = { ...current, status: 'cancelled', finishedAt: at, durationMs: data.durationMs };
+        break;
+      case 'node:skipped':
+        states[data.nodeId] = { ...current, status: 'skipped', finishedAt: at };
+        break;
+      default:
+        break;
+    }
+  });
+
+  return states;
+}
+
+/**
+ * Overall run status after the given events
+ */
+export function getRunStatus(events) {
+  const last = events[events.length - 1];
+  if (!last) return 'idle';
+  if (last.event === 'run:complete') return 'completed';
+  if (last.event === 'run:cancelled') return 'cancelled';
+  if (last.event === 'run:error') return last.data?.cancelled ? 'cancelled' : 'failed';
+  return 'running';
+}
@@ -0,0 +1,31 @@
+// utils/secretApi.js - API keys kept encrypted on the backend
+// Values are write-only: the backend only ever returns names, and nodes
+// refer to a key as "secret:<name>".
+
+import { requestJson } from './apiClient';
+
+export const SECRET_PREFIX = 'secret:';
+
+/**
+ * Whether an API key field holds a reference to a stored secret
+ */
+export function isSecretReference(value) {
+  return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+/**
+ * List stored secrets (names and descriptions only)
+ */
+export async function listSecrets() {
+  return (await requestJson('/secrets')).secrets;
+}
+
+/**
+ * Create a secret or replace its value
+ */
+export async function saveSecret(name, { value, description = '' }) {
+  return (await requestJson(`/secrets/${encodeURIComponent(name)}`, {
+    method: 'PUT',
+    body: { value, description }
+  })).secret;
+}
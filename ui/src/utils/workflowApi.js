@@ -0,0 +1,94 @@
+// utils/workflowApi.js - Saved workflows on the backend (shared within your workspace)
+
+import { requestJson } from './apiClient';
+
+const encode = encodeURIComponent;
+
+/**
+ * List saved workflows, most recently updated first
+ */
+export function listWorkflows({ page = 1, pageSize = 20, search = '' } = {}) {
+  return requestJson('/workflows', { query: { page, pageSize, search } });
+}
+
+/**
+ * Get a saved workflow with its nodes and edges
+ */
+export async function getWorkflow(id) {
+  return (await requestJson(`/workflows/${encode(id)}`)).workflow;
+}
+
+/**
+ * Save the canvas as a new workflow
+ */
+export async function createWorkflow(fields) {
+  return (await requestJson('/workflows', { method: 'POST', body: fields })).workflow;
+}
+
+/**
+ * Update a workflow. updatedAt must be the one the workflow was loaded
+ * with; a 409 error means someone else saved it in the meantime.
+ */
+export async function updateWorkflow(id, fields) {
+  return (await requestJson(`/workflows/${encode(id)}`, { method: 'PUT', body: fields })).workflow;
+}
+
+/**
+ * Delete a workflow
+ */
+export function deleteWorkflow(id, updatedAt) {
+  return requestJson(`/workflows/${encode(id)}`, { method: 'DELETE', query: { updatedAt } });
+}
+
+/**
+ * Version history of a workflow, newest first
+ */
+export async function listVersions(id) {
+  return (await requestJson(`/workflows/${encode(id)}/versions`)).versions;
+}
+
+/**
+ * Compare two versions of a workflow
+ */
+export async function diffVersions(id, from, to) {
+  return (await requestJson(`/workflows/${encode(id)}/diff`, { query: { from, to } })).diff;
+}
+
+/**
+ * Save an earlier version as the newest one
+ */
+export async function restoreVersion(id, version, fields) {
+  return (await requestJson(`/workflows/${encode(id)}/versions/${version}/restore`, {
+    method: 'POST',
+    body: fields
+  })).workflow;
+}
+
+/**
+ * Cron schedules of a workflow, with their next and last runs
+ */
+export async function listSchedules(id) {
+  return (await requestJson(`/workflows/${encode(id)}/schedules`)).schedules;
+}
+
+/**
+ * Run a workflow on a cron schedule (UTC) with fixed input values
+ */
+export async function createSchedule(id, fields) {
+  return (await requestJson(`/workflows/${encode(id)}/schedules`, { method: 'POST', body: fields })).schedule;
+}
+
+/**
+ * Remove a schedule
+ */
+export function deleteSchedule(id, scheduleId) {
+  return requestJson(`/workflows/${encode(id)}/schedules/${encode(scheduleId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Run a workflow's test cases with the mock provider and recorded responses.
+ * tests runs unsaved cases instead; names picks cases by name.
+ */
+export async function runWorkflowTests(id, { tests, names } = {}) {
+  return (await requestJson(`/workflows/${encode(id)}/test`, { method: 'POST', body: { tests, names } })).report;
+}
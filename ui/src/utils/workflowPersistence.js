@@ -1,8 +1,14 @@
 // utils/workflowPersistence.js - Workflow Save/Load Functionality
+// Nodes are always stored through serializeNodes, so API keys and callbacks
+// never reach localStorage or an exported file.
+
+import { serializeNodes, findCredentials, findPlaceholders } from './workflowSerializer';
 
 const STORAGE_KEY = 'whitewhale_workflows';
 const AUTO_SAVE_KEY = 'whitewhale_autosave';
 const MAX_WORKFLOWS = 10;
+const RECENT_INPUTS_KEY = 'whitewhale_recent_inputs';
+const MAX_RECENT_INPUTS = 5;
 
 /**
  * Get all saved workflows
@@ -28,7 +34,7 @@ export function saveWorkflow(name, nodes, edges, description = '') {
       id: Date.now().toString(),
       name,
       description,
-      nodes,
+      nodes: serializeNodes(nodes),
       edges,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
@@ -96,7 +102,7 @@ export function deleteWorkflow(id) {
 export function autoSaveWorkflow(nodes, edges) {
   try {
     const autoSave = {
-      nodes,
+      nodes: serializeNodes(nodes),
       edges,
       timestamp: new Date().toISOString()
     };
@@ -131,16 +137,26 @@ export function clearAutoSave() {
 }
 
 /**
- * Export workflow as JSON file
+ * Export workflow as JSON file. Credential fields become placeholders; if
+ * anything else still looks like a credential the user has to confirm.
+ * Returns false when the export was cancelled.
  */
 export function exportWorkflow(name, nodes, edges) {
   const workflow = {
     name,
-    nodes,
+    nodes: serializeNodes(nodes),
     edges,
     exportedAt: new Date().toISOString(),
     version: '1.0'
   };
+
+  const credentials = findCredentials(workflow.nodes);
+  if (credentials.length > 0) {
+    const fields = credentials.map(({ nodeId, field }) => `${nodeId}.${field}`).join(', ');
+    if (!window.confirm(`These fields look like they contain a credential: ${fields}.\n\nExport anyway?`)) {
+      return false;
+    }
+  }
   
   const blob = new Blob([JSON.stringify(workflow, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
@@ -151,10 +167,12 @@ export function exportWorkflow(name, nodes, edges) {
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
+  return true;
 }
 
 /**
- * Import workflow from JSON file
+ * Import workflow from JSON file. The result lists the placeholders
+ * ([{ nodeId, field }]) the importer should be asked to fill in.
  */
 export function importWorkflow(file) {
   return new Promise((resolve, reject) => {
@@ -173,7 +191,7 @@ export function importWorkflow(file) {
           workflow.edges = [];
         }
         
-        resolve(workflow);
+        resolve({ ...workflow, placeholders: findPlaceholders(workflow.nodes) });
       } catch (error) {
         reject(new Error('Invalid workflow file format'));
       }
@@ -186,3 +204,51 @@ export function importWorkflow(file) {
     reader.readAsText(file);
   });
 }
+
+/**
+ * Key that identifies a workflow for remembered run inputs.
+ * Built from its Input node names, so the same flow keeps its history
+ * across reloads and edits that do not touch the inputs.
+ */
+export function getInputsKey(nodes) {
+  return nodes
+    .filter(node => node.type === 'customInput')
+    .map(node => node.data?.inputName || node.id.replace('customInput-', 'input_'))
+    .sort()
+    .join('|');
+}
+
+/**
+ * Get recently used run inputs for a workflow, newest first
+ */
+export function getRecentInputs(workflowKey) {
+  try {
+    const saved = localStorage.getItem(RECENT_INPUTS_KEY);
+    const recent = saved ? JSON.parse(saved) : {};
+    return recent[workflowKey] || [];
+  } catch (error) {
+    console.error('Error loading recent inputs:', error);
+    return [];
+  }
+}
+
+/**
+ * Remember a set of run inputs for a workflow
+ */
+export function saveRecentInputs(workflowKey, values) {
+  try {
+    const saved = localStorage.getItem(RECENT_INPUTS_KEY);
+    const recent = saved ? JSON.parse(saved) : {};
+    const serialized = JSON.stringify(values);
+
+    // Drop an identical earlier entry so re-runs move to the top
+    const previous = (recent[workflowKey] || []).filter(
+      entry => JSON.stringify(entry) !== serialized
+    );
+    recent[workflowKey] = [values, ...previous].slice(0, MAX_RECENT_INPUTS);
+
+    localStorage.setItem(RECENT_INPUTS_KEY, JSON.stringify(recent));
+  } catch (error) {
+    console.error('Error saving recent inputs:', error);
+  }
+}
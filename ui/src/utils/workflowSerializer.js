@@ -0,0 +1,95 @@
+// utils/workflowSerializer.js - Turn canvas nodes into data that is safe to store or share
+// Everything that leaves the canvas (auto-save, local saves, exports, the
+// shared library) goes through serializeNodes: callbacks are dropped and
+// credential fields are replaced by a placeholder the importer fills in.
+
+import { isSecretReference } from './secretApi';
+
+// Same mask the backend uses when it redacts keys
+export const REDACTED_PLACEHOLDER = '[REDACTED]';
+
+// data fields that hold credentials
+const SENSITIVE_FIELD = /^(api[-_]?key|secret|password|(access|auth)?[-_]?token)$/i;
+
+// Values that look like a credential wherever they appear
+const CREDENTIAL_PATTERNS = [
+  /\bsk-[A-Za-z0-9_-]{16,}/, // OpenAI and compatible
+  /\bAIza[0-9A-Za-z_-]{35}\b/, // Google
+  /\bAKIA[0-9A-Z]{16}\b/, // AWS access key id
+  /\bgh[pousr]_[A-Za-z0-9]{30,}/, // GitHub
+  /\bxox[abpr]-[A-Za-z0-9-]{10,}/, // Slack
+  /\bBearer\s+[A-Za-z0-9._~+/-]{20,}/ // Authorization headers
+];
+
+const looksLikeCredential = (value) => CREDENTIAL_PATTERNS.some(pattern => pattern.test(value));
+
+// A sensitive field that holds a real value (not empty, a placeholder or a secret reference)
+const isPlainCredential = (field, value) => SENSITIVE_FIELD.test(field) &&
+  typeof value === 'string' &&
+  value.trim() !== '' &&
+  value !== REDACTED_PLACEHOLDER &&
+  !isSecretReference(value);
+
+/**
+ * Copy nodes for storage: functions such as onRemove are dropped and
+ * credential fields are replaced by REDACTED_PLACEHOLDER
+ */
+export function serializeNodes(nodes) {
+  return nodes.map(node => {
+    const data = {};
+    Object.entries(node.data || {}).forEach(([field, value]) => {
+      if (typeof value === 'function') return;
+      data[field] = isPlainCredential(field, value) ? REDACTED_PLACEHOLDER : value;
+    });
+    return { ...node, data };
+  });
+}
+
+/**
+ * Credentials still present in serialized nodes, such as a key pasted into a prompt.
+ * Returns [{ nodeId, field }].
+ */
+export function findCredentials(nodes) {
+  const found = [];
+  nodes.forEach(node => {
+    Object.entries(node.data || {}).forEach(([field, value]) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+      if (isPlainCredential(field, value) || looksLikeCredential(text)) {
+        found.push({ nodeId: node.id, field });
+      }
+    });
+  });
+  return found;
+}
+
+/**
+ * Fields an importer has to fill in. Returns [{ nodeId, field }].
+ */
+export function findPlaceholders(nodes) {
+  const found = [];
+  nodes.forEach(node => {
+    Object.entries(node.data || {}).forEach(([field, value]) => {
+      if (value === REDACTED_PLACEHOLDER) {
+        found.push({ nodeId: node.id, field });
+      }
+    });
+  });
+  return found;
+}
+
+/**
+ * Replace placeholders with the values chosen by the importer.
+ * values is keyed by `${nodeId}.${field}`; a placeholder without a value is cleared.
+ */
+export function fillPlaceholders(nodes, values) {
+  return nodes.map(node => {
+    const placeholders = findPlaceholders([node]);
+    if (placeholders.length === 0) return node;
+
+    const data = { ...node.data };
+    placeholders.forEach(({ field }) => {
+      data[field] = values[`${node.id}.${field}`] || '';
+    });
+    return { ...node, data };
+  });
+}